@@ -1,6 +1,161 @@
+use std::{collections::BTreeMap, fs, path::PathBuf, sync::Mutex};
+
+use serde::{Deserialize, Serialize};
+use serde_json::Value;
+use tauri::{AppHandle, Manager, State};
+use tauri_plugin_dialog::DialogExt;
+
+// Portfolio data lives in one JSON file in the app data dir. The frontend
+// sends change sets (see src/lib/storage.js), which are applied to the
+// in-memory copy and written back atomically.
+const STORE_FILE: &str = "portfolio.json";
+
+#[derive(Clone, Serialize, Deserialize)]
+struct TxnRecord {
+  id: String,
+  seq: u64,
+  // absent on records written before portfolios
+  #[serde(default, skip_serializing_if = "Option::is_none")]
+  portfolio: Option<String>,
+  row: Value,
+}
+
+#[derive(Default, Serialize, Deserialize)]
+struct Store {
+  meta: Option<Value>,
+  #[serde(default)]
+  transactions: BTreeMap<String, TxnRecord>,
+  #[serde(default)]
+  prices: BTreeMap<String, Value>,
+}
+
+#[derive(Deserialize)]
+#[serde(rename_all = "camelCase")]
+struct Change {
+  meta: Option<Value>,
+  #[serde(default)]
+  put_txn: Vec<TxnRecord>,
+  #[serde(default)]
+  delete_txn: Vec<String>,
+  #[serde(default)]
+  put_prices: Vec<(String, Value)>,
+  #[serde(default)]
+  delete_prices: Vec<String>,
+}
+
+#[derive(Default)]
+struct StoreState(Mutex<Option<Store>>);
+
+#[derive(Serialize)]
+struct OpenedFile {
+  name: String,
+  contents: String,
+}
+
+fn store_path(app: &AppHandle) -> Result<PathBuf, String> {
+  let dir = app.path().app_data_dir().map_err(|e| e.to_string())?;
+  fs::create_dir_all(&dir).map_err(|e| format!("Can't create {}: {e}", dir.display()))?;
+  Ok(dir.join(STORE_FILE))
+}
+
+fn read_store(path: &PathBuf) -> Result<Store, String> {
+  match fs::read_to_string(path) {
+    Ok(text) => serde_json::from_str(&text).map_err(|e| format!("{} is damaged: {e}", path.display())),
+    Err(e) if e.kind() == std::io::ErrorKind::NotFound => Ok(Store::default()),
+    Err(e) => Err(format!("Can't read {}: {e}", path.display())),
+  }
+}
+
+// Write beside the real file, then rename over it, so a crash mid-write
+// never leaves a half-written store
+fn write_store(path: &PathBuf, store: &Store) -> Result<(), String> {
+  let tmp = path.with_extension("json.tmp");
+  let text = serde_json::to_string(store).map_err(|e| e.to_string())?;
+  fs::write(&tmp, text).map_err(|e| format!("Can't write {}: {e}", tmp.display()))?;
+  fs::rename(&tmp, path).map_err(|e| format!("Can't replace {}: {e}", path.display()))
+}
+
+// Run `f` against the store, loading it from disk on first use
+fn with_store<T>(app: &AppHandle, state: &State<StoreState>, f: impl FnOnce(&mut Store, &PathBuf) -> Result<T, String>) -> Result<T, String> {
+  let path = store_path(app)?;
+  let mut guard = state.0.lock().map_err(|_| "Store lock poisoned".to_string())?;
+  if guard.is_none() {
+    *guard = Some(read_store(&path)?);
+  }
+  f(guard.as_mut().unwrap(), &path)
+}
+
+#[tauri::command]
+fn load_state(app: AppHandle, state: State<StoreState>) -> Result<Option<Value>, String> {
+  with_store(&app, &state, |store, _| {
+    let Some(meta) = store.meta.clone() else { return Ok(None) };
+    let transactions: Vec<&TxnRecord> = store.transactions.values().collect();
+    Ok(Some(serde_json::json!({ "meta": meta, "transactions": transactions, "prices": store.prices })))
+  })
+}
+
+#[tauri::command]
+fn write_state(app: AppHandle, state: State<StoreState>, change: Change) -> Result<(), String> {
+  with_store(&app, &state, |store, path| {
+    if let Some(meta) = change.meta {
+      store.meta = Some(meta);
+    }
+    for rec in change.put_txn {
+      store.transactions.insert(rec.id.clone(), rec);
+    }
+    for id in change.delete_txn {
+      store.transactions.remove(&id);
+    }
+    for (ticker, list) in change.put_prices {
+      store.prices.insert(ticker, list);
+    }
+    for ticker in change.delete_prices {
+      store.prices.remove(&ticker);
+    }
+    write_store(path, store)
+  })
+}
+
+#[tauri::command]
+fn clear_state(app: AppHandle, state: State<StoreState>) -> Result<(), String> {
+  with_store(&app, &state, |store, path| {
+    *store = Store::default();
+    write_store(path, store)
+  })
+}
+
+// Native save dialog; writes `contents` to the chosen path and returns it,
+// or None if the user cancelled
+#[tauri::command]
+async fn save_file(app: AppHandle, name: String, contents: String, filter_name: String, extensions: Vec<String>) -> Result<Option<String>, String> {
+  let exts: Vec<&str> = extensions.iter().map(String::as_str).collect();
+  let Some(picked) = app.dialog().file().set_file_name(&name).add_filter(&filter_name, &exts).blocking_save_file() else {
+    return Ok(None);
+  };
+  let path = picked.into_path().map_err(|e| e.to_string())?;
+  fs::write(&path, contents).map_err(|e| format!("Can't write {}: {e}", path.display()))?;
+  Ok(Some(path.display().to_string()))
+}
+
+// Native open dialog; returns the file's name and text, or None if cancelled
+#[tauri::command]
+async fn open_file(app: AppHandle, filter_name: String, extensions: Vec<String>) -> Result<Option<OpenedFile>, String> {
+  let exts: Vec<&str> = extensions.iter().map(String::as_str).collect();
+  let Some(picked) = app.dialog().file().add_filter(&filter_name, &exts).blocking_pick_file() else {
+    return Ok(None);
+  };
+  let path = picked.into_path().map_err(|e| e.to_string())?;
+  let contents = fs::read_to_string(&path).map_err(|e| format!("Can't read {}: {e}", path.display()))?;
+  let name = path.file_name().map(|n| n.to_string_lossy().into_owned()).unwrap_or_default();
+  Ok(Some(OpenedFile { name, contents }))
+}
+
 #[cfg_attr(mobile, tauri::mobile_entry_point)]
 pub fn run() {
   tauri::Builder::default()
+    .plugin(tauri_plugin_dialog::init())
+    .manage(StoreState::default())
+    .invoke_handler(tauri::generate_handler![load_state, write_state, clear_state, save_file, open_file])
     .setup(|app| {
       if cfg!(debug_assertions) {
         app.handle().plugin(
@@ -7,7 +7,43 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Switch } from "@/components/ui/switch";
 import { Textarea } from "@/components/ui/textarea";
 import { Checkbox } from "@/components/ui/checkbox";
-import { Download, Upload, Trash2, AlertTriangle, Plus, Save, Moon, Sun } from "lucide-react";
+import AssetManager from "@/components/AssetManager";
+import CgtReport from "@/components/CgtReport";
+import ContributionPlans from "@/components/ContributionPlans";
+import FxRates from "@/components/FxRates";
+import TradeEntryForm from "@/components/TradeEntryForm";
+import LotPicker from "@/components/LotPicker";
+import IncomeEntryForm from "@/components/IncomeEntryForm";
+import CashEntryForm from "@/components/CashEntryForm";
+import PerformanceCard from "@/components/PerformanceCard";
+import ProjectionView from "@/components/ProjectionView";
+import ValueChart from "@/components/ValueChart";
+import PriceImport from "@/components/PriceImport";
+import TradeImport from "@/components/TradeImport";
+import PortfolioManager from "@/components/PortfolioManager";
+import HouseholdView from "@/components/HouseholdView";
+import RebalanceHistory from "@/components/RebalanceHistory";
+import RebalancePolicyEditor from "@/components/RebalancePolicyEditor";
+import RebalanceTradeoffs from "@/components/RebalanceTradeoffs";
+import { formatCurrency, localToday } from "@/lib/format";
+import { CASH_KEY, CASH_KINDS, consumeLotsFIFO, laneConfig, LOT_METHODS, replayLedger, selectLots, whatIfSell } from "@/lib/ledger";
+import { cgtSummaryFY } from "@/lib/cgt";
+import { incomeSummaryFY } from "@/lib/income";
+import { makePriceLookup, xirr } from "@/lib/returns";
+import { migrate, snapshot, validateBackup } from "@/lib/schema";
+import { createPersister } from "@/lib/storage";
+import { planSplits, rebalanceScenarios, sellTaxEstimate, sizeOrders, SPLIT_MODES } from "@/lib/rebalance";
+import { bandBreaches, defaultPolicy, laneBand, markReviewed, nextReview, reviewDue, updateHistory } from "@/lib/rebalancePolicy";
+import { dueContributions, dueDates, newPlan, planStatus, recordContribution, yearlyContribution } from "@/lib/schedules";
+import { choleskyEqui, deterministicPath, simulate } from "@/lib/projection";
+import { consolidate, loadedPortfolio, newPortfolio, savedPortfolio, taxProfile } from "@/lib/portfolios";
+import { decryptBackup, encryptBackup, isEncryptedBackup } from "@/lib/encryption";
+import { FILE_TYPES, openFile, printHtml, saveFile } from "@/lib/files";
+import { reportCSV, reportHTML, taxReport } from "@/lib/taxReport";
+import { brokerProfile, convertTrades, markDuplicates, readTradeFile, resolveColumns } from "@/lib/brokers";
+import { BASE_CURRENCY, makeFxLookup, upsertRate } from "@/lib/fx";
+import { historyPoints, parsePriceCSV, priceImportPlan, removePricePoint, renamePriceTicker, upsertPricePoint } from "@/lib/prices";
+import { Download, Upload, Trash2, AlertTriangle, Plus, Save, Moon, Sun, Pencil, Lock } from "lucide-react";
 import { PieChart as RPieChart, Pie, Cell, Tooltip, ResponsiveContainer } from "recharts";
 
 
@@ -15,16 +51,27 @@ import { PieChart as RPieChart, Pie, Cell, Tooltip, ResponsiveContainer } from "
  * Street‑Smart Wealth Tracker – React
  *
  * Design goals (vNext):
- * - 100% local-first (LocalStorage) ✅
+ * - 100% local-first (IndexedDB, incremental writes) ✅
  * - ETFs + Gold tracking ✅
- * - Automatic allocations (planner) ✅
+ * - Automatic allocations (planner) ✅ (spends cash above the buffer by default; by target or underweight-first)
+ * - Whole-unit orders ✅ (minimum first parcel, brokerage per trade, unspent remainder shown)
+ * - Tax-aware rebalancing ✅ (CGT per sell from the lots, 12-month flags, full/partial/wait trade-offs)
+ * - Rebalance policy ✅ (absolute/relative bands per lane, quarterly/annual reviews, trigger history; saved per portfolio)
+ * - Contribution plans ✅ (recurring DCA amounts; due ones load into the planner; late/skipped/missed tracked)
+ * - FY tax report ✅ (disposals per parcel, netting and item 18 labels; print/PDF, HTML and CSV)
+ * - Projection ✅ (expected-return path + Monte Carlo 10/50/90 bands from per-lane return/volatility, run in a Web Worker)
+ * - Multi-currency ✅ (lanes quoted in USD etc.; AUD cost base and proceeds at trade-date rates, FX share of each gain shown)
+ * - Cash lane ✅ (deposits/withdrawals; buys debit, sells and distributions credit)
  * - Rebalancing triggers ✅ (threshold-based)
- * - CAGR per lane ✅ (simple since-first-contribution)
- * - Manual price updates ✅
- * - Backup/Export + Import/Restore ✅ (JSON)
+ * - XIRR + time-weighted returns per lane and portfolio ✅
+ * - Manual price updates ✅ (saved as dated price history)
+ * - Bulk price import ✅ (date,ticker,close CSV with preview)
+ * - Broker trade-history import ✅ (CommSec/SelfWealth/Stake/Pearler, de-duplicated)
+ * - Backup/Export + Import/Restore ✅ (JSON, versioned schema with migrations, optional passphrase encryption)
  * - CSV export (positions & transactions) ✅
  * - Mobile-first responsive layout ✅
  * - Minimal CGT ledger (AUS 50% discount after 12 months) ✅ (FIFO, per-sale calc)
+ * - Multiple portfolios with per-entity CGT discount + household view ✅
  * - Donut chart for weights (current vs target) ✅
  * - Dark mode toggle (persists) ✅
  */
@@ -38,53 +85,331 @@ const DEFAULT_ASSETS = [
   { ticker: "GOLD", name: "GOLD – Physical ETF", targetWeight: 0.10 },
 ];
 
-const STORAGE_KEY = "street_smart_wealth_tracker_v3";
 const THEME_KEY = "street_smart_theme";
+const ACTIVE_PORTFOLIO_KEY = "street_smart_active_portfolio";
+const BROKER_PROFILES_KEY = "street_smart_broker_profiles";
 
-function formatCurrency(n) {
-  if (Number.isNaN(n) || !Number.isFinite(n)) return "$0";
-  return n.toLocaleString("en-AU", { style: "currency", currency: "AUD", maximumFractionDigits: 2 });
+// Ledger kinds booked through the distribution form rather than the trade form
+const INCOME_KINDS = ["DIST", "DRP", "AMIT"];
+
+const COLORS = ["#0ea5e9", "#22c55e", "#a78bfa", "#f59e0b", "#ef4444", "#14b8a6"]; // nice Tailwind hues
+const CASH_COLOR = "#94a3b8"; // slate: cash never takes a lane hue
+
+// A new household starts with one personal portfolio on the default lanes
+function defaultPortfolios() {
+  return [newPortfolio({ name: "Personal", lanes: DEFAULT_ASSETS.map(laneConfig) })];
 }
 
-function yearsBetween(a, b) {
-  const ms = b - a;
-  return ms / (1000 * 60 * 60 * 24 * 365.25);
+// Portfolio name as a file-name prefix, e.g. "SMSF Growth" -> "smsf-growth-"
+function fileSlug(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return slug ? `${slug}-` : "";
 }
 
-// FIFO lot helper
-function consumeLotsFIFO(lots, sellQty) {
-  const consumed = [];
-  let remaining = sellQty;
-  const newLots = [];
-  for (const lot of lots) {
-    if (remaining <= 0) {
-      newLots.push(lot);
-      continue;
-    }
-    const take = Math.min(remaining, lot.qty);
-    if (take > 0) {
-      consumed.push({ ...lot, qty: take });
-    }
-    const leftover = lot.qty - take;
-    if (leftover > 0) newLots.push({ ...lot, qty: leftover });
-    remaining -= take;
-  }
-  return { consumed, newLots, unfilled: Math.max(0, remaining) };
+// Planner state with a scheduled contribution loaded: its amount as the
+// budget, its split rule, and which due date committing will settle
+function withContribution(planner, { plan, due }) {
+  return { ...planner, budget: String(plan.amount), mode: plan.rule, due: { planId: plan.id, name: plan.name, due, amount: plan.amount } };
+}
+
+// "YYYY-MM-DD" from a date input -> ledger timestamp (UTC midnight)
+function tradeTimestamp(day) {
+  return new Date(`${day}T00:00:00.000Z`).toISOString();
 }
 
+
 // --- Dev-only smoke tests ---------------------------------------------------
 function csvSmokeTest() {
   const s = ["#A", "#B", "#C"].join("\n");
   return typeof s === "string" && s.includes("\n");
 }
 
+function priceImportSmokeTest() {
+  const csv = 'Date,Ticker,Close\n2024-01-02,VGS,110.5\n"03/01/2024",vgs,"$111.00"\n2024-01-02,XYZ,1\n2024-01-04,VGS,abc\n';
+  const { rows, errors } = parsePriceCSV(csv, ["VGS"], "2024-12-31");
+  const history = { VGS: [{ date: "2024-01-02", close: 110.5 }, { date: "2024-02-01", close: 115 }] };
+  const plan = priceImportPlan(history, rows);
+  // both good rows read (second as day-first); the 3 Jan close is older than 1 Feb so the current price stays
+  return rows.length === 2 && rows[1].date === "2024-01-03" && rows[1].close === 111 && errors.length === 2 &&
+    plan.changes[0].status === "same" && plan.changes[1].status === "new" && plan.current.length === 0;
+}
+
+function tradeImportSmokeTest() {
+  const csv = [
+    "Trade Date,Code,Buy/Sell,Quantity,Price,Brokerage",
+    "05/03/2024,VGS.AX,Buy,10,110.50,9.50",
+    "13/03/2024,VGS,S,5,112,9.50",
+    "14/03/2024,XYZ,Buy,1,1,0",
+  ].join("\n");
+  const file = readTradeFile(csv);
+  const cols = resolveColumns(brokerProfile("commsec"), file.keys);
+  const rows = convertTrades(file.records, cols, { dateFormat: "DMY", decimal: ".", tickers: ["VGS"], today: "2024-12-31" });
+  const booked = [{ kind: "BUY", ticker: "VGS", units: 10, price: 110.5, date: "2024-03-05T00:00:00.000Z" }];
+  const status = markDuplicates(rows, booked).map(r => r.status).join(",");
+  return status === "duplicate,new,error" && rows[1].trade.kind === "SELL" && rows[1].trade.date === "2024-03-13";
+}
+
+function schemaSmokeTest() {
+  // v1: positions only -> opening buys that replay back onto the same units
+  const v1 = { assets: [{ ticker: "X", name: "X", targetWeight: 1, price: 12, units: 3, lots: [{ qty: 3, price: 10, date: "2020-01-01T00:00:00.000Z" }] }] };
+  const up = migrate(v1);
+  const clean = up.schemaVersion === 8 && up.portfolios[0].transactions.length === 1 && validateBackup(up).length === 0;
+  const bad = migrate({ assets: [{ ticker: "X", targetWeight: 2 }], transactions: [{ kind: "SWAP", ticker: "Y", date: "nope" }] });
+  return clean && validateBackup(bad).length === 4;
+}
+
+// Async: resolves true when a one-row edit writes just that row
+async function storageSmokeTest() {
+  const writes = [];
+  const memory = { read: async () => null, write: async change => { writes.push(change); }, clear: async () => {} };
+  const p = createPersister(memory);
+  const a = { id: "a", kind: "BUY" };
+  const b = { id: "b", kind: "BUY" };
+  const assets = [];
+  const book = transactions => ({ id: "p", name: "P", taxProfile: "individual", assets, transactions });
+  const state = { portfolios: [book([b, a])], priceHistory: { X: [] } };
+  await p.save(state);
+  await p.save({ ...state, portfolios: [book([{ ...b, units: 2 }, a])] });
+  await p.save({ ...state, portfolios: [book([a])] });
+  const [first, edit, del] = writes;
+  return writes.length === 3 && first.putTxn.length === 2 && first.putTxn[0].seq < first.putTxn[1].seq &&
+    edit.putTxn.length === 1 && edit.putTxn[0].id === "b" && !edit.meta && !edit.putPrices.length &&
+    del.deleteTxn.join() === "b" && !del.putTxn.length;
+}
+
+function portfolioSmokeTest() {
+  // a 300 gain held over a year: SMSF keeps two thirds, a company all of it
+  const lanes = [laneConfig({ ticker: "X", targetWeight: 1, price: 10 })];
+  const tx = [
+    { id: "s", kind: "SELL", ticker: "X", units: 1, price: 400, date: "2022-01-01T00:00:00.000Z" },
+    { id: "b", kind: "BUY", ticker: "X", units: 2, price: 100, date: "2020-01-01T00:00:00.000Z" },
+  ];
+  const gain = key => replayLedger(lanes, tx, { discountRate: taxProfile(key).discountRate }).transactions[0].discountGain;
+  const books = ["individual", "smsf"].map(key => ({ portfolio: { id: key, name: key }, assets: replayLedger(lanes, tx).assets }));
+  const household = consolidate(books);
+  return Math.abs(gain("smsf") - 200) < 1e-9 && gain("company") === 300 && gain("individual") === 150 &&
+    household.netWorth === 20 && household.allocation.length === 1 && household.allocation[0].holders.length === 2;
+}
+
+function cashSmokeTest() {
+  const lanes = [laneConfig({ ticker: "X", targetWeight: 1 })];
+  const tx = [
+    { id: "w", kind: "WITHDRAW", amount: 100, date: "2024-03-01T00:00:00.000Z" },
+    { id: "d2", kind: "DIST", ticker: "X", amount: 20, date: "2024-02-01T00:00:00.000Z" },
+    { id: "s", kind: "SELL", ticker: "X", units: 5, price: 12, brokerage: 5, date: "2024-01-15T00:00:00.000Z" },
+    { id: "b", kind: "BUY", ticker: "X", units: 10, price: 10, brokerage: 10, date: "2024-01-02T00:00:00.000Z" },
+    { id: "d", kind: "DEPOSIT", amount: 50, date: "2024-01-01T00:00:00.000Z" },
+  ];
+  // 50 in, buy 110 (60 topped up), sell +55, dist +20 -> 75 on hand; the 100 withdrawal overdraws
+  const r = replayLedger(lanes, tx);
+  const ok = replayLedger(lanes, tx.slice(1));
+  return r.issues.length === 1 && r.issues[0].id === "w" && r.cash === 75 && r.contributed === 110 &&
+    ok.transactions[2].topUp === 60 && replayLedger(lanes, [{ ...tx[0], amount: 75 }, ...tx.slice(1)]).cash === 0;
+}
+
+function contributionSmokeTest() {
+  // A 60/40 target sitting at 80/20: 20 of new money all goes to B, which
+  // still ends below target; 100 is enough to land both exactly on it
+  const assets = [
+    { ticker: "A", targetWeight: 0.6, units: 80, price: 1 },
+    { ticker: "B", targetWeight: 0.4, units: 20, price: 1 },
+  ];
+  const small = planSplits(assets, 20, "underweight");
+  const big = planSplits(assets, 100, "underweight");
+  const plain = planSplits(assets, 100, "target");
+  return Math.abs(small[0].amount) < 1e-6 && Math.abs(small[1].amount - 20) < 1e-6 && Math.abs(small[1].projectedWeight - 1 / 3) < 1e-6 &&
+    Math.abs(big[0].amount - 40) < 1e-6 && Math.abs(big[1].projectedWeight - 0.4) < 1e-6 && plain[0].amount === 60;
+}
+
+function orderSizingSmokeTest() {
+  // 1000 at 10 brokerage into two empty 50/50 lanes. A $500 first parcel
+  // leaves room for only one order; without it both lanes fill exactly
+  const assets = [
+    { ticker: "A", targetWeight: 0.5, units: 0, price: 100 },
+    { ticker: "B", targetWeight: 0.5, units: 0, price: 30 },
+  ];
+  const min = sizeOrders(assets, 1000, { brokerage: 10, minParcel: 500 });
+  const free = sizeOrders(assets, 1000, { brokerage: 10 });
+  return min.orders.length === 1 && min.orders[0].units === 5 && min.remainder === 490 &&
+    free.orders.map(o => o.units).join() === "5,16" && free.brokerage === 20 && free.remainder === 0;
+}
+
+function taxAwareSmokeTest() {
+  // Selling 560 of A at 2 takes the loss parcel (a3), then the old gain (a1,
+  // discounted), then 80 units of a2, 26 days short of 12 months. The loss
+  // nets against a2's undiscounted 40 first: (40 − 50) + (100 − 10) × ½ = 45
+  const ago = days => new Date(Date.now() - days * 864e5).toISOString();
+  const lanes = [{ ticker: "A", targetWeight: 0.6, price: 2 }, { ticker: "B", targetWeight: 0.4, price: 1 }];
+  const { assets } = replayLedger(lanes, [
+    { id: "a1", kind: "BUY", ticker: "A", units: 100, price: 1, date: ago(800) },
+    { id: "a2", kind: "BUY", ticker: "A", units: 100, price: 1.5, date: ago(340) },
+    { id: "a3", kind: "BUY", ticker: "A", units: 100, price: 2.5, date: ago(100) },
+    { id: "b1", kind: "BUY", ticker: "B", units: 200, price: 1, date: ago(500) },
+  ]);
+  const est = sellTaxEstimate(assets[0], 560, { discountRate: 0.5, taxRate: 0.3 });
+  const [full, partial, wait] = rebalanceScenarios(assets, { band: () => 0.05, discountRate: 0.5, taxRate: 0.3 });
+  return Math.abs(est.taxable - 45) < 1e-9 && est.near.length === 1 && est.near[0].txnId === "a2" &&
+    Math.abs(full.sold - 120) < 1e-9 && full.drift < 1e-9 && full.tax < 0 &&
+    Math.abs(partial.sold - 80) < 1e-9 && Math.abs(partial.drift - 0.05) < 1e-9 &&
+    wait.sold === 0 && Math.abs(wait.newMoneyToTarget - 200) < 1e-9;
+}
+
+function policySmokeTest() {
+  // A 10% lane at 14%: inside a 5-point band, outside 25% of its target
+  const assets = [{ ticker: "A", targetWeight: 0.1, units: 14, price: 1 }, { ticker: "B", targetWeight: 0.9, units: 86, price: 1 }];
+  const policy = defaultPolicy();
+  const out = bandBreaches(assets, policy);
+  const loose = bandBreaches(assets, { ...policy, bands: { A: { absolutePct: null, relativePct: 50 } } });
+  const fired = updateHistory(policy, { breaches: out, transactions: [], today: "2026-03-02" });
+  const buy = { kind: "BUY", ticker: "B", units: 4, price: 1, date: "2026-03-05T00:00:00.000Z" };
+  const closed = updateHistory(fired, { breaches: [], transactions: [buy], today: "2026-03-05" });
+  const quarterly = { ...policy, calendar: "quarterly", reviewMonth: 7, lastReview: "2026-07-01" };
+  return out.length === 1 && out[0].ticker === "A" && loose.length === 0 &&
+    fired.history.length === 1 && updateHistory(fired, { breaches: out, transactions: [], today: "2026-03-03" }) === fired &&
+    closed.history[0].closedOn === "2026-03-05" && closed.history[0].outcome === "Back inside bands, 1 trade since" &&
+    nextReview(quarterly, "2026-07-01") === "2026-10-01" && nextReview({ ...quarterly, calendar: "annual" }, "2026-07-15") === "2027-07-01" &&
+    reviewDue(quarterly, "2026-10-01") && !reviewDue(quarterly, "2026-09-30");
+}
+
+function scheduleSmokeTest() {
+  // Monthly from the 31st clamps to each month's last day
+  const plan = newPlan({ name: "DCA", amount: 500, start: "2026-01-31" });
+  const dates = dueDates(plan, "2026-04-30");
+  const late = recordContribution(plan, "2026-01-31", { status: "done", on: "2026-02-04" });
+  const tracked = recordContribution(late, "2026-02-28", { status: "skipped", on: "2026-03-01" });
+  const s = planStatus(tracked, "2026-04-01");
+  const due = dueContributions([tracked], "2026-04-01");
+  return dates.join() === "2026-01-31,2026-02-28,2026-03-31,2026-04-30" &&
+    s.done === 1 && s.late === 1 && s.skipped === 1 && s.overdue === 1 && s.next === "2026-04-30" &&
+    due.length === 1 && due[0].due === "2026-03-31" && due[0].status === "overdue" &&
+    dueContributions([tracked], "2026-04-20").map(d => d.status).join() === "overdue,upcoming";
+}
+
+function taxReportSmokeTest() {
+  // One sale across a discountable parcel and a loss parcel; rows add up to the sale
+  const lanes = [laneConfig({ ticker: "X", targetWeight: 1 })];
+  const { transactions } = replayLedger(lanes, [
+    { id: "s", kind: "SELL", ticker: "X", units: 15, price: 300, brokerage: 15, date: "2024-01-10T00:00:00.000Z" },
+    { id: "b2", kind: "BUY", ticker: "X", units: 10, price: 350, brokerage: 10, date: "2023-09-01T00:00:00.000Z" },
+    { id: "b1", kind: "BUY", ticker: "X", units: 10, price: 100, date: "2022-01-01T00:00:00.000Z" },
+  ]);
+  const report = taxReport(transactions, 2023);
+  const [first, second] = report.rows;
+  const label = code => report.labels.find(l => l.code === code).value;
+  return report.rows.length === 2 && first.method === "Discount" && first.days === 739 && first.proceeds === 2990 &&
+    second.method === "Loss" && second.gain === -260 && report.totals.gain === transactions[0].gain &&
+    label("18H") === 1990 && label("18A") === 865 && label("18V") === 0 &&
+    reportCSV(report).includes("X,A1 (sale),2022-01-01,2024-01-10,10,1000.00,2990.00,739,Discount,1990.00") &&
+    taxReport(transactions, 2024).rows.length === 0 &&
+    !reportHTML(taxReport(transactions, 2023, { entity: "SMSF (complying)", individual: false })).includes("item 18");
+}
+
+function fxSmokeTest() {
+  // A USD lane: cost base and proceeds at the trade-date rate, value at the latest
+  const rates = [["2023-01-01", 1.5], ["2024-01-01", 1.4], ["2024-06-01", 1.6]].reduce((acc, [d, r]) => upsertRate(acc, "USD", d, r), {});
+  const fxAt = makeFxLookup(rates);
+  const lanes = [laneConfig({ ticker: "X", targetWeight: 1, quote: 500, currency: "USD" })];
+  const tx = [
+    { id: "b2", kind: "BUY", ticker: "X", units: 1, price: 500, date: "2024-03-01T00:00:00.000Z" },
+    { id: "s", kind: "SELL", ticker: "X", units: 10, price: 225, date: "2024-02-01T00:00:00.000Z" },
+    { id: "b1", kind: "BUY", ticker: "X", units: 10, price: 200, brokerage: 5, date: "2023-03-01T00:00:00.000Z" },
+  ];
+  const { transactions, assets, issues } = replayLedger(lanes, tx, { fxAt });
+  const sell = transactions.find(t => t.id === "s");
+  const [row] = taxReport(transactions, 2023).rows;
+  const early = replayLedger(lanes, [{ id: "b0", kind: "BUY", ticker: "X", units: 1, price: 100, date: "2022-06-01T00:00:00.000Z" }], { fxAt });
+  return issues.length === 0 && sell.costBase === 3007.5 && sell.proceeds === 3150 && Math.abs(sell.fxGain + 225) < 1e-9 &&
+    sell.fxUsed === 1.4 && sell.fxRate === undefined &&
+    row.fxGain === sell.fxGain && assets[0].quote === 500 && assets[0].price === 800 && Math.abs(assets[0].unrealisedFx - 100) < 1e-9 &&
+    early.issues.length === 1 && fxAt("AUD", "2000-01-01") === 1 && fxAt("USD", "2023-12-31") === 1.5;
+}
+
+function projectionSmokeTest() {
+  // Without volatility every simulated path is the expected-return path
+  const lanes = [{ ticker: "A", weight: 0.5, expectedReturn: 0.1, volatility: 0 }, { ticker: "B", weight: 0.5, expectedReturn: 0, volatility: 0 }];
+  const params = { start: 1000, lanes, years: 2, contribution: 100, inflation: 0.1, correlation: 0.5 };
+  const path = deterministicPath(params);
+  const flat = simulate(params, { runs: 5 });
+  const risky = { ...params, lanes: lanes.map(l => ({ ...l, volatility: 0.2 })) };
+  const bands = simulate(risky, { runs: 200, seed: 7 });
+  const L = choleskyEqui(2, 0.5);
+  return path[1].value === 1160 && Math.abs(path[2].value - 1339) < 1e-9 && path[2].contributed === 1000 + 110 + 121 &&
+    Math.abs(flat[2].p10 - path[2].value) < 1e-9 && Math.abs(flat[2].p90 - path[2].value) < 1e-9 &&
+    bands[2].p10 < bands[2].p50 && bands[2].p50 < bands[2].p90 && simulate(risky, { runs: 200, seed: 7 })[2].p50 === bands[2].p50 &&
+    L[1][0] === 0.5 && Math.abs(L[1][1] - Math.sqrt(0.75)) < 1e-12;
+}
+
 function fifoSmokeTest() {
   const lots = [{ qty: 2, price: 100, date: "2020-01-01" }, { qty: 3, price: 200, date: "2021-01-01" }];
   const { consumed, newLots, unfilled } = consumeLotsFIFO(lots, 4); // sell 4 units
   const tookFirstLot = consumed[0].qty === 2 && consumed[0].price === 100;
   const tookSecondLot = consumed[1].qty === 2 && consumed[1].price === 200;
   const remainingLot = newLots.length === 1 && newLots[0].qty === 1 && newLots[0].price === 200;
-  return tookFirstLot && tookSecondLot && remainingLot && unfilled === 0;
+  // a fractional sale of a whole parcel leaves no float-dust parcel behind
+  const dust = selectLots([{ qty: 0.1 + 0.2, price: 1, date: "2020-01-01" }, ...lots], 0.3).newLots;
+  return tookFirstLot && tookSecondLot && remainingLot && unfilled === 0 && dust.length === 2 && dust[0].qty === 2;
+}
+
+function replaySmokeTest() {
+  const lanes = [laneConfig({ ticker: "X", targetWeight: 1 })];
+  const tx = [
+    { id: "s", kind: "SELL", ticker: "X", units: 15, price: 300, date: "2022-01-01T00:00:00.000Z" },
+    { id: "b2", kind: "BUY", ticker: "X", units: 10, price: 200, date: "2021-01-01T00:00:00.000Z" },
+    { id: "b1", kind: "BUY", ticker: "X", units: 10, price: 100, date: "2020-01-01T00:00:00.000Z" },
+  ];
+  const { assets, transactions, issues } = replayLedger(lanes, tx);
+  const sell = transactions[0];
+  const rebuilt = assets[0].units === 5 && assets[0].lots.length === 1 && assets[0].lots[0].price === 200;
+  const firstOk = assets[0].firstContribution === "2020-01-01T00:00:00.000Z";
+  const badSell = replayLedger(lanes, tx.slice(0, 2)).issues.length === 1;
+  // $10 buy brokerage lifts cost base, $5 sell brokerage trims proceeds
+  const withFees = replayLedger(lanes, [{ ...tx[0], units: 10, brokerage: 5 }, { ...tx[2], brokerage: 10 }]).transactions[0];
+  const feesOk = withFees.costBase === 1010 && withFees.proceeds === 2995 && withFees.gain === 1985;
+  return issues.length === 0 && rebuilt && firstOk && sell.costBase === 2000 && sell.gain === 2500 && badSell && feesOk;
+}
+
+function lossNettingSmokeTest() {
+  const sell = (date, f) => ({ kind: "SELL", date, discountableGain: 0, otherGain: 0, capitalLoss: 0, ...f });
+  const tx = [
+    sell("2023-08-01T00:00:00.000Z", { capitalLoss: 1000 }),           // FY23: loss only -> carry 1000
+    sell("2024-08-01T00:00:00.000Z", { otherGain: 300, discountableGain: 2000, capitalLoss: 200 }),
+  ];
+  const fy23 = cgtSummaryFY(tx, 2023);
+  const fy24 = cgtSummaryFY(tx, 2024);
+  // FY24: 200 current loss -> other (100 left); 1000 prior -> 100 other, 900 discountable; 1100 * 50%
+  return fy23.netCapitalGain === 0 && fy23.carryForward === 1000 &&
+    fy24.currentLossesApplied === 200 && fy24.priorLossesApplied === 1000 &&
+    fy24.netCapitalGain === 550 && fy24.carryForward === 0;
+}
+
+function lotMethodSmokeTest() {
+  const lots = [
+    { txnId: "a", qty: 2, price: 100, date: "2020-01-01T00:00:00.000Z" },
+    { txnId: "b", qty: 2, price: 300, date: "2024-01-01T00:00:00.000Z" },
+    { txnId: "c", qty: 2, price: 200, date: "2024-06-01T00:00:00.000Z" },
+  ];
+  const opts = { price: 250, saleDate: new Date("2024-07-01T00:00:00.000Z") };
+  const first = (method, extra) => selectLots(lots, 2, { ...opts, method, ...extra }).consumed[0]?.txnId;
+  const specific = selectLots(lots, 3, { method: "SPECIFIC", picks: [{ lotId: "c", qty: 2 }, { lotId: "a", qty: 1 }] });
+  // lowest tax: the loss parcel (b) beats the discounted gain (a) and the short-term gain (c)
+  return first("FIFO") === "a" && first("LIFO") === "c" && first("HIFO") === "b" && first("MIN_TAX") === "b" &&
+    specific.consumed.length === 2 && specific.newLots.length === 2 &&
+    !!selectLots(lots, 3, { method: "SPECIFIC", picks: [{ lotId: "a", qty: 1 }] }).error;
+}
+
+function distributionSmokeTest() {
+  const lanes = [laneConfig({ ticker: "X", targetWeight: 1 })];
+  const tx = [
+    { id: "s", kind: "SELL", ticker: "X", units: 11, price: 120, date: "2024-08-01T00:00:00.000Z" },
+    { id: "am", kind: "AMIT", ticker: "X", amount: -55, date: "2024-06-30T00:00:00.000Z" },
+    { id: "d", kind: "DIST", ticker: "X", amount: 40, frankingCredits: 10, date: "2024-04-01T00:00:00.000Z" },
+    { id: "r", kind: "DRP", ticker: "X", units: 1, price: 110, date: "2024-01-01T00:00:00.000Z" },
+    { id: "b", kind: "BUY", ticker: "X", units: 10, price: 100, date: "2023-01-01T00:00:00.000Z" },
+  ];
+  const { transactions, issues } = replayLedger(lanes, tx);
+  // AMIT -55 over 11 units = -5/unit -> cost base 950 + 105
+  const income = incomeSummaryFY(transactions, 2023).total;
+  return issues.length === 0 && transactions[0].costBase === 1055 && income.assessable === 160 && income.amitDecrease === 55;
 }
 
 function cagrSmokeTest() {
@@ -96,6 +421,12 @@ function cagrSmokeTest() {
   return Math.abs(cagr - 0.10) < 0.02; // within 2%
 }
 
+function xirrSmokeTest() {
+  // 100 in, 121 back two years later ~= 10% p.a.
+  const r = xirr([{ date: new Date("2020-01-01"), amount: -100 }, { date: new Date("2022-01-01"), amount: 121 }]);
+  return r != null && Math.abs(r - 0.10) < 0.001 && xirr([{ date: new Date(), amount: -1 }]) === null;
+}
+
 function cgtSmokeTest() {
   const emptyTx = [];
   const fyYear = 2024;
@@ -105,25 +436,6 @@ function cgtSmokeTest() {
   return Array.isArray(sells) && sells.length === 0;
 }
 
-function whatIfSell(ticker, amountAUD) {
-  const a = assets.find(x => x.ticker === ticker);
-  if (!a || !a.price || amountAUD <= 0) return null;
-  const units = amountAUD / a.price;
-  const { consumed, unfilled } = consumeLotsFIFO(a.lots, units);
-  if (unfilled > 1e-9) return { error: "Insufficient units for this what-if." };
-
-  const proceeds = units * a.price;
-  const saleDate = new Date();
-  const costBase = consumed.reduce((s, l) => s + l.qty * l.price, 0);
-  const grossGain = Math.max(0, proceeds - costBase);
-  const discountGain = consumed.reduce((acc, l) => {
-    const heldYears = yearsBetween(new Date(l.date), saleDate);
-    const lGain = l.qty * Math.max(0, (a.price - l.price));
-    return acc + (heldYears >= 1 ? 0.5 * lGain : lGain);
-  }, 0);
-  return { units, proceeds, costBase, grossGain, discountGain };
-}
-
 export default function StreetSmartWealthTracker() {
   // THEME --------------------------------------------------------------------
   const [theme, setTheme] = useState(() => localStorage.getItem(THEME_KEY) || "light");
@@ -134,90 +446,197 @@ export default function StreetSmartWealthTracker() {
     localStorage.setItem(THEME_KEY, theme);
   }, [theme]);
 
-  const [assets, setAssets] = useState(() => {
-    const saved = localStorage.getItem(STORAGE_KEY);
-    if (saved) {
-      try { return JSON.parse(saved).assets; } catch { /* noop */ }
-    }
-    // initialize with defaults
-    return DEFAULT_ASSETS.map(a => ({
-      ...a,
-      price: 0,
-      units: 0,
-      invested: 0,
-      lots: [], // { qty, price, date }
-      firstContribution: null,
-    }));
-  });
+  // Each portfolio holds lane config only; units, lots and invested are
+  // replayed from its transaction log
+  const [portfolios, setPortfolios] = useState(defaultPortfolios);
+  const [activeId, setActiveId] = useState(() => localStorage.getItem(ACTIVE_PORTFOLIO_KEY));
+  const active = portfolios.find(p => p.id === activeId) || portfolios[0];
+  const lanes = active.lanes;
+  const txn = active.transactions;
+  const profile = taxProfile(active.taxProfile);
+  useEffect(() => {
+    localStorage.setItem(ACTIVE_PORTFOLIO_KEY, active.id);
+  }, [active.id]);
 
-  const [txn, setTxn] = useState(() => {
-    const saved = localStorage.getItem(STORAGE_KEY);
-    if (saved) {
-      try { return JSON.parse(saved).transactions || []; } catch { /* noop */ }
-    }
-    return [];
-  });
+  // Setters for the portfolio on screen, called like useState setters
+  function updateActive(key, next) {
+    setPortfolios(ps => ps.map(p => (p.id === active.id ? { ...p, [key]: typeof next === "function" ? next(p[key]) : next } : p)));
+  }
+  const setLanes = next => updateActive("lanes", next);
+  const setTxn = next => updateActive("transactions", next);
+  const setPolicy = next => updateActive("rebalance", next);
+  const policy = active.rebalance;
+  const setPlans = next => updateActive("plans", next);
+  const plans = active.plans;
+
+  // { [currency]: [{ date: "YYYY-MM-DD", rate }] }, AUD per unit; shared by all portfolios
+  const [fxRates, setFxRates] = useState({});
+  const fxAt = useMemo(() => makeFxLookup(fxRates), [fxRates]);
+
+  // lots are { qty, price, date, txnId }
+  const books = useMemo(
+    () => portfolios.map(p => ({ portfolio: p, ledger: replayLedger(p.lanes, p.transactions, { discountRate: taxProfile(p.taxProfile).discountRate, fxAt }) })),
+    [portfolios, fxAt]
+  );
+  const ledger = books.find(b => b.portfolio.id === active.id).ledger;
+  const assets = ledger.assets;
+  const household = useMemo(
+    () => consolidate(books.map(({ portfolio, ledger: l }) => ({ portfolio, assets: l.assets, cash: l.cash, contributed: l.contributed }))),
+    [books]
+  );
 
-  const [planner, setPlanner] = useState({ budget: 0, bufferPct: 0, fees: 0 });
-  const [rebalance, setRebalance] = useState({ enabled: true, thresholdPct: 5 });
+  // { [ticker]: [{ date: "YYYY-MM-DD", close }] }
+  const [priceHistory, setPriceHistory] = useState({});
+
+  // Saved data arrives asynchronously; nothing is written back until it has,
+  // and never after a failed load (that would overwrite what's there)
+  const [persister] = useState(() => createPersister());
+  const [storage, setStorage] = useState("loading"); // loading | ready | failed
+  const [storageError, setStorageError] = useState(null);
+  useEffect(() => {
+    persister.load().then(saved => {
+      if (saved) {
+        setPortfolios(saved.portfolios.map(loadedPortfolio));
+        setPriceHistory(saved.priceHistory || {});
+        setFxRates(saved.fxRates || {});
+      }
+      setStorage("ready");
+    }, err => {
+      setStorageError(`Couldn't load saved data (${err.message || err}). Changes in this session won't be saved.`);
+      setStorage("failed");
+    });
+  }, [persister]);
+
+  // A blank budget means "cash above the buffer"; bufferPct is the share of
+  // total value (holdings + cash) to keep in cash. fees is brokerage per
+  // trade; minParcel is the smallest first buy into a lane (ASX: $500).
+  // due is the scheduled contribution loaded into it, if any.
+  const [planner, setPlanner] = useState({ budget: "", bufferPct: 0, fees: 0, mode: "target", wholeUnits: true, minParcel: 500, due: null });
+  const [taxRateDraft, setTaxRateDraft] = useState(null); // marginal rate % being typed
   const [confirmReset, setConfirmReset] = useState(false);
-  const fileInputRef = useRef(null);
-  const [whatIfTicker, setWhatIfTicker] = useState("VGS");
+  const [importErrors, setImportErrors] = useState(null); // { name, errors[] } from a rejected restore
+  const [backupCrypt, setBackupCrypt] = useState({ enabled: false, passphrase: "", confirm: "" });
+  const [backupError, setBackupError] = useState(null);
+  const [unlock, setUnlock] = useState(null); // { name, envelope, passphrase, error, busy } for an encrypted restore
+  const [whatIfTicker, setWhatIfTicker] = useState(() => assets[0]?.ticker || "");
   const [whatIfAmount, setWhatIfAmount] = useState("");
+  const [whatIfBrokerage, setWhatIfBrokerage] = useState("");
+  const [whatIfMethod, setWhatIfMethod] = useState("FIFO");
+  const [whatIfPicks, setWhatIfPicks] = useState([]); // [{ lotId, qty: "1.5" }]
   const [whatIfResult, setWhatIfResult] = useState(null);
   const [priceDraft, setPriceDraft] = useState({});
   const [unitsMode, setUnitsMode] = useState(false);
   const [plannedUnits, setPlannedUnits] = useState({}); // { [ticker]: "123.45" }
+  const [editingTxnId, setEditingTxnId] = useState(null);
+  const [planError, setPlanError] = useState(null); // why replay refused the planner's commit
+
+  // Saved column mappings for broker imports, keyed by broker id
+  const [brokerProfiles, setBrokerProfiles] = useState(() => {
+    try { return JSON.parse(localStorage.getItem(BROKER_PROFILES_KEY)) || {}; } catch { return {}; }
+  });
+  useEffect(() => {
+    localStorage.setItem(BROKER_PROFILES_KEY, JSON.stringify(brokerProfiles));
+  }, [brokerProfiles]);
 
   useEffect(() => {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify({ assets, transactions: txn }));
-  }, [assets, txn]);
+    if (storage !== "ready") return;
+    persister.save(snapshot({ portfolios: portfolios.map(p => savedPortfolio(p)), priceHistory, fxRates }))
+      .then(() => setStorageError(null), err => setStorageError(`Couldn't save changes: ${err.message || err}`));
+  }, [persister, storage, portfolios, priceHistory, fxRates]);
 
   useEffect(() => {
     if (import.meta?.env?.DEV) {
       console.assert(csvSmokeTest(), "CSV smoke test failed");
+      console.assert(priceImportSmokeTest(), "Price import smoke test failed");
+      console.assert(tradeImportSmokeTest(), "Trade import smoke test failed");
+      console.assert(schemaSmokeTest(), "Schema smoke test failed");
+      storageSmokeTest().then(ok => console.assert(ok, "Storage smoke test failed"));
+      console.assert(portfolioSmokeTest(), "Portfolio smoke test failed");
+      console.assert(cashSmokeTest(), "Cash smoke test failed");
+      console.assert(contributionSmokeTest(), "Contribution smoke test failed");
+      console.assert(orderSizingSmokeTest(), "Order sizing smoke test failed");
+      console.assert(taxAwareSmokeTest(), "Tax-aware rebalance smoke test failed");
+      console.assert(policySmokeTest(), "Rebalance policy smoke test failed");
+      console.assert(scheduleSmokeTest(), "Contribution schedule smoke test failed");
+      console.assert(projectionSmokeTest(), "Projection smoke test failed");
+      console.assert(taxReportSmokeTest(), "Tax report smoke test failed");
+      console.assert(fxSmokeTest(), "FX smoke test failed");
       console.assert(fifoSmokeTest(), "FIFO smoke test failed");
+      console.assert(replaySmokeTest(), "Replay smoke test failed");
+      console.assert(lotMethodSmokeTest(), "Lot method smoke test failed");
+      console.assert(distributionSmokeTest(), "Distribution smoke test failed");
       console.assert(cagrSmokeTest(), "CAGR smoke test failed");
+      console.assert(xirrSmokeTest(), "XIRR smoke test failed");
       console.assert(cgtSmokeTest(), "CGT smoke test failed");
+      console.assert(lossNettingSmokeTest(), "Loss netting smoke test failed");
     }
   }, []);
 
-  const plannedSplits = useMemo(() => {
-    const budget = Math.max(0, Number(planner.budget) || 0);
-    const fees = Math.max(0, Number(planner.fees) || 0);
-    const bufferPct = Math.max(0, Number(planner.bufferPct) || 0);
-    const spendable = Math.max(0, budget - fees - budget * (bufferPct / 100));
-    if (spendable <= 0) return [];
-
-    const totalWeights = assets.reduce((s, a) => s + (a.targetWeight || 0), 0) || 1;
-    return assets.map((a, i) => {
-      const amount = spendable * ((a.targetWeight || 0) / totalWeights);
-      const units = a.price > 0 ? amount / a.price : null; // show null if no price set
-      return { idx: i, ticker: a.ticker, name: a.name, weight: a.targetWeight, amount, units, price: a.price };
-    });
-  }, [planner, assets]);
-  
+  // Retired lanes keep their history but take no new money
+  const activeAssets = useMemo(() => assets.filter(a => !a.retired), [assets]);
+
+  // Holdings at current prices plus cash; weights are shares of the lot
   const totals = useMemo(() => {
     const invested = assets.reduce((s, a) => s + (a.invested || 0), 0);
-    const value = assets.reduce((s, a) => s + (a.units * (a.price || 0)), 0);
+    const holdings = assets.reduce((s, a) => s + (a.units * (a.price || 0)), 0);
+    const cash = ledger.cash;
+    const value = holdings + cash;
     const weights = assets.map(a => ({ ticker: a.ticker, w: value > 0 ? (a.units * (a.price || 0)) / value : 0 }));
-    return { invested, value, weights };
-  }, [assets]);
-
-  const suggestions = useMemo(() => {
-    if (!rebalance.enabled || totals.value <= 0) return [];
-    const deltas = assets.map(a => {
-      const currentWeight = totals.value > 0 ? (a.units * (a.price || 0)) / totals.value : 0;
-      const diffPct = (currentWeight - (a.targetWeight || 0)) * 100;
-      return { ticker: a.ticker, name: a.name, diffPct, currentWeight };
-    });
-    const out = deltas.filter(d => Math.abs(d.diffPct) >= (rebalance.thresholdPct || 0));
-    return out.sort((a, b) => Math.abs(b.diffPct) - Math.abs(a.diffPct));
-  }, [assets, totals, rebalance]);
+    return { invested, holdings, cash, value, weights };
+  }, [assets, ledger]);
+
+  const cashBuffer = totals.value * (Math.max(0, Number(planner.bufferPct) || 0) / 100);
+  const availableCash = Math.max(0, totals.cash - cashBuffer);
+  const plannerBudget = planner.budget === "" ? availableCash : Math.max(0, Number(planner.budget) || 0);
+
+  const plannerFees = Math.max(0, Number(planner.fees) || 0);
+
+  // Brokerage comes off the budget once per lane that ends up with an order
+  const plannedSplits = useMemo(() => {
+    const split = n => planSplits(assets, Math.max(0, plannerBudget - plannerFees * n), planner.mode);
+    const first = split(activeAssets.length);
+    const funded = first.filter(r => r.amount > 0).length;
+    return funded === activeAssets.length ? first : split(funded);
+  }, [planner.mode, plannerBudget, plannerFees, assets, activeAssets]);
+
+  // The same money as whole-unit orders: what the broker will actually fill
+  const plannedOrders = useMemo(() => sizeOrders(assets, plannerBudget, {
+    mode: planner.mode,
+    brokerage: plannerFees,
+    minParcel: Math.max(0, Number(planner.minParcel) || 0),
+  }), [planner.mode, planner.minParcel, plannerBudget, plannerFees, assets]);
+  const wholeUnitOrders = planner.wholeUnits && !unitsMode;
+  const orderRows = useMemo(() => Object.fromEntries(plannedOrders.rows.map(r => [r.ticker, r])), [plannedOrders]);
+
+  // Drift and rebalancing look at the invested mix only; cash is the planner's job
+  const breaches = useMemo(() => bandBreaches(assets, policy), [assets, policy]);
+  const today = localToday();
+
+  // Log triggers as they fire (and band triggers as they clear) once saved data is in
+  useEffect(() => {
+    if (storage === "loading") return;
+    const next = updateHistory(policy, { breaches, transactions: txn, today });
+    if (next !== policy) setPortfolios(ps => ps.map(p => (p.id === active.id ? { ...p, rebalance: next } : p)));
+  }, [storage, active.id, policy, breaches, txn, today]);
+
+  // Contributions due (or overdue) load into an idle planner, each once per session
+  const contributions = useMemo(() => dueContributions(plans, today), [plans, today]);
+  const prefilled = useRef(new Set());
+  useEffect(() => {
+    const first = contributions.find(c => c.status !== "upcoming");
+    if (!first || planner.due || planner.budget !== "") return;
+    const key = `${first.plan.id}:${first.due}`;
+    if (prefilled.current.has(key)) return;
+    prefilled.current.add(key);
+    setPlanner(p => withContribution(p, first));
+  }, [contributions, planner.due, planner.budget]);
+
+  const taxRate = policy.taxRatePct == null ? profile.taxRate : policy.taxRatePct / 100;
+  const taxOpts = useMemo(() => ({ discountRate: profile.discountRate, taxRate }), [profile, taxRate]);
 
   const rebalancePlan = useMemo(() => {
-  const total = totals.value || 0;
-  return assets.map(a => {
+  const total = totals.holdings || 0;
+  return assets.filter(a => !a.retired || a.units > 0).map(a => {
     const current = (a.units || 0) * (a.price || 0);
     const targetValue = total * (a.targetWeight || 0);
     const delta = targetValue - current; // +buy / -sell
@@ -228,45 +647,157 @@ export default function StreetSmartWealthTracker() {
       targetValue,
       delta,
       weightNow: total > 0 ? current / total : 0,
+      tax: delta < 0 ? sellTaxEstimate(a, -delta, taxOpts) : null,
     };
   }).sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
-  }, [assets, totals.value]);
+  }, [assets, totals.holdings, taxOpts]);
+
+  const rebalanceTradeoffs = useMemo(
+    () => rebalanceScenarios(assets, { band: a => Math.min(laneBand(policy, a), 1), ...taxOpts }),
+    [assets, policy, taxOpts],
+  );
+
+  // Prices are market data: every portfolio holding the ticker takes the new one
+  function setLanePrice(ticker, price) {
+    setPortfolios(ps => ps.map(p => (p.lanes.some(a => a.ticker === ticker)
+      ? { ...p, lanes: p.lanes.map(a => (a.ticker === ticker ? { ...a, price } : a)) }
+      : p)));
+  }
+
+  // `list` is the portfolio list being switched into, when it's just been replaced
+  function switchPortfolio(id, list = portfolios) {
+    setActiveId(id);
+    setEditingTxnId(null);
+    setPlanError(null);
+    setWhatIfResult(null);
+    setWhatIfPicks([]);
+    setPlannedUnits({});
+    setPlanner(p => (p.due ? { ...p, budget: "", due: null } : p));
+    setWhatIfTicker(list.find(p => p.id === id)?.lanes[0]?.ticker || "");
+  }
 
-  function updateAsset(ticker, patch) {
-    setAssets(prev => prev.map(a => (a.ticker === ticker ? { ...a, ...patch } : a)));
+  // Apply the list from the portfolio manager; new rows start on the
+  // default lanes at whatever prices the household already has for them
+  function savePortfolios(rows) {
+    const byId = new Map(portfolios.map(p => [p.id, p]));
+    const known = new Map(portfolios.flatMap(p => p.lanes).map(a => [a.ticker, a.price]));
+    const next = rows.map(r => (r.id
+      ? { ...byId.get(r.id), name: r.name, taxProfile: r.taxProfile }
+      : newPortfolio({ ...r, lanes: DEFAULT_ASSETS.map(a => laneConfig({ ...a, price: known.get(a.ticker) })) })));
+    setPortfolios(next);
+    if (!next.some(p => p.id === active.id)) switchPortfolio(next[0].id, next);
   }
 
-  function addTransaction(t) {
-    setTxn(prev => [
-      { id: crypto.randomUUID(), ...t },
-      ...prev,
-    ]);
+  // Apply the lane list from the asset manager. Rows carry `origTicker` so
+  // existing lanes keep their holdings and a ticker rename follows through
+  // to the transaction log.
+  function saveLanes(rows) {
+    const byTicker = new Map(lanes.map(a => [a.ticker, a]));
+    setLanes(rows.map(r => {
+      const { origTicker, ...lane } = r;
+      const prev = origTicker ? byTicker.get(origTicker) : null;
+      return laneConfig(prev ? { ...prev, ...lane } : { ...lane, price: 0 });
+    }));
+    const renames = new Map(rows.filter(r => r.origTicker && r.origTicker !== r.ticker).map(r => [r.origTicker, r.ticker]));
+    // lane bands follow a rename and go with a removed lane
+    const kept = new Set(rows.map(r => r.ticker));
+    setPolicy(p => ({
+      ...p,
+      bands: Object.fromEntries(Object.entries(p.bands).map(([t, b]) => [renames.get(t) || t, b]).filter(([t]) => kept.has(t))),
+    }));
+    if (renames.size) {
+      setTxn(prev => prev.map(t => (renames.has(t.ticker) ? { ...t, ticker: renames.get(t.ticker) } : t)));
+      // other portfolios may still hold the old ticker and need its closes
+      const elsewhere = new Set(portfolios.filter(p => p.id !== active.id).flatMap(p => p.lanes.map(a => a.ticker)));
+      setPriceHistory(prev => [...renames].filter(([from]) => !elsewhere.has(from)).reduce((h, [from, to]) => renamePriceTicker(h, from, to), prev));
+    }
+    if (!rows.some(r => r.ticker === whatIfTicker)) setWhatIfTicker(rows[0]?.ticker || "");
   }
 
-  function handleManualPrice(ticker, price) {
+  // Replay a candidate log before accepting it, so an edit can't leave a
+  // SELL without the units behind it. Returns an error string or null.
+  // Rows that were already failing may stay so, but not get worse: a bigger
+  // shortfall (e.g. oversold further) or a different problem is refused too.
+  function commitLedger(next) {
+    const known = new Map(ledger.issues.map(i => [i.id, i]));
+    const worse = i => {
+      const was = known.get(i.id);
+      if (!was) return true;
+      return was.short != null && i.short != null ? i.short > was.short + 1e-9 : was.message !== i.message;
+    };
+    const fresh = replayLedger(lanes, next, { fxAt }).issues.filter(worse);
+    if (fresh.length) return fresh[0].message;
+    setTxn(next);
+    return null;
+  }
+
+  // Save a close for `date` (default today). It only becomes the lane's
+  // current price when it's the newest close on record.
+  function handleManualPrice(ticker, price, date = localToday()) {
     const p = Math.max(0, Number(price) || 0);
-    updateAsset(ticker, { price: p });
+    if (p <= 0) return;
+    const latest = (priceHistory[ticker] || []).at(-1);
+    if (!latest || date >= latest.date) setLanePrice(ticker, p);
+    setPriceHistory(h => upsertPricePoint(h, ticker, date, p));
+  }
+
+  // Backfill closes from a checked price file. Lanes only take a new current
+  // price where the file has the newest close on record.
+  function importPrices(rows) {
+    for (const r of priceImportPlan(priceHistory, rows).current) setLanePrice(r.ticker, r.close);
+    setPriceHistory(h => rows.reduce((acc, r) => upsertPricePoint(acc, r.ticker, r.date, r.close), h));
+  }
+
+  // Ledger row for a number of units at the lane's current price, stamped now.
+  // Foreign lanes book at their quote (replay converts at today's rate), with
+  // the (AUD) brokerage converted to the lane's currency like the price.
+  function unitsTrade(kind, ticker, units, brokerage = 0) {
+    const a = assets.find(x => x.ticker === ticker);
+    if (!a || !a.price || !(units > 0)) return null;
+    const date = new Date().toISOString();
+    return { id: crypto.randomUUID(), kind, ticker, units, price: a.quote, brokerage: brokerage / a.fx, date, settleDate: date };
   }
 
-  function handleBuy(ticker, amount) {
+  // ...or for a dollar amount
+  function marketTrade(kind, ticker, amount, brokerage = 0) {
     const amt = Math.max(0, Number(amount) || 0);
     const a = assets.find(x => x.ticker === ticker);
-    if (!a || !a.price || amt <= 0) return;
-    const units = amt / a.price;
-    const lot = { qty: units, price: a.price, date: new Date().toISOString() };
-    updateAsset(ticker, {
-      units: a.units + units,
-      invested: a.invested + amt,
-      lots: [...a.lots, lot],
-      firstContribution: a.firstContribution || lot.date,
-    });
-    addTransaction({ kind: "BUY", ticker, amount: amt, units, price: a.price, date: new Date().toISOString() });
+    return a?.price ? unitsTrade(kind, ticker, amt / a.price, brokerage) : null;
+  }
+
+  // Planner fees are brokerage per trade; each order carries its own so it
+  // lands in that lot's cost base
+  function withPlannerFees(rows) {
+    return rows.map(r => ({ ...r, brokerage: plannerFees / (assets.find(a => a.ticker === r.ticker)?.fx || 1) }));
   }
 
   function commitPlanBuys() {
+    // A scheduled contribution deposits its money first (stamped no later
+    // than the buys, so they don't count as new money) and settles its date
+    const due = planner.due;
+    const deposit = due ? { id: crypto.randomUUID(), kind: "DEPOSIT", amount: due.amount, date: new Date().toISOString() } : null;
+    const rows = planBuyRows();
+    if (!rows.length && !deposit) return;
+    const err = commitLedger([...rows, ...(deposit ? [deposit] : []), ...txn]);
+    setPlanError(err && `Can't commit: ${err}`);
+    if (err) return;
+    if (due) {
+      setPlans(ps => ps.map(p => (p.id === due.planId ? recordContribution(p, due.due, { status: "done", on: today }) : p)));
+      setPlanner(p => ({ ...p, budget: "", due: null }));
+    }
+    // Clear any per-row units overrides after committing
+    setPlannedUnits({});
+  }
+
+  function planBuyRows() {
     // We commit what's visible in the planner table:
+    // - Whole units: the sized orders, each with its brokerage
     // - In Amount mode: we take computed row.amount
     // - In Units mode: we take user-entered plannedUnits[ticker] * current price
+    if (wholeUnitOrders) {
+      return plannedOrders.orders.map(o => unitsTrade("BUY", o.ticker, o.units, o.brokerage)).filter(Boolean);
+    }
+    const rows = [];
     plannedSplits.forEach((row) => {
       const price = row.price || 0;
       if (price <= 0) return; // can’t buy without a price
@@ -279,164 +810,284 @@ export default function StreetSmartWealthTracker() {
         amount = row.amount || 0;
       }
 
-      if (amount > 0) {
-        handleBuy(row.ticker, amount); // this persists via existing localStorage effect
-      }
+      const buy = amount > 0 ? marketTrade("BUY", row.ticker, amount) : null;
+      if (buy) rows.push(buy);
     });
+    return withPlannerFees(rows);
+  }
 
-    // Clear any per-row units overrides after committing
-    setPlannedUnits({});
+  // Recurring contribution plans; existing ones keep their record of due dates
+  function savePlans(rows) {
+    const byId = new Map(plans.map(p => [p.id, p]));
+    setPlans(rows.map(r => (r.id ? { ...byId.get(r.id), ...r } : newPlan(r))));
   }
 
-  function handleSell(ticker, amount) {
-    const amt = Math.max(0, Number(amount) || 0);
-    const a = assets.find(x => x.ticker === ticker);
-    if (!a || !a.price || amt <= 0) return;
-    const units = amt / a.price;
-    const { consumed, newLots, unfilled } = consumeLotsFIFO(a.lots, units);
-    if (unfilled > 1e-9) return; // insufficient units; ignore
-
-    // cost base from consumed lots
-    const proceeds = units * a.price;
-    const costBase = consumed.reduce((s, l) => s + l.qty * l.price, 0);
-    const saleDate = new Date();
-    const discounted = consumed.reduce((acc, l) => {
-      const heldYears = yearsBetween(new Date(l.date), saleDate);
-      const gain = l.qty * (a.price - l.price);
-      const eligible = heldYears >= 1 ? 0.5 * Math.max(0, gain) : Math.max(0, gain);
-      return { gain: acc.gain + Math.max(0, gain), discountGain: acc.discountGain + eligible };
-    }, { gain: 0, discountGain: 0 });
-
-    updateAsset(ticker, {
-      units: Math.max(0, a.units - units),
-      lots: newLots,
-    });
-    addTransaction({ kind: "SELL", ticker, amount: amt, units, price: a.price, proceeds, costBase, gain: proceeds - costBase, discountGain: discounted.discountGain, date: saleDate.toISOString() });
+  function skipContribution({ plan, due }) {
+    setPlans(ps => ps.map(p => (p.id === plan.id ? recordContribution(p, due, { status: "skipped", on: today }) : p)));
+    if (planner.due?.planId === plan.id && planner.due.due === due) setPlanner(p => ({ ...p, budget: "", due: null }));
   }
 
-  function allocateBudget() {
-    const budget = Math.max(0, Number(planner.budget) || 0);
-    if (budget <= 0) return;
-    const fees = Math.max(0, Number(planner.fees) || 0);
-    const bufferPct = Math.max(0, Number(planner.bufferPct) || 0);
-    const spendable = Math.max(0, budget - fees - budget * (bufferPct / 100));
+  // Trade-entry form submits plain dates; stamp them and book the row.
+  // Editing keeps the original timestamp when the trade date is unchanged.
+  function tradeRow(t, prev) {
+    const sameDay = prev && prev.date.slice(0, 10) === t.date;
+    return {
+      ...(prev || {}),
+      id: prev?.id || crypto.randomUUID(),
+      kind: t.kind,
+      ticker: t.ticker,
+      units: t.units,
+      price: t.price,
+      brokerage: t.brokerage,
+      fxRate: t.fxRate,
+      date: sameDay ? prev.date : tradeTimestamp(t.date),
+      settleDate: tradeTimestamp(t.settleDate),
+      lotMethod: t.kind === "SELL" ? t.lotMethod || "FIFO" : undefined,
+      lotPicks: t.kind === "SELL" && t.lotMethod === "SPECIFIC" ? t.lotPicks : undefined,
+    };
+  }
 
-    // allocate by target weights to tickers that have prices > 0
-    const priced = assets.filter(a => a.price > 0);
-    const totalWeights = priced.reduce((s, a) => s + (a.targetWeight || 0), 0) || 1;
-    const allocations = priced.map(a => ({
-      ticker: a.ticker,
-      amount: spendable * (a.targetWeight / totalWeights),
-    }));
-    allocations.forEach(x => handleBuy(x.ticker, x.amount));
+  // Parcels open in a lane at the end of `day`, ignoring the row being edited
+  function openLotsAt(ticker, day, excludeId) {
+    const cutoff = new Date(`${day}T23:59:59.999Z`);
+    const before = txn.filter(t => t.id !== excludeId && new Date(t.date) <= cutoff);
+    return replayLedger(lanes, before, { fxAt }).assets.find(a => a.ticker === ticker)?.lots || [];
+  }
+
+  // DIST / DRP / AMIT rows from the income form
+  function incomeRow(t, prev) {
+    const sameDay = prev && prev.date.slice(0, 10) === t.date;
+    const { date, ...fields } = t;
+    return { id: prev?.id || crypto.randomUUID(), ...fields, date: sameDay ? prev.date : tradeTimestamp(date) };
   }
 
-  // CAGR per lane – simple since-first-contribution approach
-  function getCAGR(asset) {
-    if (!asset.firstContribution || asset.invested <= 0) return 0;
-    const years = yearsBetween(new Date(asset.firstContribution), new Date());
-    if (years <= 0) return 0;
-    const value = (asset.units || 0) * (asset.price || 0);
-    if (value <= 0) return -1; // total loss
-    return Math.pow(value / asset.invested, 1 / years) - 1;
+  function recordTrade(t) {
+    return commitLedger([tradeRow(t), ...txn]);
   }
 
-  function exportJSON() {
-    const blob = new Blob([JSON.stringify({ assets, transactions: txn }, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `street-smart-wealth-backup-${new Date().toISOString().slice(0,10)}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+  // Broker import hands over form-shaped trades; book them in one replay
+  function importTrades(trades) {
+    return commitLedger([...trades.map(t => tradeRow(t)), ...txn]);
+  }
+
+  function recordIncome(t) {
+    return commitLedger([incomeRow(t), ...txn]);
+  }
+
+  // DEPOSIT / WITHDRAW rows have the same plain-date shape as income rows
+  function recordCash(t) {
+    return commitLedger([incomeRow(t), ...txn]);
+  }
+
+  function updateTransaction(id, t) {
+    const build = INCOME_KINDS.includes(t.kind) || CASH_KINDS.includes(t.kind) ? incomeRow : tradeRow;
+    const err = commitLedger(txn.map(x => (x.id === id ? build(t, x) : x)));
+    if (!err) setEditingTxnId(null);
+    return err;
+  }
+
+  function deleteTransaction(id) {
+    const err = commitLedger(txn.filter(x => x.id !== id));
+    if (err) alert(`Can't delete: ${err}`);
+    if (editingTxnId === id) setEditingTxnId(null);
+  }
+
+  // Specific parcels fix the units, so the sale amount follows from the picks
+  function runWhatIf() {
+    const a = assets.find(x => x.ticker === whatIfTicker);
+    const brokerage = Math.max(0, Number(whatIfBrokerage) || 0);
+    if (whatIfMethod !== "SPECIFIC") {
+      setWhatIfResult(whatIfSell(a, Number(whatIfAmount) || 0, { brokerage, method: whatIfMethod, discountRate: profile.discountRate }));
+      return;
+    }
+    const picks = whatIfPicks.map(p => ({ lotId: p.lotId, qty: Number(p.qty) || 0 }));
+    const units = picks.reduce((s, p) => s + p.qty, 0);
+    setWhatIfResult(units > 0 ? whatIfSell(a, units * (a?.price || 0), { brokerage, method: "SPECIFIC", picks, discountRate: profile.discountRate }) : { error: "Tick at least one parcel." });
+  }
+
+  async function exportJSON() {
+    const saved = books.map(b => savedPortfolio(b.portfolio, { assets: b.ledger.assets }));
+    let content = JSON.stringify(snapshot({ portfolios: saved, priceHistory, fxRates }), null, 2);
+    if (backupCrypt.enabled) {
+      if (backupCrypt.passphrase.length < 8) return setBackupError("Use a passphrase of at least 8 characters.");
+      if (backupCrypt.passphrase !== backupCrypt.confirm) return setBackupError("The passphrases don't match.");
+      content = await encryptBackup(content, backupCrypt.passphrase);
+    }
+    setBackupError(null);
+    const name = `street-smart-wealth-backup-${new Date().toISOString().slice(0,10)}${backupCrypt.enabled ? "-encrypted" : ""}.json`;
+    try {
+      await saveFile(name, content, FILE_TYPES.json);
+    } catch (err) {
+      setBackupError(`Couldn't save the backup: ${err.message || err}`);
+    }
   }
 
   function exportCSV() {
-    const posHeaders = ["Ticker","Units","Price","Invested","MarketValue","Weight"].join(",");
+    // Amounts are AUD; Quote is the lane's price in its own Currency
+    const posHeaders = ["Ticker","Name","Status","TargetWeight","Units","Price","Invested","MarketValue","Weight","Currency","Quote","UnrealisedFx"].join(",");
     const posRows = assets.map(a => [
       a.ticker,
+      `"${(a.name || "").replace(/"/g, '""')}"`,
+      a.retired ? "Retired" : "Active",
+      ((a.targetWeight||0)*100).toFixed(2)+"%",
       (a.units||0).toFixed(6),
       (a.price||0).toFixed(4),
       (a.invested||0).toFixed(2),
       (a.units*(a.price||0)).toFixed(2),
-      totals.value>0?(((a.units*(a.price||0))/totals.value)*100).toFixed(2)+"%":"0%"
+      totals.value>0?(((a.units*(a.price||0))/totals.value)*100).toFixed(2)+"%":"0%",
+      a.currency,
+      (a.quote||0).toFixed(4),
+      a.unrealisedFx == null ? "" : a.unrealisedFx.toFixed(2),
     ].join(","));
+    posRows.push([CASH_KEY, '"Cash"', "Active", "", "", "", "", totals.cash.toFixed(2),
+      totals.value > 0 ? ((totals.cash / totals.value) * 100).toFixed(2) + "%" : "0%", BASE_CURRENCY, "", ""].join(","));
 
-    const txHeaders = ["Kind","Ticker","Date","Units","Price","Amount","Proceeds","CostBase","Gain","DiscountGain"].join(",");
-    const txRows = txn.map(t => [
+    // Price and Brokerage are in the lane's currency, converted at FxRate
+    const txHeaders = ["Kind","Ticker","Date","SettleDate","Units","Price","Amount","FrankingCredits","Brokerage","Proceeds","CostBase","Gain","DiscountGain","LotMethod","Parcels","FxRate","FxGain"].join(",");
+    const txRows = ledger.transactions.map(t => [
       t.kind,
       t.ticker,
       t.date,
+      t.settleDate || "",
       (t.units||0).toFixed(6),
       (t.price||0).toFixed(4),
       (t.amount||0).toFixed(2),
+      (t.frankingCredits||0).toFixed(2),
+      (t.brokerage||0).toFixed(2),
       (t.proceeds||0).toFixed(2),
       (t.costBase||0).toFixed(2),
       (t.gain||0).toFixed(2),
       (t.discountGain||0).toFixed(2),
+      t.lotMethod || "",
+      // acquisition-date:units per parcel, e.g. 2021-03-04:10;2022-01-02:5
+      (t.parcels || []).map(p => `${String(p.date).slice(0, 10)}:${+p.qty.toFixed(6)}`).join(";"),
+      t.fxUsed || "",
+      t.fxGain == null ? "" : t.fxGain.toFixed(2),
     ].join(","));
 
     // FIX: use "\n" instead of a broken multiline string
     const content = ["#POSITIONS", posHeaders, ...posRows, "", "#TRANSACTIONS", txHeaders, ...txRows].join("\n");
-    const blob = new Blob([content], { type: "text/csv" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `street-smart-wealth-export-${new Date().toISOString().slice(0,10)}.csv`;
-    a.click();
-    URL.revokeObjectURL(url);
-  }
-
-  function onImportFile(e) {
-    const file = e.target.files?.[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        const data = JSON.parse(String(reader.result));
-        if (!data.assets || !Array.isArray(data.assets)) throw new Error("Invalid backup – assets missing");
-        setAssets(data.assets);
-        setTxn(Array.isArray(data.transactions) ? data.transactions : []);
-      } catch (err) {
-        alert("Import failed: " + err.message);
-      }
-    };
-    reader.readAsText(file);
+    saveFile(`street-smart-wealth-export-${fileSlug(active.name)}${new Date().toISOString().slice(0,10)}.csv`, content, FILE_TYPES.csv)
+      .catch(err => alert(`Couldn't save the CSV: ${err.message || err}`));
+  }
+
+  // The FY CGT report, as a CSV or a standalone HTML page to print or keep
+  function saveReport(type) {
+    const content = type === FILE_TYPES.csv ? reportCSV(fyReport) : reportHTML(fyReport);
+    const name = `cgt-report-${fileSlug(active.name)}fy${fyYear}-${String(fyYear + 1).slice(2)}.${type.extensions[0]}`;
+    saveFile(name, content, type).catch(err => alert(`Couldn't save the report: ${err.message || err}`));
+  }
+
+  // Restore from backup text. Encrypted backups wait for a passphrase;
+  // nothing is replaced unless the whole file checks out.
+  function restoreBackup(name, text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      return setImportErrors({ name, errors: ["Not valid JSON."] });
+    }
+    if (isEncryptedBackup(data)) {
+      setImportErrors(null);
+      return setUnlock({ name, envelope: data, passphrase: "", error: null, busy: false });
+    }
+    try {
+      data = migrate(data);
+    } catch (err) {
+      return setImportErrors({ name, errors: [err.message] });
+    }
+    const errors = validateBackup(data);
+    if (errors.length) return setImportErrors({ name, errors });
+    setImportErrors(null);
+    const restored = data.portfolios.map(loadedPortfolio);
+    setPortfolios(restored);
+    setPriceHistory(data.priceHistory || {});
+    setFxRates(data.fxRates || {});
+    switchPortfolio(restored[0].id, restored);
+  }
+
+  async function unlockBackup() {
+    const { name, envelope, passphrase } = unlock;
+    setUnlock(u => ({ ...u, busy: true, error: null }));
+    try {
+      const text = await decryptBackup(envelope, passphrase);
+      setUnlock(null);
+      restoreBackup(name, text);
+    } catch (err) {
+      setUnlock(u => ({ ...u, busy: false, error: err.message }));
+    }
+  }
+
+  async function importBackup() {
+    try {
+      const file = await openFile(FILE_TYPES.json);
+      if (file) restoreBackup(file.name, file.contents);
+    } catch (err) {
+      setImportErrors({ name: "backup", errors: [`Couldn't open the file: ${err.message || err}`] });
+    }
   }
 
   function resetAll() {
     if (!confirmReset) { setConfirmReset(true); return; }
-    localStorage.removeItem(STORAGE_KEY);
-    setAssets(DEFAULT_ASSETS.map(a => ({ ...a, price: 0, units: 0, invested: 0, lots: [], firstContribution: null })));
-    setTxn([]);
+    persister.clear();
+    setPortfolios(defaultPortfolios());
+    setPriceHistory({});
+    setFxRates({});
     setConfirmReset(false);
   }
 
-  function CGTSummaryFY(fyStartYear) {
-    // FY runs 1 July Y to 30 June Y+1
-    const start = new Date(`${fyStartYear}-07-01T00:00:00.000Z`).getTime();
-    const end = new Date(`${fyStartYear + 1}-06-30T23:59:59.999Z`).getTime();
-    const sells = txn.filter(t => t.kind === "SELL" && t.date && (new Date(t.date).getTime() >= start) && (new Date(t.date).getTime() <= end));
-    const grossGain = sells.reduce((s, t) => s + Math.max(0, t.gain || 0), 0);
-    const discountGain = sells.reduce((s, t) => s + Math.max(0, t.discountGain || 0), 0);
-    return { events: sells.length, grossGain, discountGain };
-  }
-
   const [fyYear, setFyYear] = useState(new Date().getMonth() >= 6 ? new Date().getFullYear() : new Date().getFullYear() - 1);
-  const fy = useMemo(() => CGTSummaryFY(fyYear), [txn, fyYear]);
+  // Closes are in each lane's currency; value them in AUD at that day's rate
+  const priceAt = useMemo(() => {
+    const currency = new Map(assets.map(a => [a.ticker, a.currency]));
+    const points = historyPoints(priceHistory).map(p => ({ ...p, price: p.price * (fxAt(currency.get(p.ticker), p.date) || 0) }));
+    return makePriceLookup(ledger.transactions, assets, points);
+  }, [ledger, assets, priceHistory, fxAt]);
+
+  const fy = useMemo(() => cgtSummaryFY(ledger.transactions, fyYear, { discountRate: profile.discountRate }), [ledger, fyYear, profile]);
+  const fyIncome = useMemo(() => incomeSummaryFY(ledger.transactions, fyYear), [ledger, fyYear]);
+  const fyReport = useMemo(
+    () => taxReport(ledger.transactions, fyYear, { discountRate: profile.discountRate, portfolio: active.name, entity: profile.label, individual: profile.key === "individual", prepared: today }),
+    [ledger, fyYear, profile, active.name, today]
+  );
 
   // CHART DATA ---------------------------------------------------------------
-  const COLORS = ["#0ea5e9", "#22c55e", "#a78bfa", "#f59e0b", "#ef4444", "#14b8a6"]; // nice Tailwind hues
+  // Colours follow lane order so a lane keeps its hue in both rings and the legend
+  const laneColor = useMemo(() => new Map([...assets.map((a, i) => [a.ticker, COLORS[i % COLORS.length]]), [CASH_KEY, CASH_COLOR]]), [assets]);
+  // Every ticker in the household, active portfolio's lanes first so they keep their hue
+  const allLanes = useMemo(() => {
+    const seen = new Map();
+    for (const a of [...lanes, ...portfolios.flatMap(p => p.lanes)]) if (!seen.has(a.ticker)) seen.set(a.ticker, a);
+    return [...seen.values()];
+  }, [lanes, portfolios]);
+  const tickerColor = useMemo(() => new Map([...allLanes.map((a, i) => [a.ticker, COLORS[i % COLORS.length]]), [CASH_KEY, CASH_COLOR]]), [allLanes]);
+  const chartAssets = useMemo(() => assets.filter(a => !a.retired || a.units > 0), [assets]);
   const legendItems = useMemo(
-        () => assets.map((a, i) => ({ label: a.ticker, color: COLORS[i % COLORS.length] })),
-        [assets]
+        () => [
+          ...chartAssets.map(a => ({ label: a.ticker, color: laneColor.get(a.ticker) })),
+          ...(totals.cash > 0 ? [{ label: CASH_KEY, color: CASH_COLOR }] : []),
+        ],
+        [chartAssets, laneColor, totals.cash]
        );
   const currentWeightData = useMemo(() => {
-    if (totals.value <= 0) return assets.map(a => ({ name: a.ticker, value: 0 }));
-    return assets.map(a => ({ name: a.ticker, value: (a.units * (a.price || 0)) }));
-  }, [assets, totals.value]);
-
-  const targetWeightData = useMemo(() => assets.map(a => ({ name: a.ticker, value: a.targetWeight })), [assets]);
+    if (totals.value <= 0) return chartAssets.map(a => ({ name: a.ticker, value: 0 }));
+    const rows = chartAssets.map(a => ({ name: a.ticker, value: (a.units * (a.price || 0)) }));
+    return totals.cash > 0 ? [...rows, { name: CASH_KEY, value: totals.cash }] : rows;
+  }, [chartAssets, totals.value, totals.cash]);
+
+  // Backdated trades land anywhere in the log; show newest trade date first
+  // Trade prices and brokerage display in the lane's own currency
+  const currencyOf = ticker => assets.find(a => a.ticker === ticker)?.currency || BASE_CURRENCY;
+  const rateFor = (ticker, day) => fxAt(currencyOf(ticker), day);
+  const txnByDate = useMemo(() => [...ledger.transactions].sort((x, y) => new Date(y.date) - new Date(x.date)), [ledger]);
+  const txnIssues = useMemo(() => new Map(ledger.issues.map(i => [i.id, i.message])), [ledger]);
+  const editingTxn = editingTxnId ? txn.find(t => t.id === editingTxnId) : null;
+
+  const targetWeightData = useMemo(() => activeAssets.map(a => ({ name: a.ticker, value: a.targetWeight })), [activeAssets]);
+
+  if (storage === "loading") {
+    return <div className="mx-auto max-w-6xl p-4 sm:p-6 text-sm text-muted-foreground">Loading…</div>;
+  }
 
   return (
     <div className="mx-auto max-w-6xl p-4 sm:p-6">
@@ -446,6 +1097,10 @@ export default function StreetSmartWealthTracker() {
         	<p className="text-sm text-muted-foreground">Local‑first · ETFs + Gold · Aussie CGT (basic) · No fluff.</p>
         </div>
         <div className="flex flex-wrap gap-2 items-center">
+          <select aria-label="Portfolio" className="flex h-9 rounded-md border border-input bg-transparent px-3 py-1 text-sm shadow-sm"
+                  value={active.id} onChange={e => switchPortfolio(e.target.value)}>
+            {portfolios.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
           <Button variant="ghost" size="sm" className="gap-1" onClick={() => setTheme(t => (t === "dark" ? "light" : "dark"))}>
             {theme === "dark" ? <Sun className="h-4 w-4"/> : <Moon className="h-4 w-4"/>}
             <span className="text-sm hidden sm:inline">{theme === "dark" ? "Light" : "Dark"} mode</span>
@@ -453,24 +1108,67 @@ export default function StreetSmartWealthTracker() {
           <Button variant="secondary" size="sm" onClick={exportCSV} className="gap-1">
            <Download className="h-4 w-4"/><span className="hidden sm:inline">CSV</span>
           </Button>
-          <Button variant="secondary" size="sm" onClick={() => fileInputRef.current?.click()} className="gap-1">
+          <Button variant="secondary" size="sm" onClick={importBackup} className="gap-1">
              <Upload className="h-4 w-4"/><span className="hidden sm:inline">Import</span>
           </Button>
-          <Button variant="secondary" onClick={() => fileInputRef.current?.click()} className="gap-2"><Upload className="h-4 w-4"/>Import</Button>
-          <input ref={fileInputRef} type="file" accept="application/json" className="hidden" onChange={onImportFile} />
+          <Button variant="secondary" onClick={importBackup} className="gap-2"><Upload className="h-4 w-4"/>Import</Button>
           <Button variant={confirmReset ? "destructive" : "outline"} size="sm" onClick={resetAll} className="gap-1">
             <Trash2 className="h-4 w-4"/>{confirmReset ? "Confirm reset" : "Reset"}
           </Button>
         </div>
       </header>
 
+      {storageError && (
+        <div className="mb-4 flex items-center gap-2 rounded-xl border border-amber-300 p-3 text-sm text-amber-700 dark:text-amber-400">
+          <AlertTriangle className="h-4 w-4"/> {storageError}
+        </div>
+      )}
+
+      {unlock && (
+        <Card className="mb-4 rounded-2xl">
+          <CardContent className="p-4 sm:p-6 space-y-3">
+            <div className="flex items-center gap-2 font-semibold"><Lock className="h-4 w-4"/> {unlock.name} is encrypted</div>
+            <div className="flex flex-wrap items-end gap-2">
+              <div className="w-64">
+                <Label>Passphrase</Label>
+                <Input type="password" autoFocus value={unlock.passphrase}
+                       onChange={e => setUnlock(u => ({ ...u, passphrase: e.target.value, error: null }))}
+                       onKeyDown={e => { if (e.key === "Enter" && unlock.passphrase && !unlock.busy) unlockBackup(); }}/>
+              </div>
+              <Button disabled={!unlock.passphrase || unlock.busy} onClick={unlockBackup}>{unlock.busy ? "Decrypting…" : "Decrypt & restore"}</Button>
+              <Button variant="outline" onClick={() => setUnlock(null)}>Cancel</Button>
+            </div>
+            {unlock.error && <div className="text-sm text-rose-600">{unlock.error}</div>}
+          </CardContent>
+        </Card>
+      )}
+
+      {importErrors && (
+        <Card className="mb-4 rounded-2xl border-rose-300">
+          <CardContent className="p-4 sm:p-6">
+            <div className="flex items-start justify-between gap-3">
+              <div className="flex items-center gap-2 font-semibold text-rose-600">
+                <AlertTriangle className="h-4 w-4"/> Couldn't restore {importErrors.name}: {importErrors.errors.length} problem{importErrors.errors.length === 1 ? "" : "s"}
+              </div>
+              <Button variant="outline" size="sm" onClick={() => setImportErrors(null)}>Dismiss</Button>
+            </div>
+            <ul className="mt-2 text-sm list-disc pl-5 max-h-64 overflow-y-auto">
+              {importErrors.errors.map((e, i) => <li key={i}>{e}</li>)}
+            </ul>
+            <p className="text-xs text-muted-foreground mt-2">Nothing was changed. Fix the file or restore a different backup.</p>
+          </CardContent>
+        </Card>
+      )}
+
       <Tabs defaultValue="planner">
         <div className="w-full overflow-x-auto mb-3">
           <TabsList className="inline-flex w-max gap-1 px-1 py-1">
             <TabsTrigger className="shrink-0 px-3 py-2 text-sm" value="planner">Plan</TabsTrigger>
             <TabsTrigger className="shrink-0 px-3 py-2 text-sm" value="portfolio">Holdings</TabsTrigger>
             <TabsTrigger className="shrink-0 px-3 py-2 text-sm" value="summary">Summary</TabsTrigger>
+            <TabsTrigger className="shrink-0 px-3 py-2 text-sm" value="projection">Projection</TabsTrigger>
             <TabsTrigger className="shrink-0 px-3 py-2 text-sm" value="cgt">CGT</TabsTrigger>
+            <TabsTrigger className="shrink-0 px-3 py-2 text-sm" value="household">Household</TabsTrigger>
             <TabsTrigger className="shrink-0 px-3 py-2 text-sm" value="settings">Settings</TabsTrigger>
           </TabsList>
         </div>
@@ -497,32 +1195,78 @@ export default function StreetSmartWealthTracker() {
         <TabsContent value="planner">
           <Card className="border rounded-2xl">
             <CardContent className="p-4 sm:p-6">
+              {contributions.length > 0 && (
+                <div className="mb-4 space-y-2">
+                  {contributions.map(c => {
+                    const loaded = planner.due?.planId === c.plan.id && planner.due.due === c.due;
+                    return (
+                      <div key={`${c.plan.id}:${c.due}`} className={`flex flex-wrap items-center gap-3 rounded-xl border p-3 text-sm ${c.status === "overdue" ? "border-amber-300 text-amber-700 dark:text-amber-400" : ""}`}>
+                        <span>
+                          <span className="font-medium">{c.plan.name}</span> {formatCurrency(c.plan.amount)} · {c.status === "upcoming" ? `due ${c.due}` : c.status === "due" ? "due today" : `overdue since ${c.due}`}
+                          {loaded && " · loaded below"}
+                        </span>
+                        {c.status !== "upcoming" && !loaded && (
+                          <Button size="sm" variant="outline" onClick={() => setPlanner(p => withContribution(p, c))}>Load into planner</Button>
+                        )}
+                        <Button size="sm" variant="ghost" onClick={() => skipContribution(c)}>Skip</Button>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+
               {/* Inputs — compact widths */}
-              <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+              <div className="grid grid-cols-2 sm:grid-cols-5 gap-4">
                 <div>
                   <Label>Budget (AUD)</Label>
                   <Input inputMode="decimal" className="w-36 sm:w-40"
-                        placeholder="0" value={planner.budget}
-                        onChange={e => setPlanner(p => ({ ...p, budget: e.target.value }))}/>
+                        placeholder={availableCash.toFixed(2)} value={planner.budget}
+                        onChange={e => setPlanner(p => ({ ...p, budget: e.target.value, due: null }))}/>
                 </div>
                 <div>
-                  <Label>Fees</Label>
+                  <Label>Brokerage / trade</Label>
                   <Input inputMode="decimal" className="w-28 sm:w-32"
                         placeholder="0" value={planner.fees}
                         onChange={e => setPlanner(p => ({ ...p, fees: e.target.value }))}/>
                 </div>
                 <div>
-                  <Label>Buffer %</Label>
+                  <Label>Min first parcel</Label>
+                  <Input inputMode="decimal" className="w-28 sm:w-32"
+                        placeholder="0" value={planner.minParcel}
+                        onChange={e => setPlanner(p => ({ ...p, minParcel: e.target.value }))}/>
+                </div>
+                <div>
+                  <Label>Split</Label>
+                  <select className="flex h-9 w-full rounded-md border border-input bg-transparent px-3 py-1 text-sm shadow-sm"
+                          value={planner.mode} onChange={e => setPlanner(p => ({ ...p, mode: e.target.value }))}>
+                    {SPLIT_MODES.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <Label>Cash buffer %</Label>
                   <Input inputMode="decimal" className="w-24 sm:w-28"
                         placeholder="0" value={planner.bufferPct}
                         onChange={e => setPlanner(p => ({ ...p, bufferPct: e.target.value }))}/>
                 </div>
               </div>
+              <div className="mt-3 flex items-center gap-3">
+                <Switch checked={planner.wholeUnits} onCheckedChange={v => setPlanner(p => ({ ...p, wholeUnits: v }))}/>
+                <span className="text-sm">Whole units (orders as the broker fills them)</span>
+              </div>
+              <div className="mt-2 text-sm text-muted-foreground">
+                Cash {formatCurrency(totals.cash)} · buffer {formatCurrency(cashBuffer)} · available {formatCurrency(availableCash)}
+                {planner.due
+                  ? ` · ${planner.due.name} contribution of ${formatCurrency(planner.due.amount)} (due ${planner.due.due}) is deposited on commit`
+                  : planner.budget === "" ? " · budget is the available cash" : plannerBudget > availableCash && ` · ${formatCurrency(plannerBudget - availableCash)} over available cash, booked as new money`}
+              </div>
 
               {/* Live split preview */}
               <div className="mt-4">
                 <div className="mb-2 text-sm text-muted-foreground">
-                  Split preview by target weights. Units show when a price is set.
+                  {planner.mode === "underweight"
+                    ? "New money goes to the lanes furthest below target first, so the mix moves toward target without selling."
+                    : "Split preview by target weights."} Units show when a price is set.
+                  {wholeUnitOrders && " Orders are rounded to whole units, skip lanes whose first buy would be under the minimum parcel, and leave out units that would only move the mix further from target."}
                 </div>
                 <div className="overflow-x-auto">
                   <table className="w-full text-sm">
@@ -530,8 +1274,15 @@ export default function StreetSmartWealthTracker() {
                       <tr>
                           <th className="py-2 pr-3">Ticker</th>
                           <th className="py-2 pr-3">Target</th>
+                          <th className="py-2 pr-3">Now</th>
+                          <th className="py-2 pr-3">After</th>
                           <th className="py-2 pr-3">Price</th>
-                          {!unitsMode ? (
+                          {wholeUnitOrders ? (
+                            <>
+                              <th className="py-2 pr-3">Cost</th>
+                              <th className="py-2 pr-3">Units</th>
+                            </>
+                          ) : !unitsMode ? (
                             <>
                               <th className="py-2 pr-3">Amount</th>
                               <th className="py-2 pr-3">Units (est)</th>
@@ -547,26 +1298,42 @@ export default function StreetSmartWealthTracker() {
                     <tbody>
                       {plannedSplits.map((row) => {
                           const price = row.price || 0;
+                          // foreign lanes are priced in their own currency, converted at the latest rate
+                          const lane = assets.find(a => a.ticker === row.ticker);
+                          const quote = lane?.quote || 0;
+                          const currency = lane?.currency || BASE_CURRENCY;
 
                           // derive dynamic display values for both modes
                           const overrideUnits = plannedUnits[row.ticker];
                           const unitsInUnitsMode =
                             overrideUnits !== undefined ? Number(overrideUnits) || 0 : (price > 0 ? (row.amount / price) : 0);
                           const amountInUnitsMode = price > 0 ? unitsInUnitsMode * price : 0;
+                          const order = orderRows[row.ticker];
 
                           return (
                             <tr key={row.ticker} className="border-t">
                               <td className="py-2 pr-3 font-medium">{row.ticker}</td>
                               <td className="py-2 pr-3">{(row.weight * 100).toFixed(0)}%</td>
+                              <td className="py-2 pr-3">{(row.currentWeight * 100).toFixed(1)}%</td>
+                              <td className="py-2 pr-3">{((wholeUnitOrders && order ? order : row).projectedWeight * 100).toFixed(1)}%</td>
 
                               {/* Price cell (inline edit if empty or on 'edit') */}
                               <td className="py-2 pr-3">
-                                {price > 0 ? (
+                                {quote > 0 ? (
                                   <div className="flex items-center gap-2">
-                                    <span>{formatCurrency(price)}</span>
+                                    {currency === BASE_CURRENCY ? (
+                                      <span>{formatCurrency(price)}</span>
+                                    ) : (
+                                      <span>
+                                        {formatCurrency(quote, currency)}{" "}
+                                        {price > 0
+                                          ? <span className="text-muted-foreground">({formatCurrency(price)})</span>
+                                          : <span className="text-rose-600">no {currency} rate</span>}
+                                      </span>
+                                    )}
                                     <button
                                       className="text-xs underline text-muted-foreground"
-                                      onClick={() => setPriceDraft((d) => ({ ...d, [row.ticker]: String(price) }))}
+                                      onClick={() => setPriceDraft((d) => ({ ...d, [row.ticker]: String(quote) }))}
                                       title="Edit price"
                                     >
                                       edit
@@ -574,19 +1341,19 @@ export default function StreetSmartWealthTracker() {
                                   </div>
                                 ) : null}
 
-                                {(price <= 0 || priceDraft[row.ticker] !== undefined) && (
+                                {(quote <= 0 || priceDraft[row.ticker] !== undefined) && (
                                   <div className="flex items-center gap-2 mt-1">
                                     <Input
                                       inputMode="decimal"
                                       className="w-24"
-                                      placeholder="Set price"
+                                      placeholder={currency === BASE_CURRENCY ? "Set price" : `Set price (${currency})`}
                                       value={priceDraft[row.ticker] ?? ""}
                                       onChange={(e) =>
                                         setPriceDraft((d) => ({ ...d, [row.ticker]: e.target.value }))
                                       }
                                       onBlur={(e) => {
                                         const p = Math.max(0, Number(e.target.value) || 0);
-                                        if (p > 0) updateAsset(row.ticker, { price: p });
+                                        if (p > 0) handleManualPrice(row.ticker, p);
                                         setPriceDraft((d) => {
                                           const { [row.ticker]: _, ...rest } = d;
                                           return rest;
@@ -598,7 +1365,16 @@ export default function StreetSmartWealthTracker() {
                               </td>
 
                               {/* Amount vs Units cells depending on mode */}
-                              {!unitsMode ? (
+                              {wholeUnitOrders ? (
+                                <>
+                                  <td className="py-2 pr-3">{order ? formatCurrency(order.units * price) : "—"}</td>
+                                  <td className="py-2 pr-3">
+                                    {!order
+                                      ? <span className="text-muted-foreground">{price > 0 ? "no target" : "set price"}</span>
+                                      : order.units > 0 ? order.units : <span className="text-muted-foreground">{order.reason}</span>}
+                                  </td>
+                                </>
+                              ) : !unitsMode ? (
                                 <>
                                   <td className="py-2 pr-3">{formatCurrency(row.amount)}</td>
                                   <td className="py-2 pr-3">
@@ -635,11 +1411,25 @@ export default function StreetSmartWealthTracker() {
                     </tbody>
                   </table>
                 </div>
-                <div className="flex justify-end mt-3">
+                <div className="flex flex-wrap items-center justify-end gap-3 mt-3">
+                  {wholeUnitOrders && (
+                    <span className="text-sm text-muted-foreground">
+                      Orders {formatCurrency(plannedOrders.spent)} + brokerage {formatCurrency(plannedOrders.brokerage)} · unspent {formatCurrency(plannedOrders.remainder)}
+                    </span>
+                  )}
                   <Button onClick={commitPlanBuys} size="sm" className="gap-2">
                     <Plus className="h-4 w-4" /> Commit to Ledger
                   </Button>
                   </div>
+                {planError && <div className="mt-2 text-sm text-rose-600 text-right">{planError}</div>}
+              </div>
+              <div className="mt-6">
+                <ContributionPlans
+                  key={`${active.id}|${plans.map(p => `${p.id}:${p.name}:${p.amount}:${p.frequency}:${p.start}:${p.end}:${p.rule}`).join("|")}`}
+                  plans={plans}
+                  today={today}
+                  onSave={savePlans}
+                />
               </div>
               {/* Note: no Buy/Sell, no CAGR, no rebalance flags in Planner */}
             </CardContent>
@@ -659,13 +1449,13 @@ export default function StreetSmartWealthTracker() {
                       {/* Outer = current (by $ value) */}
                       <Pie dataKey="value" data={currentWeightData} nameKey="name" outerRadius={80} innerRadius={48}>
                         {currentWeightData.map((entry, i) => (
-                          <Cell key={`c-${i}`} fill={COLORS[i % COLORS.length]} />
+                          <Cell key={`c-${i}`} fill={laneColor.get(entry.name)} />
                         ))}
                       </Pie>
                       {/* Inner = target (by targetWeight) */}
                       <Pie dataKey="value" data={targetWeightData} nameKey="name" outerRadius={42} innerRadius={24}>
                         {targetWeightData.map((entry, i) => (
-                          <Cell key={`t-${i}`} fill={COLORS[i % COLORS.length]} opacity={0.45} />
+                          <Cell key={`t-${i}`} fill={laneColor.get(entry.name)} opacity={0.45} />
                         ))}
                       </Pie>
                       <Tooltip formatter={(v, n) => [typeof v === "number" ? v.toFixed(2) : v, n]}/>
@@ -691,7 +1481,7 @@ export default function StreetSmartWealthTracker() {
               <CardContent className="p-4 sm:p-6">
                 <div className="flex items-center justify-between mb-3">
                   <h2 className="font-semibold">Positions</h2>
-                  <div className="text-sm text-muted-foreground">Invested {formatCurrency(totals.invested)} · Value {formatCurrency(totals.value)}</div>
+                  <div className="text-sm text-muted-foreground">Invested {formatCurrency(totals.invested)} · Cash {formatCurrency(totals.cash)} · Value {formatCurrency(totals.value)}</div>
                 </div>
                 <div className="overflow-x-auto">
                   <table className="w-full text-sm">
@@ -710,25 +1500,112 @@ export default function StreetSmartWealthTracker() {
                       const value = (a.units||0)*(a.price||0);
                       const w = totals.value>0? value/totals.value:0;
                       return (
-                        <tr key={a.ticker} className="border-t">
-                          <td className="py-2 pr-3 font-medium">{a.ticker}</td>
+                        <tr key={a.ticker} className={`border-t ${a.retired ? "text-muted-foreground" : ""}`}>
+                          <td className="py-2 pr-3 font-medium">{a.ticker}{a.retired && <span className="ml-1 text-xs">(retired)</span>}</td>
                           <td className="py-2 pr-3">{(a.units||0).toFixed(6)}</td>
-                          <td className="py-2 pr-3">{formatCurrency(a.price||0)}</td>
+                          <td className="py-2 pr-3">
+                            {a.currency === BASE_CURRENCY ? formatCurrency(a.price||0) : (
+                              <>
+                                {formatCurrency(a.quote||0, a.currency)}
+                                <div className="text-xs text-muted-foreground">{a.fx ? `${formatCurrency(a.price)} at ${a.fx}` : `no ${a.currency} rate`}</div>
+                              </>
+                            )}
+                          </td>
                           <td className="py-2 pr-3">{formatCurrency(a.invested||0)}</td>
-                          <td className="py-2 pr-3">{formatCurrency(value)}</td>
+                          <td className="py-2 pr-3">
+                            {formatCurrency(value)}
+                            {a.unrealisedFx != null && a.units > 0 && <div className="text-xs text-muted-foreground">FX {formatCurrency(a.unrealisedFx)}</div>}
+                          </td>
                           <td className="py-2 pr-3">{(w*100).toFixed(2)}%</td>
                         </tr>
                       );
                     })}
+                    <tr className="border-t">
+                      <td className="py-2 pr-3 font-medium">{CASH_KEY}</td>
+                      <td className="py-2 pr-3">—</td>
+                      <td className="py-2 pr-3">—</td>
+                      <td className="py-2 pr-3">—</td>
+                      <td className="py-2 pr-3">{formatCurrency(totals.cash)}</td>
+                      <td className="py-2 pr-3">{totals.value > 0 ? ((totals.cash / totals.value) * 100).toFixed(2) : "0.00"}%</td>
+                    </tr>
                     </tbody>
                   </table>
                 </div>
               </CardContent>
             </Card>
           </div>
+          <ValueChart
+            assets={chartAssets}
+            transactions={ledger.transactions}
+            priceAt={priceAt}
+            priceHistory={priceHistory}
+            laneColor={laneColor}
+            onDeletePoint={(ticker, date) => setPriceHistory(h => removePricePoint(h, ticker, date))}
+          />
+          <Card className="mt-4 rounded-2xl">
+            <CardContent className="p-4 sm:p-6">
+              <h2 className="font-semibold mb-2">Record Trade</h2>
+              <TradeEntryForm assets={assets} onSubmit={recordTrade} lotsFor={openLotsAt} rateFor={rateFor}/>
+              <p className="text-xs text-muted-foreground mt-2">Enter trades exactly as on the contract note. The trade date drives CGT holding periods.</p>
+            </CardContent>
+          </Card>
+          <Card className="mt-4 rounded-2xl">
+            <CardContent className="p-4 sm:p-6">
+              <h2 className="font-semibold mb-2">Record Distribution</h2>
+              <IncomeEntryForm assets={assets} onSubmit={recordIncome}/>
+              <p className="text-xs text-muted-foreground mt-2">Take figures from the distribution statement and the annual AMMA statement. DRP allotments become new parcels for CGT.</p>
+            </CardContent>
+          </Card>
+          <Card className="mt-4 rounded-2xl">
+            <CardContent className="p-4 sm:p-6">
+              <h2 className="font-semibold mb-2">Record Cash</h2>
+              <CashEntryForm cash={totals.cash} onSubmit={recordCash}/>
+              <p className="text-xs text-muted-foreground mt-2">Buys draw on cash and sales and cash distributions add to it. A buy larger than the cash on hand counts the difference as new money.</p>
+            </CardContent>
+          </Card>
           <Card className="mt-4 rounded-2xl">
             <CardContent className="p-4 sm:p-6">
               <h2 className="font-semibold mb-2">Transactions</h2>
+              {editingTxn && (
+                <div className="mb-4 p-3 border rounded-xl">
+                  <div className="mb-2 font-medium">Edit {editingTxn.kind} {editingTxn.ticker}</div>
+                  {CASH_KINDS.includes(editingTxn.kind) ? (
+                    <CashEntryForm
+                      key={editingTxn.id}
+                      initial={editingTxn}
+                      submitLabel="Save"
+                      onSubmit={t => updateTransaction(editingTxn.id, t)}
+                      onCancel={() => setEditingTxnId(null)}
+                    />
+                  ) : INCOME_KINDS.includes(editingTxn.kind) ? (
+                    <IncomeEntryForm
+                      key={editingTxn.id}
+                      assets={assets}
+                      initial={editingTxn}
+                      submitLabel="Save"
+                      onSubmit={t => updateTransaction(editingTxn.id, t)}
+                      onCancel={() => setEditingTxnId(null)}
+                    />
+                  ) : (
+                    <TradeEntryForm
+                      key={editingTxn.id}
+                      assets={assets}
+                      initial={editingTxn}
+                      submitLabel="Save"
+                      onSubmit={t => updateTransaction(editingTxn.id, t)}
+                      lotsFor={(ticker, day) => openLotsAt(ticker, day, editingTxn.id)}
+                      rateFor={rateFor}
+                      onCancel={() => setEditingTxnId(null)}
+                    />
+                  )}
+                </div>
+              )}
+              {ledger.issues.length > 0 && (
+                <div className="mb-3 flex items-start gap-2 text-sm text-rose-600">
+                  <AlertTriangle className="h-4 w-4 mt-0.5 shrink-0"/>
+                  <span>{ledger.issues.length} transaction(s) could not be replayed and are excluded from holdings. Edit or delete the highlighted rows.</span>
+                </div>
+              )}
               <div className="overflow-x-auto">
                 <table className="w-full text-sm">
                   <thead className="text-left text-muted-foreground">
@@ -736,28 +1613,48 @@ export default function StreetSmartWealthTracker() {
                       <th className="py-2 pr-3">Kind</th>
                       <th className="py-2 pr-3">Ticker</th>
                       <th className="py-2 pr-3">Date</th>
+                      <th className="py-2 pr-3">Settled</th>
                       <th className="py-2 pr-3">Units</th>
                       <th className="py-2 pr-3">Price</th>
                       <th className="py-2 pr-3">Amount</th>
+                      <th className="py-2 pr-3">Brokerage</th>
                       <th className="py-2 pr-3">Proceeds</th>
                       <th className="py-2 pr-3">Cost Base</th>
                       <th className="py-2 pr-3">Gain</th>
                       <th className="py-2 pr-3">Discount Gain</th>
+                      <th className="py-2 pr-3"></th>
                     </tr>
                   </thead>
                   <tbody>
-                  {txn.map(t => (
-                    <tr key={t.id} className="border-t">
-                      <td className="py-2 pr-3 font-medium">{t.kind}</td>
-                      <td className="py-2 pr-3">{t.ticker}</td>
+                  {txnByDate.map(t => (
+                    <tr key={t.id} className={`border-t ${txnIssues.has(t.id) ? "bg-rose-50 dark:bg-rose-950/30" : ""}`} title={txnIssues.get(t.id)}>
+                      <td className="py-2 pr-3 font-medium">{t.kind}{t.lotMethod && <span className="ml-1 text-xs font-normal text-muted-foreground">{t.lotMethod}</span>}</td>
+                      <td className="py-2 pr-3">{t.ticker || CASH_KEY}</td>
                       <td className="py-2 pr-3">{new Date(t.date).toLocaleString()}</td>
+                      <td className="py-2 pr-3">{t.settleDate ? new Date(t.settleDate).toLocaleDateString() : "—"}</td>
                       <td className="py-2 pr-3">{(t.units||0).toFixed(6)}</td>
-                      <td className="py-2 pr-3">{formatCurrency(t.price||0)}</td>
-                      <td className="py-2 pr-3">{formatCurrency(t.amount||0)}</td>
+                      <td className="py-2 pr-3">
+                        {formatCurrency(t.price||0, currencyOf(t.ticker))}
+                        {t.fxUsed && <div className="text-xs text-muted-foreground">at {t.fxUsed}</div>}
+                      </td>
+                      <td className="py-2 pr-3">
+                        {formatCurrency(t.amount||0)}
+                        {t.frankingCredits > 0 && <div className="text-xs text-muted-foreground">+{formatCurrency(t.frankingCredits)} franking</div>}
+                      </td>
+                      <td className="py-2 pr-3">{formatCurrency(t.brokerage||0, currencyOf(t.ticker))}</td>
                       <td className="py-2 pr-3">{formatCurrency(t.proceeds||0)}</td>
                       <td className="py-2 pr-3">{formatCurrency(t.costBase||0)}</td>
-                      <td className="py-2 pr-3">{formatCurrency(t.gain||0)}</td>
+                      <td className="py-2 pr-3">
+                        {formatCurrency(t.gain||0)}
+                        {t.fxGain != null && <div className="text-xs text-muted-foreground">incl. FX {formatCurrency(t.fxGain)}</div>}
+                      </td>
                       <td className="py-2 pr-3">{formatCurrency(t.discountGain||0)}</td>
+                      <td className="py-2 pr-3">
+                        <div className="flex items-center gap-1">
+                          <Button variant="ghost" size="icon" title="Edit" onClick={() => setEditingTxnId(t.id)}><Pencil/></Button>
+                          <Button variant="ghost" size="icon" title="Delete" onClick={() => { if (confirm(`Delete this ${t.kind} of ${t.ticker || formatCurrency(t.amount || 0)}?`)) deleteTransaction(t.id); }}><Trash2/></Button>
+                        </div>
+                      </td>
                     </tr>
                   ))}
                   </tbody>
@@ -773,7 +1670,7 @@ export default function StreetSmartWealthTracker() {
             <CardContent className="p-4 sm:p-6 space-y-3">
               <h2 className="font-semibold">Summary & Rebalance</h2>
               <div className="text-sm text-muted-foreground">
-                Total Value: <span className="font-medium">{formatCurrency(totals.value)}</span>
+                Total Value: <span className="font-medium">{formatCurrency(totals.value)}</span> (cash {formatCurrency(totals.cash)}). Weights below are of holdings only.
               </div>
               <div className="overflow-x-auto">
                 <table className="w-full text-sm">
@@ -783,7 +1680,9 @@ export default function StreetSmartWealthTracker() {
                       <th className="py-2 pr-3">Target</th>
                       <th className="py-2 pr-3">Current</th>
                       <th className="py-2 pr-3">Δ Weight</th>
+                      <th className="py-2 pr-3">Band</th>
                       <th className="py-2 pr-3">Δ Amount</th>
+                      <th className="py-2 pr-3">Est. CGT</th>
                       <th className="py-2 pr-3">Invested</th>
                       <th className="py-2 pr-3">P/L</th>
                     </tr>
@@ -798,16 +1697,27 @@ export default function StreetSmartWealthTracker() {
                       const targetPct = (asset?.targetWeight || 0) * 100;
                       const currentPct = (r.weightNow * 100);
                       const deltaPct = currentPct - targetPct;
+                      const band = asset ? laneBand(policy, asset) : Infinity;
+                      const out = breaches.some(b => b.ticker === r.ticker);
 
                       return (
                         <tr key={r.ticker} className="border-t">
                           <td className="py-2 pr-3 font-medium">{r.ticker}</td>
                           <td className="py-2 pr-3">{targetPct.toFixed(0)}%</td>
                           <td className="py-2 pr-3">{currentPct.toFixed(1)}%</td>
-                          <td className="py-2 pr-3">{deltaPct.toFixed(1)}%</td>
+                          <td className={`py-2 pr-3 ${out ? "font-medium text-amber-700 dark:text-amber-400" : ""}`}>{deltaPct.toFixed(1)}%</td>
+                          <td className="py-2 pr-3 text-muted-foreground">{Number.isFinite(band) ? `±${(band * 100).toFixed(1)}` : "—"}</td>
                           <td className={`py-2 pr-3 ${r.delta > 0 ? "text-emerald-600" : r.delta < 0 ? "text-rose-600" : ""}`}>
                             {r.delta === 0 ? "—" : (r.delta > 0 ? "Buy " : "Sell ") + formatCurrency(Math.abs(r.delta))}
                           </td>
+                          <td className="py-2 pr-3">
+                            {r.tax ? formatCurrency(r.tax.tax) : "—"}
+                            {r.tax?.near.length > 0 && (
+                              <div className="text-xs text-amber-700 dark:text-amber-400">
+                                {r.tax.near.length} parcel{r.tax.near.length === 1 ? "" : "s"} turn{r.tax.near.length === 1 ? "s" : ""} 12 months within {Math.max(...r.tax.near.map(p => p.daysToDiscount))} days
+                              </div>
+                            )}
+                          </td>
                           <td className="py-2 pr-3">{formatCurrency(invested)}</td>
                           <td className={`py-2 pr-3 ${pl >= 0 ? "text-emerald-600" : "text-rose-600"}`}>
                             {formatCurrency(pl)}
@@ -820,10 +1730,52 @@ export default function StreetSmartWealthTracker() {
                 </table>
               </div>
               <p className="text-xs text-muted-foreground">
-                “Δ Amount” shows how much to buy/sell to match targets at current prices.
+                “Δ Amount” shows how much to buy/sell to match targets at current prices. “Est. CGT” is for that sale alone, lowest-tax parcels first.
               </p>
+              <div className="text-sm text-muted-foreground">
+                {breaches.length === 0 ? "Every lane is inside its band." : `Outside band: ${breaches.map(b => b.ticker).join(", ")}.`}
+                {policy.calendar !== "none" && policy.lastReview && ` Next review ${nextReview(policy, policy.lastReview)}.`}
+                {" "}Bands and calendar are under Settings.
+              </div>
+              {reviewDue(policy, today) && (
+                <div className="flex flex-wrap items-center gap-3 rounded-xl border border-amber-300 p-3 text-sm text-amber-700 dark:text-amber-400">
+                  <span>{policy.calendar === "quarterly" ? "Quarterly" : "Annual"} rebalance review is due.</span>
+                  <Button size="sm" variant="outline" onClick={() => setPolicy(p => markReviewed(p, { transactions: txn, today }))}>Mark reviewed</Button>
+                </div>
+              )}
+              <div>
+                <Label>Marginal tax rate %</Label>
+                <Input inputMode="decimal" className="w-24" placeholder={(profile.taxRate * 100).toFixed(1)}
+                       value={taxRateDraft ?? (policy.taxRatePct == null ? "" : String(policy.taxRatePct))}
+                       onChange={e => setTaxRateDraft(e.target.value)}
+                       onBlur={e => {
+                         const v = e.target.value.trim();
+                         const n = Number(v);
+                         if (v === "" || (Number.isFinite(n) && n >= 0)) setPolicy(p => ({ ...p, taxRatePct: v === "" ? null : n }));
+                         setTaxRateDraft(null);
+                       }}/>
+              </div>
+              <RebalanceTradeoffs scenarios={rebalanceTradeoffs} taxRate={taxRate}/>
+              <div className="space-y-2">
+                <div className="font-medium">Rebalance history</div>
+                <RebalanceHistory
+                  history={policy.history}
+                  onNote={(id, note) => setPolicy(p => ({ ...p, history: p.history.map(h => (h.id === id ? { ...h, note } : h)) }))}
+                />
+              </div>
             </CardContent>
           </Card>
+          <PerformanceCard assets={assets} transactions={ledger.transactions} priceAt={priceAt}/>
+        </TabsContent>
+
+        {/* Projection */}
+        <TabsContent value="projection">
+          <ProjectionView
+            key={active.id}
+            assets={assets}
+            startValue={totals.value}
+            yearlyContribution={yearlyContribution(plans, today)}
+          />
         </TabsContent>
 
         {/* CGT */}
@@ -837,45 +1789,132 @@ export default function StreetSmartWealthTracker() {
                          onChange={e => setFyYear(Number(e.target.value)||fyYear)} />
                 </div>
                 <div className="flex items-end">
-                  <div className="text-sm text-muted-foreground">FY {fyYear}-{String((fyYear+1)).slice(2)} · Events {fy.events}</div>
+                  <div className="text-sm text-muted-foreground">FY {fyYear}-{String((fyYear+1)).slice(2)} · Events {fy.events} · {active.name}: {profile.label}, {+(profile.discountRate * 100).toFixed(1)}% discount</div>
                 </div>
               </div>
               <div className="p-3 border rounded-xl">
                 <div className="mb-2 font-medium">What-if Sell</div>
-                <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 items-end">
+                <div className="grid grid-cols-1 sm:grid-cols-5 gap-3 items-end">
                   <div>
                     <Label>Ticker</Label>
-                    <Input placeholder="e.g., VGS" value={whatIfTicker} onChange={e => setWhatIfTicker(e.target.value.toUpperCase())}/>
+                    <select className="flex h-9 w-full rounded-md border border-input bg-transparent px-3 py-1 text-sm shadow-sm"
+                            value={whatIfTicker} onChange={e => { setWhatIfTicker(e.target.value); setWhatIfPicks([]); }}>
+                      {assets.map(a => <option key={a.ticker} value={a.ticker}>{a.ticker}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <Label>Lot matching</Label>
+                    <select className="flex h-9 w-full rounded-md border border-input bg-transparent px-3 py-1 text-sm shadow-sm"
+                            value={whatIfMethod} onChange={e => setWhatIfMethod(e.target.value)}>
+                      {LOT_METHODS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                    </select>
                   </div>
+                  {whatIfMethod !== "SPECIFIC" && (
+                    <div>
+                      <Label>Sell Amount (AUD)</Label>
+                      <Input inputMode="decimal" placeholder="1000" value={whatIfAmount} onChange={e => setWhatIfAmount(e.target.value)}/>
+                    </div>
+                  )}
                   <div>
-                    <Label>Sell Amount (AUD)</Label>
-                    <Input inputMode="decimal" placeholder="1000" value={whatIfAmount} onChange={e => setWhatIfAmount(e.target.value)}/>
+                    <Label>Brokerage</Label>
+                    <Input inputMode="decimal" placeholder="0" value={whatIfBrokerage} onChange={e => setWhatIfBrokerage(e.target.value)}/>
                   </div>
                   <div>
-                    <Button className="w-full" onClick={() => setWhatIfResult(whatIfSell(whatIfTicker, Number(whatIfAmount)||0))}>Calculate</Button>
+                    <Button className="w-full" onClick={runWhatIf}>Calculate</Button>
                   </div>
                 </div>
+                {whatIfMethod === "SPECIFIC" && (
+                  <div className="mt-3">
+                    <LotPicker
+                      lots={assets.find(a => a.ticker === whatIfTicker)?.lots || []}
+                      picks={whatIfPicks}
+                      price={assets.find(a => a.ticker === whatIfTicker)?.price || 0}
+                      onChange={setWhatIfPicks}
+                    />
+                  </div>
+                )}
                 {whatIfResult && !whatIfResult.error && (
                   <div className="mt-3 text-sm grid grid-cols-2 sm:grid-cols-4 gap-2">
                     <div>Units: <span className="font-medium">{whatIfResult.units.toFixed(6)}</span></div>
-                    <div>Proceeds: <span className="font-medium">{formatCurrency(whatIfResult.proceeds)}</span></div>
-                    <div>Cost Base: <span className="font-medium">{formatCurrency(whatIfResult.costBase)}</span></div>
+                    <div>Net Proceeds: <span className="font-medium">{formatCurrency(whatIfResult.proceeds)}</span></div>
+                    <div>Cost Base: <span className="font-medium">{formatCurrency(whatIfResult.costBase)}</span> <span className="text-xs text-muted-foreground">(incl. {formatCurrency(whatIfResult.buyCosts)} brokerage)</span></div>
                     <div>Discount Gain: <span className="font-medium">{formatCurrency(whatIfResult.discountGain)}</span></div>
+                    <div>Gain / Loss: <span className={`font-medium ${whatIfResult.gain >= 0 ? "text-emerald-600" : "text-rose-600"}`}>{formatCurrency(whatIfResult.gain)}</span></div>
+                    <div>Parcels: <span className="font-medium">{whatIfResult.parcels.length}</span> <span className="text-xs text-muted-foreground">({LOT_METHODS.find(m => m.key === whatIfResult.method)?.label})</span></div>
                   </div>
                 )}
                 {whatIfResult?.error && <div className="mt-2 text-sm text-rose-600">{whatIfResult.error}</div>}
               </div>
               <div className="p-3 rounded-xl bg-slate-100 dark:bg-slate-800/40 border border-slate-200 dark:border-slate-700">
-                <div className="text-sm">Gross Gains (no losses netting): <span className="font-medium">{formatCurrency(fy.grossGain)}</span></div>
-                <div className="text-sm">Discounted Gains (AUS 50% rule applied to {">"}12mo lots): <span className="font-medium">{formatCurrency(fy.discountGain)}</span></div>
-                <p className="text-xs text-muted-foreground mt-2">Note: This is a simplified calculator (FIFO, no capital losses applied, no brokerage adjustments).
-                  Export CSV and verify with your tax accountant.</p>
+                <div className="mb-2 font-medium">Net Capital Gain Reconciliation</div>
+                <table className="w-full text-sm">
+                  <tbody>
+                    <tr><td className="py-1 pr-3">Gross capital gains</td><td className="py-1 text-right font-medium">{formatCurrency(fy.grossGain)}</td></tr>
+                    <tr className="text-muted-foreground"><td className="py-1 pr-3 pl-4">held 12 months or more (discount-eligible)</td><td className="py-1 text-right">{formatCurrency(fy.discountableGain)}</td></tr>
+                    <tr className="text-muted-foreground"><td className="py-1 pr-3 pl-4">held under 12 months</td><td className="py-1 text-right">{formatCurrency(fy.otherGain)}</td></tr>
+                    <tr><td className="py-1 pr-3">Less current-year capital losses applied <span className="text-muted-foreground">(of {formatCurrency(fy.currentLosses)})</span></td><td className="py-1 text-right">−{formatCurrency(fy.currentLossesApplied)}</td></tr>
+                    <tr><td className="py-1 pr-3">Less prior-year net capital losses applied <span className="text-muted-foreground">(of {formatCurrency(fy.priorLosses)})</span></td><td className="py-1 text-right">−{formatCurrency(fy.priorLossesApplied)}</td></tr>
+                    <tr><td className="py-1 pr-3">Less CGT discount ({(fy.discountRate * 100).toFixed(0)}% of remaining discount-eligible gains)</td><td className="py-1 text-right">−{formatCurrency(fy.discount)}</td></tr>
+                    <tr className="border-t font-semibold"><td className="py-1 pr-3">Net capital gain</td><td className="py-1 text-right">{formatCurrency(fy.netCapitalGain)}</td></tr>
+                    <tr><td className="py-1 pr-3">Net capital losses carried forward to FY {fyYear + 1}-{String(fyYear + 2).slice(2)}</td><td className="py-1 text-right">{formatCurrency(fy.carryForward)}</td></tr>
+                  </tbody>
+                </table>
+                <div className="text-sm mt-2">Brokerage in cost base of parcels sold: <span className="font-medium">{formatCurrency(fy.buyCosts)}</span> · deducted from sale proceeds: <span className="font-medium">{formatCurrency(fy.saleCosts)}</span></div>
+                <p className="text-xs text-muted-foreground mt-2">Note: Gains follow the lot method chosen on each sell (FIFO unless set). Losses are applied to non-discountable gains first, and carry forward from the first recorded sale; losses from before that aren't known.
+                  Give your tax accountant the FY report below to verify.</p>
+              </div>
+              <CgtReport
+                report={fyReport}
+                onPrint={() => printHtml(reportHTML(fyReport))}
+                onSaveHtml={() => saveReport(FILE_TYPES.html)}
+                onExportCsv={() => saveReport(FILE_TYPES.csv)}
+              />
+              <div className="p-3 border rounded-xl">
+                <div className="mb-2 font-medium">Distribution Income FY {fyYear}-{String((fyYear+1)).slice(2)}</div>
+                {fyIncome.byTicker.length === 0 ? (
+                  <div className="text-sm text-muted-foreground">No distributions, DRP allotments or AMIT adjustments recorded for this year.</div>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead className="text-left text-muted-foreground">
+                        <tr>
+                          <th className="py-2 pr-3">Ticker</th>
+                          <th className="py-2 pr-3">Cash</th>
+                          <th className="py-2 pr-3">DRP</th>
+                          <th className="py-2 pr-3">Franking</th>
+                          <th className="py-2 pr-3">Assessable</th>
+                          <th className="py-2 pr-3">AMIT +</th>
+                          <th className="py-2 pr-3">AMIT −</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {[...fyIncome.byTicker, fyIncome.total].map(r => (
+                          <tr key={r.ticker} className={`border-t ${r === fyIncome.total ? "font-semibold" : ""}`}>
+                            <td className="py-2 pr-3">{r.ticker}</td>
+                            <td className="py-2 pr-3">{formatCurrency(r.cash)}</td>
+                            <td className="py-2 pr-3">{formatCurrency(r.reinvested)}</td>
+                            <td className="py-2 pr-3">{formatCurrency(r.franking)}</td>
+                            <td className="py-2 pr-3">{formatCurrency(r.assessable)}</td>
+                            <td className="py-2 pr-3">{formatCurrency(r.amitIncrease)}</td>
+                            <td className="py-2 pr-3">{formatCurrency(r.amitDecrease)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+                <p className="text-xs text-muted-foreground mt-2">Assessable = cash + DRP + franking credits (grossed up). AMIT amounts adjust the cost base of units held, not income.</p>
               </div>
             </CardContent>
           </Card>
         </TabsContent>
 
         {/* Settings */}
+        {/* Household */}
+        <TabsContent value="household" className="mt-4">
+          <HouseholdView household={household} colorOf={ticker => tickerColor.get(ticker)}/>
+        </TabsContent>
+
         <TabsContent value="settings" className="mt-4">
           <Card className="rounded-2xl">
             <CardContent className="p-4 sm:p-6 space-y-4">
@@ -885,10 +1924,21 @@ export default function StreetSmartWealthTracker() {
                   <div className="mb-2 font-medium">Backup & Restore</div>
                   <div className="flex flex-wrap gap-2">
                     <Button variant="secondary" className="gap-2" onClick={exportJSON}><Save className="h-4 w-4"/> Save Backup</Button>
-                    <Button variant="secondary" className="gap-2" onClick={() => fileInputRef.current?.click()}><Upload className="h-4 w-4"/> Restore</Button>
-                    <input ref={fileInputRef} type="file" accept="application/json" className="hidden" onChange={onImportFile} />
+                    <Button variant="secondary" className="gap-2" onClick={importBackup}><Upload className="h-4 w-4"/> Restore</Button>
+                  </div>
+                  <div className="mt-3 flex items-center gap-3">
+                    <Switch checked={backupCrypt.enabled} onCheckedChange={v => { setBackupCrypt(c => ({ ...c, enabled: v })); setBackupError(null); }}/>
+                    <span className="text-sm">Encrypt with a passphrase</span>
                   </div>
-                  <p className="text-xs text-muted-foreground mt-2">Backups include positions and transactions only. Prices are whatever you last entered.
+                  {backupCrypt.enabled && (
+                    <div className="mt-2 grid grid-cols-2 gap-2">
+                      <Input type="password" placeholder="Passphrase" value={backupCrypt.passphrase} onChange={e => setBackupCrypt(c => ({ ...c, passphrase: e.target.value }))}/>
+                      <Input type="password" placeholder="Repeat passphrase" value={backupCrypt.confirm} onChange={e => setBackupCrypt(c => ({ ...c, confirm: e.target.value }))}/>
+                    </div>
+                  )}
+                  {backupError && <div className="mt-2 text-sm text-rose-600">{backupError}</div>}
+                  <p className="text-xs text-muted-foreground mt-2">Backups include every portfolio's positions and transactions, and saved price history.
+                    {backupCrypt.enabled && " Encrypted with AES-GCM; a forgotten passphrase can't be recovered."}
                   </p>
                 </div>
                 <div className="p-3 border rounded-xl">
@@ -906,6 +1956,40 @@ export default function StreetSmartWealthTracker() {
                 </div>
               </div>
 
+              <PortfolioManager
+                key={portfolios.map(p => `${p.id}:${p.name}:${p.taxProfile}:${p.transactions.length}`).join("|")}
+                portfolios={portfolios}
+                onSave={savePortfolios}
+              />
+
+              <RebalancePolicyEditor
+                key={`${active.id}|${policy.absolutePct}|${policy.relativePct}|${policy.calendar}|${policy.reviewMonth}|${JSON.stringify(policy.bands)}|${assets.map(a => a.ticker).join()}`}
+                policy={policy}
+                assets={assets.filter(a => !a.retired || a.units > 0)}
+                today={today}
+                onSave={next => setPolicy(p => ({ ...p, ...next }))}
+              />
+
+              <AssetManager
+                key={`${active.id}|${assets.map(a => `${a.ticker}:${a.targetWeight}:${a.retired ? 1 : 0}:${a.name}:${a.currency}`).join("|")}`}
+                assets={assets}
+                transactions={txn}
+                onSave={saveLanes}
+              />
+
+              <PriceImport assets={allLanes} priceHistory={priceHistory} onApply={importPrices}/>
+
+              <FxRates rates={fxRates} lanes={allLanes} onChange={setFxRates}/>
+
+              <TradeImport
+                key={active.id}
+                assets={assets}
+                transactions={txn}
+                profiles={brokerProfiles}
+                onSaveProfile={(id, profile) => setBrokerProfiles(p => ({ ...p, [id]: profile }))}
+                onImport={importTrades}
+              />
+
               <div className="p-3 border rounded-xl">
                 <div className="mb-2 font-medium">Notes</div>
                 <p className="text-xs text-muted-foreground">Record any assumptions or reminders for your future self.</p>
@@ -0,0 +1,168 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { ArrowDown, ArrowUp, Archive, Plus, RotateCcw, Save, Trash2 } from "lucide-react";
+import { BASE_CURRENCY, CURRENCIES } from "@/lib/fx";
+
+/**
+ * Settings panel for the portfolio lanes.
+ *
+ * Works on a local draft so half-typed tickers and weights never hit the
+ * ledger; `onSave` only fires once the draft validates (unique tickers,
+ * active target weights summing to 100%). A lane's trading currency is
+ * fixed once it has history, since its recorded prices are in that currency.
+ */
+
+function toDraft(assets, transactions) {
+  return assets.map(a => ({
+    key: crypto.randomUUID(),
+    origTicker: a.ticker,
+    ticker: a.ticker,
+    name: a.name || "",
+    weightPct: String(+((a.targetWeight || 0) * 100).toFixed(2)),
+    retired: !!a.retired,
+    currency: a.currency || BASE_CURRENCY,
+    hasHistory: (a.units || 0) > 0 || (a.lots || []).length > 0 || transactions.some(t => t.ticker === a.ticker),
+  }));
+}
+
+function validateLanes(rows) {
+  const errors = [];
+  const seen = new Set();
+  rows.forEach((r, i) => {
+    const t = r.ticker.trim().toUpperCase();
+    if (!t) errors.push(`Row ${i + 1}: ticker is required.`);
+    else if (seen.has(t)) errors.push(`Duplicate ticker ${t}.`);
+    seen.add(t);
+    const w = Number(r.weightPct);
+    if (!r.retired && (r.weightPct === "" || !Number.isFinite(w) || w < 0)) errors.push(`${t || `Row ${i + 1}`}: target weight must be a number ≥ 0.`);
+  });
+  const active = rows.filter(r => !r.retired);
+  if (active.length === 0) errors.push("Keep at least one active lane.");
+  const sum = active.reduce((s, r) => s + (Number(r.weightPct) || 0), 0);
+  if (Math.abs(sum - 100) > 0.01) errors.push(`Active target weights add up to ${sum.toFixed(2)}%, not 100%.`);
+  return { errors, sum };
+}
+
+export default function AssetManager({ assets, transactions, onSave }) {
+  const [draft, setDraft] = useState(() => toDraft(assets, transactions));
+  const [dirty, setDirty] = useState(false);
+  const { errors, sum } = validateLanes(draft);
+
+  function edit(key, patch) {
+    setDraft(d => d.map(r => (r.key === key ? { ...r, ...patch } : r)));
+    setDirty(true);
+  }
+
+  function move(index, dir) {
+    const j = index + dir;
+    if (j < 0 || j >= draft.length) return;
+    setDraft(d => {
+      const next = [...d];
+      [next[index], next[j]] = [next[j], next[index]];
+      return next;
+    });
+    setDirty(true);
+  }
+
+  function addLane() {
+    setDraft(d => [...d, { key: crypto.randomUUID(), origTicker: null, ticker: "", name: "", weightPct: "0", retired: false, currency: BASE_CURRENCY, hasHistory: false }]);
+    setDirty(true);
+  }
+
+  function removeLane(key) {
+    setDraft(d => d.filter(r => r.key !== key));
+    setDirty(true);
+  }
+
+  function revert() {
+    setDraft(toDraft(assets, transactions));
+    setDirty(false);
+  }
+
+  function save() {
+    if (errors.length) return;
+    onSave(draft.map(r => ({
+      origTicker: r.origTicker,
+      ticker: r.ticker.trim().toUpperCase(),
+      name: r.name.trim() || r.ticker.trim().toUpperCase(),
+      targetWeight: r.retired ? 0 : (Number(r.weightPct) || 0) / 100,
+      retired: r.retired,
+      currency: r.currency,
+    })));
+    setDirty(false);
+  }
+
+  return (
+    <div className="p-3 border rounded-xl">
+      <div className="mb-2 flex items-center justify-between">
+        <div className="font-medium">Asset Lanes</div>
+        <div className={`text-sm ${Math.abs(sum - 100) > 0.01 ? "text-rose-600" : "text-muted-foreground"}`}>Targets {sum.toFixed(2)}%</div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-left text-muted-foreground">
+            <tr>
+              <th className="py-2 pr-3">Ticker</th>
+              <th className="py-2 pr-3">Name</th>
+              <th className="py-2 pr-3">Currency</th>
+              <th className="py-2 pr-3">Target %</th>
+              <th className="py-2 pr-3">Status</th>
+              <th className="py-2 pr-3"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {draft.map((r, i) => (
+              <tr key={r.key} className={`border-t ${r.retired ? "opacity-60" : ""}`}>
+                <td className="py-2 pr-3">
+                  <Input className="w-24" placeholder="e.g., IVV" value={r.ticker}
+                         onChange={e => edit(r.key, { ticker: e.target.value.toUpperCase() })}/>
+                </td>
+                <td className="py-2 pr-3">
+                  <Input className="min-w-40" placeholder="Description" value={r.name}
+                         onChange={e => edit(r.key, { name: e.target.value })}/>
+                </td>
+                <td className="py-2 pr-3">
+                  <select className="flex h-9 rounded-md border border-input bg-transparent px-2 py-1 text-sm shadow-sm disabled:opacity-50"
+                          disabled={r.hasHistory} value={r.currency} onChange={e => edit(r.key, { currency: e.target.value })}>
+                    {CURRENCIES.map(c => <option key={c} value={c}>{c}</option>)}
+                  </select>
+                </td>
+                <td className="py-2 pr-3">
+                  <Input inputMode="decimal" className="w-20" disabled={r.retired} value={r.retired ? "0" : r.weightPct}
+                         onChange={e => edit(r.key, { weightPct: e.target.value })}/>
+                </td>
+                <td className="py-2 pr-3 text-muted-foreground">{r.retired ? "Retired" : r.origTicker ? "Active" : "New"}</td>
+                <td className="py-2 pr-3">
+                  <div className="flex items-center gap-1">
+                    <Button variant="ghost" size="icon" title="Move up" disabled={i === 0} onClick={() => move(i, -1)}><ArrowUp/></Button>
+                    <Button variant="ghost" size="icon" title="Move down" disabled={i === draft.length - 1} onClick={() => move(i, 1)}><ArrowDown/></Button>
+                    {r.hasHistory ? (
+                      <Button variant="ghost" size="icon" title={r.retired ? "Reactivate" : "Retire (keeps history)"}
+                              onClick={() => edit(r.key, { retired: !r.retired, weightPct: "0" })}>
+                        {r.retired ? <RotateCcw/> : <Archive/>}
+                      </Button>
+                    ) : (
+                      <Button variant="ghost" size="icon" title="Remove" onClick={() => removeLane(r.key)}><Trash2/></Button>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {dirty && errors.length > 0 && (
+        <ul className="mt-2 text-sm text-rose-600 list-disc pl-5">
+          {errors.map(e => <li key={e}>{e}</li>)}
+        </ul>
+      )}
+      <div className="flex flex-wrap gap-2 mt-3">
+        <Button variant="outline" size="sm" className="gap-1" onClick={addLane}><Plus className="h-4 w-4"/> Add lane</Button>
+        <Button variant="outline" size="sm" className="gap-1" disabled={!dirty} onClick={revert}><RotateCcw className="h-4 w-4"/> Revert</Button>
+        <Button size="sm" className="gap-1" disabled={!dirty || errors.length > 0} onClick={save}><Save className="h-4 w-4"/> Save lanes</Button>
+      </div>
+      <p className="text-xs text-muted-foreground mt-2">Lanes with units or transactions can only be retired, not removed. Retired lanes keep their history but drop out of the planner and targets. Renaming a ticker also renames it on existing transactions. Foreign-currency lanes need exchange rates (below) to be valued.</p>
+    </div>
+  );
+}
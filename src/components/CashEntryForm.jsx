@@ -0,0 +1,72 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Plus, Save } from "lucide-react";
+import { formatCurrency, localToday } from "@/lib/format";
+
+/**
+ * Entry for cash movements: DEPOSIT (money into the portfolio) and WITHDRAW
+ * (money taken out). Same contract as TradeEntryForm: plain dates out,
+ * `onSubmit` returns an error string or null, `initial` edits an existing row.
+ */
+
+function emptyForm(kind) {
+  return { kind, date: localToday(), amount: "" };
+}
+
+function fromTransaction(t) {
+  return { kind: t.kind, date: t.date.slice(0, 10), amount: String(t.amount ?? "") };
+}
+
+export default function CashEntryForm({ cash, onSubmit, initial = null, submitLabel = "Record", onCancel }) {
+  const [form, setForm] = useState(() => (initial ? fromTransaction(initial) : emptyForm("DEPOSIT")));
+  const [error, setError] = useState(null);
+
+  function set(patch) {
+    setForm(f => ({ ...f, ...patch }));
+    setError(null);
+  }
+
+  function submit() {
+    const amount = Number(form.amount);
+    if (!form.date) return setError("Date is required.");
+    if (form.date > localToday()) return setError("Date can't be in the future.");
+    if (!(amount > 0)) return setError("Amount must be greater than zero.");
+    const err = onSubmit({ kind: form.kind, amount, date: form.date });
+    if (err) return setError(err);
+    if (!initial) setForm(f => emptyForm(f.kind));
+  }
+
+  const selectClass = "flex h-9 w-full rounded-md border border-input bg-transparent px-3 py-1 text-sm shadow-sm";
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 items-end">
+        <div>
+          <Label>Kind</Label>
+          <select className={selectClass} value={form.kind} onChange={e => set({ kind: e.target.value })}>
+            <option value="DEPOSIT">Deposit</option>
+            <option value="WITHDRAW">Withdrawal</option>
+          </select>
+        </div>
+        <div>
+          <Label>Date</Label>
+          <Input type="date" max={localToday()} value={form.date} onChange={e => set({ date: e.target.value })}/>
+        </div>
+        <div>
+          <Label>Amount</Label>
+          <Input inputMode="decimal" placeholder="0.00" value={form.amount} onChange={e => set({ amount: e.target.value })}/>
+        </div>
+        <div className="flex gap-2">
+          <Button className="w-full gap-2" onClick={submit}>{initial ? <Save className="h-4 w-4"/> : <Plus className="h-4 w-4"/>} {submitLabel}</Button>
+          {onCancel && <Button variant="outline" onClick={onCancel}>Cancel</Button>}
+        </div>
+      </div>
+      {form.kind === "WITHDRAW" && !initial && cash != null && (
+        <div className="mt-2 text-sm text-muted-foreground">Cash on hand: {formatCurrency(cash)}</div>
+      )}
+      {error && <div className="mt-2 text-sm text-rose-600">{error}</div>}
+    </div>
+  );
+}
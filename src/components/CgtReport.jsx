@@ -0,0 +1,87 @@
+import React from "react";
+import { Button } from "@/components/ui/button";
+import { FileDown, Printer } from "lucide-react";
+import { formatCurrency } from "@/lib/format";
+
+/**
+ * The FY's disposals parcel by parcel, and the totals for the tax return,
+ * with print (to PDF) and CSV exports of the same report. `report` is the
+ * output of taxReport().
+ */
+export default function CgtReport({ report, onPrint, onSaveHtml, onExportCsv }) {
+  return (
+    <div className="p-3 border rounded-xl">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <div className="font-medium">Disposals by parcel · {report.fy}</div>
+        <div className="flex flex-wrap gap-2">
+          <Button variant="outline" size="sm" className="gap-1" onClick={onPrint}><Printer className="h-4 w-4"/> Print / PDF</Button>
+          <Button variant="outline" size="sm" className="gap-1" onClick={onSaveHtml}><FileDown className="h-4 w-4"/> Save HTML</Button>
+          <Button variant="outline" size="sm" className="gap-1" onClick={onExportCsv}><FileDown className="h-4 w-4"/> Report CSV</Button>
+        </div>
+      </div>
+      {report.rows.length === 0 ? (
+        <div className="text-sm text-muted-foreground">No CGT events recorded for this year.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-left text-muted-foreground">
+              <tr>
+                <th className="py-2 pr-3">Ticker</th>
+                <th className="py-2 pr-3">Event</th>
+                <th className="py-2 pr-3">Acquired</th>
+                <th className="py-2 pr-3">Disposed</th>
+                <th className="py-2 pr-3">Units</th>
+                <th className="py-2 pr-3">Cost base</th>
+                <th className="py-2 pr-3">Proceeds</th>
+                <th className="py-2 pr-3">Days held</th>
+                <th className="py-2 pr-3">Method</th>
+                <th className="py-2 pr-3">Gain / loss</th>
+                {report.foreign && <th className="py-2 pr-3">of which FX</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {report.rows.map((r, i) => (
+                <tr key={i} className="border-t">
+                  <td className="py-2 pr-3 font-medium">{r.ticker}</td>
+                  <td className="py-2 pr-3">{r.event}</td>
+                  <td className="py-2 pr-3">{r.acquired || "—"}</td>
+                  <td className="py-2 pr-3">{r.disposed}</td>
+                  <td className="py-2 pr-3">{r.units == null ? "—" : +r.units.toFixed(6)}</td>
+                  <td className="py-2 pr-3">{formatCurrency(r.costBase)}</td>
+                  <td className="py-2 pr-3">{formatCurrency(r.proceeds)}</td>
+                  <td className="py-2 pr-3">{r.days ?? "—"}</td>
+                  <td className="py-2 pr-3">{r.method}</td>
+                  <td className={`py-2 pr-3 ${r.gain >= 0 ? "text-emerald-600" : "text-rose-600"}`}>{formatCurrency(r.gain)}</td>
+                  {report.foreign && <td className="py-2 pr-3 text-muted-foreground">{r.fxGain == null ? "—" : formatCurrency(r.fxGain)}</td>}
+                </tr>
+              ))}
+              <tr className="border-t font-semibold">
+                <td className="py-2 pr-3" colSpan={5}>Total</td>
+                <td className="py-2 pr-3">{formatCurrency(report.totals.costBase)}</td>
+                <td className="py-2 pr-3">{formatCurrency(report.totals.proceeds)}</td>
+                <td className="py-2 pr-3" colSpan={2}></td>
+                <td className="py-2 pr-3">{formatCurrency(report.totals.gain)}</td>
+                {report.foreign && <td className="py-2 pr-3">{formatCurrency(report.totals.fxGain)}</td>}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div className="mt-3 mb-1 text-sm font-medium">{report.labelsTitle}</div>
+      <table className="w-full text-sm">
+        <tbody>
+          {report.labels.map(l => (
+            <tr key={l.code} className="border-t">
+              <td className="py-1 pr-3 w-14 font-medium">{l.code}</td>
+              <td className="py-1 pr-3">{l.text}</td>
+              <td className="py-1 text-right font-medium">{typeof l.value === "number" ? formatCurrency(l.value) : l.value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-muted-foreground mt-2">
+        Amounts are AUD{report.foreign && "; foreign trades are converted at the trade-date rate, and the FX column is the part of each gain due to the exchange rate moving"}. Each parcel is its own CGT event: sell brokerage is shared across a sale's parcels by units, and cost bases include buy brokerage and AMIT adjustments. E10 rows are AMIT decreases beyond a parcel's cost base. Other entities report the same totals under their own return labels.
+      </p>
+    </div>
+  );
+}
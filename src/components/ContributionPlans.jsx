@@ -0,0 +1,161 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Plus, RotateCcw, Save, Trash2 } from "lucide-react";
+import { formatCurrency } from "@/lib/format";
+import { SPLIT_MODES } from "@/lib/rebalance";
+import { FREQUENCIES, GRACE_DAYS, planStatus } from "@/lib/schedules";
+
+/**
+ * Recurring contribution plans for the portfolio on screen: amount,
+ * frequency, start and optional end, and how each contribution is split.
+ * Edits a local draft like the other managers; `onSave` gets
+ * [{ id|null, name, amount, frequency, start, end, rule }] and keeps each
+ * existing plan's record of what happened on its due dates.
+ */
+
+function toDraft(plans) {
+  return plans.map(p => ({
+    key: p.id, id: p.id, name: p.name, amount: String(p.amount), frequency: p.frequency, start: p.start, end: p.end || "", rule: p.rule,
+  }));
+}
+
+function validatePlans(rows) {
+  const errors = [];
+  rows.forEach((r, i) => {
+    const where = r.name.trim() || `Row ${i + 1}`;
+    if (!r.name.trim()) errors.push(`Row ${i + 1}: name is required.`);
+    if (!(Number(r.amount) > 0)) errors.push(`${where}: amount must be greater than zero.`);
+    if (!r.start) errors.push(`${where}: start date is required.`);
+    else if (r.end && r.end < r.start) errors.push(`${where}: end date is before the start.`);
+  });
+  return errors;
+}
+
+export default function ContributionPlans({ plans, today, onSave }) {
+  const [draft, setDraft] = useState(() => toDraft(plans));
+  const [dirty, setDirty] = useState(false);
+  const errors = validatePlans(draft);
+  const selectClass = "flex h-9 w-full rounded-md border border-input bg-transparent px-3 py-1 text-sm shadow-sm";
+
+  function edit(key, patch) {
+    setDraft(d => d.map(r => (r.key === key ? { ...r, ...patch } : r)));
+    setDirty(true);
+  }
+
+  function addPlan() {
+    setDraft(d => [...d, { key: crypto.randomUUID(), id: null, name: "", amount: "", frequency: "monthly", start: today, end: "", rule: "target" }]);
+    setDirty(true);
+  }
+
+  function removePlan(key) {
+    setDraft(d => d.filter(r => r.key !== key));
+    setDirty(true);
+  }
+
+  function revert() {
+    setDraft(toDraft(plans));
+    setDirty(false);
+  }
+
+  function save() {
+    if (errors.length) return;
+    onSave(draft.map(r => ({
+      id: r.id, name: r.name.trim(), amount: Number(r.amount), frequency: r.frequency, start: r.start, end: r.end || null, rule: r.rule,
+    })));
+    setDirty(false);
+  }
+
+  return (
+    <div className="p-3 border rounded-xl">
+      <div className="mb-2 font-medium">Contribution plans</div>
+      {draft.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-left text-muted-foreground">
+              <tr>
+                <th className="py-2 pr-3">Name</th>
+                <th className="py-2 pr-3">Amount</th>
+                <th className="py-2 pr-3">Every</th>
+                <th className="py-2 pr-3">Start</th>
+                <th className="py-2 pr-3">End</th>
+                <th className="py-2 pr-3">Split</th>
+                <th className="py-2 pr-3"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {draft.map(r => (
+                <tr key={r.key} className="border-t">
+                  <td className="py-2 pr-3"><Input className="min-w-32" placeholder="e.g., Salary DCA" value={r.name} onChange={e => edit(r.key, { name: e.target.value })}/></td>
+                  <td className="py-2 pr-3"><Input inputMode="decimal" className="w-28" placeholder="0.00" value={r.amount} onChange={e => edit(r.key, { amount: e.target.value })}/></td>
+                  <td className="py-2 pr-3">
+                    <select className={selectClass} value={r.frequency} onChange={e => edit(r.key, { frequency: e.target.value })}>
+                      {FREQUENCIES.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+                    </select>
+                  </td>
+                  <td className="py-2 pr-3"><Input type="date" value={r.start} onChange={e => edit(r.key, { start: e.target.value })}/></td>
+                  <td className="py-2 pr-3"><Input type="date" value={r.end} onChange={e => edit(r.key, { end: e.target.value })}/></td>
+                  <td className="py-2 pr-3">
+                    <select className={selectClass} value={r.rule} onChange={e => edit(r.key, { rule: e.target.value })}>
+                      {SPLIT_MODES.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                    </select>
+                  </td>
+                  <td className="py-2 pr-3">
+                    <Button variant="ghost" size="icon" title="Remove" onClick={() => removePlan(r.key)}><Trash2/></Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {dirty && errors.length > 0 && (
+        <ul className="mt-2 text-sm text-rose-600 list-disc pl-5">
+          {errors.map(e => <li key={e}>{e}</li>)}
+        </ul>
+      )}
+      <div className="flex flex-wrap gap-2 mt-3">
+        <Button variant="outline" size="sm" className="gap-1" onClick={addPlan}><Plus className="h-4 w-4"/> Add plan</Button>
+        <Button variant="outline" size="sm" className="gap-1" disabled={!dirty} onClick={revert}><RotateCcw className="h-4 w-4"/> Revert</Button>
+        <Button size="sm" className="gap-1" disabled={!dirty || errors.length > 0} onClick={save}><Save className="h-4 w-4"/> Save plans</Button>
+      </div>
+
+      {plans.length > 0 && (
+        <div className="overflow-x-auto mt-4">
+          <table className="w-full text-sm">
+            <thead className="text-left text-muted-foreground">
+              <tr>
+                <th className="py-2 pr-3">Plan</th>
+                <th className="py-2 pr-3">Next due</th>
+                <th className="py-2 pr-3">Done</th>
+                <th className="py-2 pr-3">Late</th>
+                <th className="py-2 pr-3">Skipped</th>
+                <th className="py-2 pr-3">Missed</th>
+                <th className="py-2 pr-3">Contributed</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plans.map(p => {
+                const s = planStatus(p, today);
+                return (
+                  <tr key={p.id} className="border-t">
+                    <td className="py-2 pr-3 font-medium">{p.name} <span className="text-muted-foreground font-normal">{formatCurrency(p.amount)} {FREQUENCIES.find(f => f.key === p.frequency)?.label.toLowerCase()}</span></td>
+                    <td className="py-2 pr-3">{s.next || "Ended"}</td>
+                    <td className="py-2 pr-3">{s.done}</td>
+                    <td className={`py-2 pr-3 ${s.late ? "text-amber-700 dark:text-amber-400" : ""}`}>{s.late}</td>
+                    <td className="py-2 pr-3">{s.skipped}</td>
+                    <td className={`py-2 pr-3 ${s.overdue ? "text-rose-600" : ""}`}>{s.overdue}</td>
+                    <td className="py-2 pr-3">{formatCurrency(s.done * p.amount)} of {formatCurrency(s.occurrences.length * p.amount)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <p className="text-xs text-muted-foreground mt-2">
+        When a contribution falls due it's loaded into the planner; committing it deposits the amount and buys with it. Booked more than {GRACE_DAYS} days after the due date counts as late. Missed dates stay open until they're committed or skipped.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Plus, Trash2 } from "lucide-react";
+import { localToday } from "@/lib/format";
+import { BASE_CURRENCY, CURRENCIES, removeRate, upsertRate } from "@/lib/fx";
+
+/**
+ * Settings panel for exchange rates, as AUD per unit of each foreign
+ * currency by date. Like closes, rates are market data shared by every
+ * portfolio, so changes apply straight away. Trades book at the rate on or
+ * before their date and holdings value at the latest.
+ */
+export default function FxRates({ rates, lanes, onChange }) {
+  const used = [...new Set(lanes.map(a => a.currency).filter(c => c && c !== BASE_CURRENCY))];
+  const [currency, setCurrency] = useState(() => used[0] || CURRENCIES.find(c => c !== BASE_CURRENCY));
+  const [form, setForm] = useState({ date: localToday(), rate: "" });
+  const [error, setError] = useState(null);
+
+  const list = rates[currency] || [];
+  const missing = used.filter(c => !(rates[c] || []).length);
+
+  function add() {
+    const rate = Number(form.rate);
+    if (!form.date) return setError("Date is required.");
+    if (form.date > localToday()) return setError("Date can't be in the future.");
+    if (!(rate > 0)) return setError("Rate must be greater than zero.");
+    onChange(upsertRate(rates, currency, form.date, rate));
+    setForm(f => ({ ...f, rate: "" }));
+    setError(null);
+  }
+
+  const selectClass = "flex h-9 w-full rounded-md border border-input bg-transparent px-3 py-1 text-sm shadow-sm";
+
+  return (
+    <div className="p-3 border rounded-xl">
+      <div className="mb-2 font-medium">Exchange Rates</div>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 items-end">
+        <div>
+          <Label>Currency</Label>
+          <select className={selectClass} value={currency} onChange={e => { setCurrency(e.target.value); setError(null); }}>
+            {CURRENCIES.filter(c => c !== BASE_CURRENCY).map(c => <option key={c} value={c}>{c}{used.includes(c) ? " (in use)" : ""}</option>)}
+          </select>
+        </div>
+        <div>
+          <Label>Date</Label>
+          <Input type="date" max={localToday()} value={form.date} onChange={e => { setForm(f => ({ ...f, date: e.target.value })); setError(null); }}/>
+        </div>
+        <div>
+          <Label>AUD per {currency}</Label>
+          <Input inputMode="decimal" placeholder="e.g., 1.52" value={form.rate} onChange={e => { setForm(f => ({ ...f, rate: e.target.value })); setError(null); }}/>
+        </div>
+        <Button variant="outline" className="gap-1" onClick={add}><Plus className="h-4 w-4"/> Save rate</Button>
+      </div>
+      {error && <div className="mt-2 text-sm text-rose-600">{error}</div>}
+      {missing.length > 0 && (
+        <div className="mt-2 text-sm text-rose-600">No rates yet for {missing.join(", ")}: lanes in {missing.length === 1 ? "it" : "them"} can't be valued or traded.</div>
+      )}
+      {list.length > 0 ? (
+        <div className="mt-3 max-h-64 overflow-y-auto">
+          <table className="w-full text-sm">
+            <thead className="text-left text-muted-foreground">
+              <tr>
+                <th className="py-1 pr-3">Date</th>
+                <th className="py-1 pr-3">AUD per {currency}</th>
+                <th className="py-1 pr-3"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...list].reverse().map((p, i) => (
+                <tr key={p.date} className="border-t">
+                  <td className="py-1 pr-3">{p.date}{i === 0 && <span className="ml-1 text-xs text-muted-foreground">(latest)</span>}</td>
+                  <td className="py-1 pr-3">{p.rate}</td>
+                  <td className="py-1 pr-3">
+                    <Button variant="ghost" size="icon" title="Delete" onClick={() => onChange(removeRate(rates, currency, p.date))}><Trash2/></Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="mt-3 text-sm text-muted-foreground">No {currency} rates recorded.</div>
+      )}
+      <p className="text-xs text-muted-foreground mt-2">Trades convert at the rate on or before their date unless they carry their own; holdings value at the latest rate. Saving a date that's already recorded replaces its rate.</p>
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import React from "react";
+import { Card, CardContent } from "@/components/ui/card";
+import { formatCurrency } from "@/lib/format";
+import { taxProfile } from "@/lib/portfolios";
+import { PieChart as RPieChart, Pie, Cell, Tooltip, ResponsiveContainer } from "recharts";
+
+const pct = w => `${(w * 100).toFixed(1)}%`;
+
+/**
+ * Consolidated net worth and allocation across every portfolio. `household`
+ * is the output of consolidate(); `colorOf` maps a ticker (or CASH_KEY) to
+ * its chart hue. Gain is value less net contributions, so it counts
+ * realised gains and income as well as price moves.
+ */
+export default function HouseholdView({ household, colorOf }) {
+  const { netWorth, cash, contributed, portfolios, allocation } = household;
+  return (
+    <Card className="rounded-2xl">
+      <CardContent className="p-4 sm:p-6 space-y-4">
+        <h2 className="font-semibold">Household</h2>
+        <div className="flex flex-wrap gap-6 text-sm">
+          <div>Net worth: <span className="font-medium">{formatCurrency(netWorth)}</span></div>
+          <div>Cash: <span className="font-medium">{formatCurrency(cash)}</span></div>
+          <div>Net contributions: <span className="font-medium">{formatCurrency(contributed)}</span></div>
+          <div>Gain: <span className={`font-medium ${netWorth - contributed >= 0 ? "text-emerald-600" : "text-rose-600"}`}>{formatCurrency(netWorth - contributed)}</span></div>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-left text-muted-foreground">
+              <tr>
+                <th className="py-2 pr-3">Portfolio</th>
+                <th className="py-2 pr-3">Tax profile</th>
+                <th className="py-2 pr-3">Value</th>
+                <th className="py-2 pr-3">Cash</th>
+                <th className="py-2 pr-3">Contributed</th>
+                <th className="py-2 pr-3">Gain</th>
+                <th className="py-2 pr-3">Share</th>
+              </tr>
+            </thead>
+            <tbody>
+              {portfolios.map(p => (
+                <tr key={p.id} className="border-t">
+                  <td className="py-2 pr-3 font-medium">{p.name}</td>
+                  <td className="py-2 pr-3">{taxProfile(p.taxProfile).label}</td>
+                  <td className="py-2 pr-3">{formatCurrency(p.value)}</td>
+                  <td className="py-2 pr-3">{formatCurrency(p.cash)}</td>
+                  <td className="py-2 pr-3">{formatCurrency(p.contributed)}</td>
+                  <td className={`py-2 pr-3 ${p.value - p.contributed >= 0 ? "text-emerald-600" : "text-rose-600"}`}>{formatCurrency(p.value - p.contributed)}</td>
+                  <td className="py-2 pr-3">{pct(p.weight)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {allocation.length === 0 ? (
+          <div className="text-sm text-muted-foreground">No priced holdings yet.</div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-center">
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <RPieChart>
+                  <Pie data={allocation} dataKey="value" nameKey="ticker" innerRadius={60} outerRadius={100} paddingAngle={2}>
+                    {allocation.map(r => <Cell key={r.ticker} fill={colorOf(r.ticker)}/>)}
+                  </Pie>
+                  <Tooltip formatter={v => formatCurrency(v)}/>
+                </RPieChart>
+              </ResponsiveContainer>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="text-left text-muted-foreground">
+                  <tr>
+                    <th className="py-2 pr-3">Ticker</th>
+                    <th className="py-2 pr-3">Value</th>
+                    <th className="py-2 pr-3">Weight</th>
+                    <th className="py-2 pr-3">Held in</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {allocation.map(r => (
+                    <tr key={r.ticker} className="border-t">
+                      <td className="py-2 pr-3 font-medium">
+                        <span className="inline-block h-2 w-2 rounded-full mr-2" style={{ backgroundColor: colorOf(r.ticker) }}/>{r.ticker}
+                      </td>
+                      <td className="py-2 pr-3">{formatCurrency(r.value)}</td>
+                      <td className="py-2 pr-3">{pct(r.weight)}</td>
+                      <td className="py-2 pr-3 text-muted-foreground">{r.holders.map(h => `${h.name} ${formatCurrency(h.value)}`).join(" · ")}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
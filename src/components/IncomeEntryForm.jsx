@@ -0,0 +1,152 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Plus, Save } from "lucide-react";
+import { formatCurrency, localToday } from "@/lib/format";
+
+/**
+ * Entry for distribution-side ledger rows:
+ * - DIST: cash distribution with franking credits
+ * - DRP:  reinvestment allotment (units @ price, in the lane's currency), creates a new lot
+ * - AMIT: annual cost-base increase or decrease from the AMMA statement
+ *
+ * Same contract as TradeEntryForm: plain dates out, `onSubmit` returns an
+ * error string or null, `initial` edits an existing row.
+ */
+
+// 30 June just gone: where AMMA statements land
+function lastFYEnd() {
+  const today = localToday();
+  const y = Number(today.slice(0, 4));
+  return today.slice(5) >= "06-30" ? `${y}-06-30` : `${y - 1}-06-30`;
+}
+
+function emptyForm(kind, ticker) {
+  return { kind, ticker, date: kind === "AMIT" ? lastFYEnd() : localToday(), amount: "", units: "", price: "", franking: "", direction: "increase" };
+}
+
+function fromTransaction(t) {
+  const amount = Number(t.amount) || 0;
+  return {
+    kind: t.kind,
+    ticker: t.ticker,
+    date: t.date.slice(0, 10),
+    amount: t.kind === "AMIT" ? String(Math.abs(amount)) : String(amount || ""),
+    units: String(t.units ?? ""),
+    price: String(t.price ?? ""),
+    franking: t.frankingCredits ? String(t.frankingCredits) : "",
+    direction: amount < 0 ? "decrease" : "increase",
+  };
+}
+
+export default function IncomeEntryForm({ assets, onSubmit, initial = null, submitLabel = "Record", onCancel }) {
+  const [form, setForm] = useState(() => (initial ? fromTransaction(initial) : emptyForm("DIST", assets.find(a => !a.retired)?.ticker || "")));
+  const [error, setError] = useState(null);
+
+  const amount = Number(form.amount);
+  const units = Number(form.units);
+  const price = Number(form.price);
+  const currency = assets.find(a => a.ticker === form.ticker)?.currency;
+  const franking = Number(form.franking || 0);
+
+  function set(patch) {
+    setForm(f => (patch.kind && patch.kind !== f.kind ? { ...emptyForm(patch.kind, f.ticker), ...patch } : { ...f, ...patch }));
+    setError(null);
+  }
+
+  function submit() {
+    if (!form.ticker) return setError("Pick a ticker.");
+    if (!form.date) return setError("Date is required.");
+    if (form.date > localToday()) return setError("Date can't be in the future.");
+    if (!Number.isFinite(franking) || franking < 0) return setError("Franking credits must be zero or more.");
+    const row = { kind: form.kind, ticker: form.ticker, date: form.date };
+    if (form.kind === "DRP") {
+      if (!(units > 0)) return setError("Allotted units must be greater than zero.");
+      if (!(price > 0)) return setError("Allotment price must be greater than zero.");
+      Object.assign(row, { units, price, frankingCredits: franking });
+    } else {
+      if (!(amount > 0)) return setError("Amount must be greater than zero.");
+      if (form.kind === "DIST") Object.assign(row, { amount, frankingCredits: franking });
+      else row.amount = form.direction === "decrease" ? -amount : amount;
+    }
+    const err = onSubmit(row);
+    if (err) return setError(err);
+    if (!initial) setForm(f => emptyForm(f.kind, f.ticker));
+  }
+
+  const selectClass = "flex h-9 w-full rounded-md border border-input bg-transparent px-3 py-1 text-sm shadow-sm";
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-3 items-end">
+        <div>
+          <Label>Kind</Label>
+          <select className={selectClass} value={form.kind} onChange={e => set({ kind: e.target.value })}>
+            <option value="DIST">Distribution</option>
+            <option value="DRP">DRP allotment</option>
+            <option value="AMIT">AMIT adjustment</option>
+          </select>
+        </div>
+        <div>
+          <Label>Ticker</Label>
+          <select className={selectClass} value={form.ticker} onChange={e => set({ ticker: e.target.value })}>
+            {assets.map(a => <option key={a.ticker} value={a.ticker}>{a.ticker}{a.retired ? " (retired)" : ""}</option>)}
+          </select>
+        </div>
+        <div>
+          <Label>{form.kind === "DRP" ? "Allotment date" : form.kind === "AMIT" ? "Effective date" : "Payment date"}</Label>
+          <Input type="date" max={localToday()} value={form.date} onChange={e => set({ date: e.target.value })}/>
+        </div>
+        {form.kind === "DRP" ? (
+          <>
+            <div>
+              <Label>Units</Label>
+              <Input inputMode="decimal" placeholder="0" value={form.units} onChange={e => set({ units: e.target.value })}/>
+            </div>
+            <div>
+              <Label>Price / unit</Label>
+              <Input inputMode="decimal" placeholder="0.00" value={form.price} onChange={e => set({ price: e.target.value })}/>
+            </div>
+          </>
+        ) : form.kind === "AMIT" ? (
+          <>
+            <div>
+              <Label>Direction</Label>
+              <select className={selectClass} value={form.direction} onChange={e => set({ direction: e.target.value })}>
+                <option value="increase">Increase</option>
+                <option value="decrease">Decrease</option>
+              </select>
+            </div>
+            <div>
+              <Label>Net amount</Label>
+              <Input inputMode="decimal" placeholder="0.00" value={form.amount} onChange={e => set({ amount: e.target.value })}/>
+            </div>
+          </>
+        ) : (
+          <div>
+            <Label>Cash amount</Label>
+            <Input inputMode="decimal" placeholder="0.00" value={form.amount} onChange={e => set({ amount: e.target.value })}/>
+          </div>
+        )}
+        {form.kind !== "AMIT" && (
+          <div>
+            <Label>Franking credits</Label>
+            <Input inputMode="decimal" placeholder="0" value={form.franking} onChange={e => set({ franking: e.target.value })}/>
+          </div>
+        )}
+        <div className="flex gap-2">
+          <Button className="w-full gap-2" onClick={submit}>{initial ? <Save className="h-4 w-4"/> : <Plus className="h-4 w-4"/>} {submitLabel}</Button>
+          {onCancel && <Button variant="outline" onClick={onCancel}>Cancel</Button>}
+        </div>
+      </div>
+      {form.kind === "DRP" && units > 0 && price > 0 && (
+        <div className="mt-2 text-sm text-muted-foreground">Reinvested {formatCurrency(units * price, currency)} · new parcel at {formatCurrency(price, currency)}/unit</div>
+      )}
+      {form.kind === "AMIT" && (
+        <div className="mt-2 text-sm text-muted-foreground">Spread across the units held on that date, by units.</div>
+      )}
+      {error && <div className="mt-2 text-sm text-rose-600">{error}</div>}
+    </div>
+  );
+}
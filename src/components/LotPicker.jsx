@@ -0,0 +1,67 @@
+import React from "react";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { formatCurrency } from "@/lib/format";
+import { lotUnitCost, yearsBetween } from "@/lib/ledger";
+
+/**
+ * Tick-list of open parcels for specific-identification sells.
+ *
+ * `picks` is [{ lotId, qty }] with qty kept as the raw input string;
+ * ticking a parcel defaults to selling all of it.
+ */
+export default function LotPicker({ lots, picks, onChange, price = 0, saleDate = new Date() }) {
+  const byId = new Map(picks.map(p => [p.lotId, p]));
+
+  function toggle(lot, on) {
+    onChange(on
+      ? [...picks, { lotId: lot.txnId, qty: String(+lot.qty.toFixed(6)) }]
+      : picks.filter(p => p.lotId !== lot.txnId));
+  }
+
+  function setQty(lotId, qty) {
+    onChange(picks.map(p => (p.lotId === lotId ? { ...p, qty } : p)));
+  }
+
+  if (!lots.length) return <div className="text-sm text-muted-foreground">No open parcels on that date.</div>;
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead className="text-left text-muted-foreground">
+          <tr>
+            <th className="py-2 pr-3"></th>
+            <th className="py-2 pr-3">Acquired</th>
+            <th className="py-2 pr-3">Held</th>
+            <th className="py-2 pr-3">Cost / unit</th>
+            <th className="py-2 pr-3">Gain / unit</th>
+            <th className="py-2 pr-3">Sell units</th>
+          </tr>
+        </thead>
+        <tbody>
+          {lots.map(lot => {
+            const pick = byId.get(lot.txnId);
+            const eligible = yearsBetween(new Date(lot.date), saleDate) >= 1;
+            const gain = price > 0 ? price - lotUnitCost(lot) : null;
+            return (
+              <tr key={lot.txnId} className="border-t">
+                <td className="py-2 pr-3"><Checkbox checked={!!pick} onCheckedChange={v => toggle(lot, !!v)}/></td>
+                <td className="py-2 pr-3">
+                  {new Date(lot.date).toLocaleDateString()}
+                  {eligible && <span className="ml-1 text-xs text-emerald-600">12m+</span>}
+                </td>
+                <td className="py-2 pr-3">{lot.qty.toFixed(6)}</td>
+                <td className="py-2 pr-3">{formatCurrency(lotUnitCost(lot))}</td>
+                <td className={`py-2 pr-3 ${gain == null ? "" : gain >= 0 ? "text-emerald-600" : "text-rose-600"}`}>{gain == null ? "—" : formatCurrency(gain)}</td>
+                <td className="py-2 pr-3">
+                  <Input inputMode="decimal" className="w-28" disabled={!pick} value={pick?.qty ?? ""}
+                         onChange={e => setQty(lot.txnId, e.target.value)}/>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
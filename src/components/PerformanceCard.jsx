@@ -0,0 +1,78 @@
+import React, { useMemo, useState } from "react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { formatCurrency } from "@/lib/format";
+import { periodReturns, periodStart, RETURN_PERIODS } from "@/lib/returns";
+
+function pct(r) {
+  return r == null || !Number.isFinite(r) ? "—" : `${(r * 100).toFixed(2)}%`;
+}
+
+/**
+ * Money-weighted (XIRR) and time-weighted returns per lane and for the
+ * whole portfolio over a selectable period.
+ */
+export default function PerformanceCard({ assets, transactions, priceAt }) {
+  const [period, setPeriod] = useState("ITD");
+
+  const rows = useMemo(() => {
+    const end = new Date();
+    const start = periodStart(period, end);
+    const lanes = assets
+      .map(a => ({ label: a.ticker, r: periodReturns(transactions, [a.ticker], priceAt, { start, end }) }))
+      .filter(x => x.r);
+    const all = periodReturns(transactions, assets.map(a => a.ticker), priceAt, { start, end });
+    return all ? [...lanes, { label: "Portfolio", r: all, total: true }] : lanes;
+  }, [assets, transactions, priceAt, period]);
+
+  return (
+    <Card className="mt-4 rounded-2xl">
+      <CardContent className="p-4 sm:p-6 space-y-3">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <h2 className="font-semibold">Performance</h2>
+          <div className="flex flex-wrap gap-1">
+            {RETURN_PERIODS.map(p => (
+              <Button key={p.key} size="sm" variant={period === p.key ? "default" : "outline"} onClick={() => setPeriod(p.key)}>{p.label}</Button>
+            ))}
+          </div>
+        </div>
+        {rows.length === 0 ? (
+          <div className="text-sm text-muted-foreground">No transactions yet.</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-left text-muted-foreground">
+                <tr>
+                  <th className="py-2 pr-3">Lane</th>
+                  <th className="py-2 pr-3">Start value</th>
+                  <th className="py-2 pr-3">Net contributions</th>
+                  <th className="py-2 pr-3">End value</th>
+                  <th className="py-2 pr-3">XIRR (p.a.)</th>
+                  <th className="py-2 pr-3">TWR</th>
+                  <th className="py-2 pr-3">TWR (p.a.)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(({ label, r, total }) => (
+                  <tr key={label} className={`border-t ${total ? "font-semibold" : ""}`}>
+                    <td className="py-2 pr-3">{label}</td>
+                    <td className="py-2 pr-3">{formatCurrency(r.startValue)}</td>
+                    <td className="py-2 pr-3">{formatCurrency(r.netContributions)}</td>
+                    <td className="py-2 pr-3">{formatCurrency(r.endValue)}</td>
+                    <td className={`py-2 pr-3 ${r.xirr == null ? "" : r.xirr >= 0 ? "text-emerald-600" : "text-rose-600"}`}>{pct(r.xirr)}</td>
+                    <td className="py-2 pr-3">{pct(r.twr)}</td>
+                    <td className="py-2 pr-3">{pct(r.twrAnnualised)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <p className="text-xs text-muted-foreground">
+          XIRR weighs returns by the money you had in, so it reflects the timing of your contributions. TWR strips contributions out and measures the investments themselves.
+          Past valuations use the nearest earlier saved close or trade price; TWR is only annualised for periods over a year.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,115 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Plus, RotateCcw, Save, Trash2 } from "lucide-react";
+import { TAX_PROFILES } from "@/lib/portfolios";
+
+/**
+ * Settings panel for the household's portfolios (accounts): name and tax
+ * profile per portfolio. Like the lane manager it edits a local draft and
+ * only calls `onSave` once every name is filled in and unique.
+ */
+
+function toDraft(portfolios) {
+  return portfolios.map(p => ({ key: p.id, id: p.id, name: p.name, taxProfile: p.taxProfile, txnCount: p.transactions.length }));
+}
+
+function validatePortfolios(rows) {
+  const errors = [];
+  const seen = new Set();
+  rows.forEach((r, i) => {
+    const name = r.name.trim();
+    if (!name) errors.push(`Row ${i + 1}: name is required.`);
+    else if (seen.has(name.toLowerCase())) errors.push(`Duplicate name ${name}.`);
+    seen.add(name.toLowerCase());
+  });
+  if (rows.length === 0) errors.push("Keep at least one portfolio.");
+  return errors;
+}
+
+export default function PortfolioManager({ portfolios, onSave }) {
+  const [draft, setDraft] = useState(() => toDraft(portfolios));
+  const [dirty, setDirty] = useState(false);
+  const errors = validatePortfolios(draft);
+  const dropped = portfolios.filter(p => p.transactions.length > 0 && !draft.some(r => r.id === p.id));
+
+  function edit(key, patch) {
+    setDraft(d => d.map(r => (r.key === key ? { ...r, ...patch } : r)));
+    setDirty(true);
+  }
+
+  function addPortfolio() {
+    setDraft(d => [...d, { key: crypto.randomUUID(), id: null, name: "", taxProfile: "individual", txnCount: 0 }]);
+    setDirty(true);
+  }
+
+  function removePortfolio(key) {
+    setDraft(d => d.filter(r => r.key !== key));
+    setDirty(true);
+  }
+
+  function revert() {
+    setDraft(toDraft(portfolios));
+    setDirty(false);
+  }
+
+  function save() {
+    if (errors.length) return;
+    onSave(draft.map(r => ({ id: r.id, name: r.name.trim(), taxProfile: r.taxProfile })));
+    setDirty(false);
+  }
+
+  return (
+    <div className="p-3 border rounded-xl">
+      <div className="mb-2 font-medium">Portfolios</div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-left text-muted-foreground">
+            <tr>
+              <th className="py-2 pr-3">Name</th>
+              <th className="py-2 pr-3">Tax profile</th>
+              <th className="py-2 pr-3">Transactions</th>
+              <th className="py-2 pr-3"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {draft.map(r => (
+              <tr key={r.key} className="border-t">
+                <td className="py-2 pr-3">
+                  <Input className="min-w-40" placeholder="e.g., SMSF" value={r.name}
+                         onChange={e => edit(r.key, { name: e.target.value })}/>
+                </td>
+                <td className="py-2 pr-3">
+                  <select className="flex h-9 w-full rounded-md border border-input bg-transparent px-3 py-1 text-sm shadow-sm"
+                          value={r.taxProfile} onChange={e => edit(r.key, { taxProfile: e.target.value })}>
+                    {TAX_PROFILES.map(t => <option key={t.key} value={t.key}>{t.label} ({+(t.discountRate * 100).toFixed(1)}% discount)</option>)}
+                  </select>
+                </td>
+                <td className="py-2 pr-3 text-muted-foreground">{r.id ? r.txnCount : "New"}</td>
+                <td className="py-2 pr-3">
+                  <Button variant="ghost" size="icon" title="Remove" disabled={draft.length === 1} onClick={() => removePortfolio(r.key)}><Trash2/></Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {dirty && errors.length > 0 && (
+        <ul className="mt-2 text-sm text-rose-600 list-disc pl-5">
+          {errors.map(e => <li key={e}>{e}</li>)}
+        </ul>
+      )}
+      {dropped.length > 0 && (
+        <div className="mt-2 text-sm text-rose-600">
+          Saving deletes {dropped.map(p => `${p.name} (${p.transactions.length} transaction${p.transactions.length === 1 ? "" : "s"})`).join(", ")}.
+        </div>
+      )}
+      <div className="flex flex-wrap gap-2 mt-3">
+        <Button variant="outline" size="sm" className="gap-1" onClick={addPortfolio}><Plus className="h-4 w-4"/> Add portfolio</Button>
+        <Button variant="outline" size="sm" className="gap-1" disabled={!dirty} onClick={revert}><RotateCcw className="h-4 w-4"/> Revert</Button>
+        <Button size="sm" className="gap-1" disabled={!dirty || errors.length > 0} onClick={save}><Save className="h-4 w-4"/> Save portfolios</Button>
+      </div>
+      <p className="text-xs text-muted-foreground mt-2">Each portfolio keeps its own lanes, transactions and CGT discount. New portfolios start with the default lanes. Price history is shared, so a close entered in one portfolio updates every portfolio holding that ticker.</p>
+    </div>
+  );
+}
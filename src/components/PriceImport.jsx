@@ -0,0 +1,97 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Check, Upload, X } from "lucide-react";
+import { formatCurrency, localToday } from "@/lib/format";
+import { parsePriceCSV, priceImportPlan } from "@/lib/prices";
+import { FILE_TYPES, openFile } from "@/lib/files";
+
+/**
+ * Bulk close import from a `date,ticker,close` CSV (e.g. an end-of-day
+ * download). The file is checked and previewed first; nothing is saved until
+ * the preview is applied, and a file with any bad line can't be applied.
+ */
+export default function PriceImport({ assets, priceHistory, onApply }) {
+  const [file, setFile] = useState(null);
+
+  async function choose() {
+    let f;
+    try {
+      f = await openFile(FILE_TYPES.csv);
+    } catch (err) {
+      return setFile({ name: "CSV", rows: [], errors: [`Couldn't open the file: ${err.message || err}`] });
+    }
+    if (!f) return;
+    setFile({ name: f.name, ...parsePriceCSV(f.contents, assets.map(a => a.ticker), localToday()) });
+  }
+
+  function apply() {
+    onApply(file.rows);
+    setFile(null);
+  }
+
+  const plan = file ? priceImportPlan(priceHistory, file.rows) : null;
+  const counts = plan ? plan.changes.reduce((c, r) => ({ ...c, [r.status]: (c[r.status] || 0) + 1 }), {}) : {};
+  const priceOf = ticker => assets.find(a => a.ticker === ticker)?.price || 0;
+  const money = (n, ticker) => formatCurrency(n, assets.find(a => a.ticker === ticker)?.currency);
+
+  return (
+    <div className="p-3 border rounded-xl">
+      <div className="mb-2 font-medium">Import Prices</div>
+      <div className="flex flex-wrap gap-2">
+        <Button variant="secondary" className="gap-2" onClick={choose}><Upload className="h-4 w-4"/> Choose CSV</Button>
+      </div>
+      <p className="text-xs text-muted-foreground mt-2">Columns <code>date,ticker,close</code>, one close per ticker per day, in the lane's currency. Dates as YYYY-MM-DD, YYYYMMDD or DD/MM/YYYY.</p>
+
+      {file && (
+        <div className="mt-3 space-y-3">
+          <div className="text-sm">
+            <span className="font-medium">{file.name}</span> · {file.rows.length} valid row{file.rows.length === 1 ? "" : "s"}
+            {file.rows.length > 0 && <> ({counts.new || 0} new, {counts.update || 0} changed, {counts.same || 0} unchanged)</>}
+          </div>
+          {file.errors.length > 0 && (
+            <ul className="text-sm text-rose-600 list-disc pl-5 max-h-40 overflow-y-auto">
+              {file.errors.map((e, i) => <li key={i}>{e}</li>)}
+            </ul>
+          )}
+          {plan.current.length > 0 && (
+            <div className="text-sm">
+              <div className="text-muted-foreground mb-1">Current prices</div>
+              {plan.current.map(r => (
+                <div key={r.ticker}>{r.ticker}: {money(priceOf(r.ticker), r.ticker)} → {money(r.close, r.ticker)} <span className="text-muted-foreground">({r.date})</span></div>
+              ))}
+            </div>
+          )}
+          {plan.changes.length > 0 && (
+            <div className="max-h-64 overflow-y-auto">
+              <table className="w-full text-sm">
+                <thead className="text-left text-muted-foreground">
+                  <tr>
+                    <th className="py-1 pr-3">Date</th>
+                    <th className="py-1 pr-3">Ticker</th>
+                    <th className="py-1 pr-3">Close</th>
+                    <th className="py-1 pr-3">Saved</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {plan.changes.map(r => (
+                    <tr key={`${r.ticker}|${r.date}`} className={`border-t ${r.status === "same" ? "text-muted-foreground" : ""}`}>
+                      <td className="py-1 pr-3">{r.date}</td>
+                      <td className="py-1 pr-3">{r.ticker}</td>
+                      <td className="py-1 pr-3">{money(r.close, r.ticker)}</td>
+                      <td className="py-1 pr-3">{r.status === "new" ? "new" : r.status === "same" ? "unchanged" : `was ${money(r.previous, r.ticker)}`}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <div className="flex gap-2">
+            <Button className="gap-2" disabled={file.errors.length > 0 || file.rows.length === 0} onClick={apply}><Check className="h-4 w-4"/> Apply</Button>
+            <Button variant="outline" className="gap-2" onClick={() => setFile(null)}><X className="h-4 w-4"/> Discard</Button>
+          </div>
+          {file.errors.length > 0 && <p className="text-xs text-muted-foreground">Fix the lines above and choose the file again.</p>}
+        </div>
+      )}
+    </div>
+  );
+}
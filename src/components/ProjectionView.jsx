@@ -0,0 +1,211 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Area, CartesianGrid, ComposedChart, Legend, Line, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { formatCurrency } from "@/lib/format";
+import { deflate, deterministicPath, projectionErrors } from "@/lib/projection";
+
+/**
+ * Projection of the portfolio from today's value at its target weights:
+ * a path at the expected returns plus Monte Carlo 10th/50th/90th percentile
+ * bands, simulated in a worker. Assumptions are per lane and last for the
+ * session; `yearlyContribution` seeds the contribution from the plans.
+ */
+
+const RUNS = 2000;
+
+const pct = v => Number(v) / 100;
+
+function laneDefaults(lanes, prev = {}) {
+  return Object.fromEntries(lanes.map(a => [a.ticker, prev[a.ticker] || { returnPct: "7", volatilityPct: "15" }]));
+}
+
+export default function ProjectionView({ assets, startValue, yearlyContribution }) {
+  const lanes = useMemo(() => assets.filter(a => !a.retired && a.targetWeight > 0), [assets]);
+  const [inputs, setInputs] = useState(() => ({
+    years: "20",
+    contribution: String(Math.round(yearlyContribution)),
+    inflationPct: "2.5",
+    correlation: "0.6",
+    real: true,
+  }));
+  const [laneInputs, setLaneInputs] = useState(() => laneDefaults(lanes));
+  const [bands, setBands] = useState(null);
+  const [running, setRunning] = useState(false);
+  const worker = useRef(null);
+  const latest = useRef(0);
+
+  const set = patch => setInputs(s => ({ ...s, ...patch }));
+  const setLane = (ticker, patch) => setLaneInputs(s => {
+    const all = laneDefaults(lanes, s);
+    return { ...all, [ticker]: { ...all[ticker], ...patch } };
+  });
+
+  const params = useMemo(() => {
+    const total = lanes.reduce((s, a) => s + a.targetWeight, 0);
+    const own = laneDefaults(lanes, laneInputs);
+    return {
+      start: startValue,
+      lanes: lanes.map(a => ({
+        ticker: a.ticker,
+        weight: a.targetWeight / total,
+        expectedReturn: pct(own[a.ticker].returnPct),
+        volatility: pct(own[a.ticker].volatilityPct),
+      })),
+      years: Number(inputs.years),
+      contribution: Number(inputs.contribution),
+      inflation: pct(inputs.inflationPct),
+      correlation: Number(inputs.correlation),
+    };
+  }, [lanes, laneInputs, inputs.years, inputs.contribution, inputs.inflationPct, inputs.correlation, startValue]);
+  const errors = projectionErrors(params);
+  const valid = errors.length === 0;
+
+  useEffect(() => {
+    const w = new Worker(new URL("../lib/projection.worker.js", import.meta.url), { type: "module" });
+    w.onmessage = e => {
+      if (e.data.id !== latest.current) return;
+      setBands(e.data.bands);
+      setRunning(false);
+    };
+    worker.current = w;
+    return () => w.terminate();
+  }, []);
+
+  useEffect(() => {
+    if (!valid) return;
+    const id = ++latest.current;
+    setRunning(true);
+    worker.current.postMessage({ id, params, options: { runs: RUNS } });
+  }, [params, valid]);
+
+  const data = useMemo(() => {
+    if (!valid) return [];
+    const today = row => (inputs.real ? deflate(row, params.inflation) : row);
+    const path = deterministicPath(params).map(today);
+    const sims = bands && bands.length === path.length ? bands.map(today) : null;
+    return path.map((p, t) => ({
+      year: p.year,
+      expected: p.value,
+      contributed: p.contributed,
+      ...(sims && { band: [sims[t].p10, sims[t].p90], p10: sims[t].p10, p50: sims[t].p50, p90: sims[t].p90 }),
+    }));
+  }, [params, bands, valid, inputs.real]);
+  const milestones = data.filter(r => r.year > 0 && (r.year % 5 === 0 || r.year === data.length - 1));
+
+  return (
+    <Card className="mt-4 rounded-2xl">
+      <CardContent className="p-4 sm:p-6">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+          <h2 className="font-semibold">Projection</h2>
+          <div className="flex items-center gap-2 text-sm">
+            <Switch checked={inputs.real} onCheckedChange={v => set({ real: v })}/>
+            <span>In today's dollars</span>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 items-end">
+          <div>
+            <Label>Horizon (years)</Label>
+            <Input inputMode="numeric" value={inputs.years} onChange={e => set({ years: e.target.value })}/>
+          </div>
+          <div>
+            <Label>Contributions / year</Label>
+            <Input inputMode="decimal" value={inputs.contribution} onChange={e => set({ contribution: e.target.value })}/>
+          </div>
+          <div>
+            <Label>Inflation (%)</Label>
+            <Input inputMode="decimal" value={inputs.inflationPct} onChange={e => set({ inflationPct: e.target.value })}/>
+          </div>
+          <div>
+            <Label>Correlation between lanes</Label>
+            <Input inputMode="decimal" value={inputs.correlation} onChange={e => set({ correlation: e.target.value })}/>
+          </div>
+        </div>
+
+        <div className="overflow-x-auto mt-3">
+          <table className="w-full text-sm">
+            <thead className="text-left text-muted-foreground">
+              <tr>
+                <th className="py-2 pr-3">Lane</th>
+                <th className="py-2 pr-3">Weight</th>
+                <th className="py-2 pr-3">Expected return (%/yr)</th>
+                <th className="py-2 pr-3">Volatility (%/yr)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {params.lanes.map(l => {
+                const own = laneDefaults(lanes, laneInputs)[l.ticker];
+                return (
+                  <tr key={l.ticker} className="border-t">
+                    <td className="py-2 pr-3 font-medium">{l.ticker}</td>
+                    <td className="py-2 pr-3">{(l.weight * 100).toFixed(0)}%</td>
+                    <td className="py-2 pr-3"><Input inputMode="decimal" className="w-24" value={own.returnPct} onChange={e => setLane(l.ticker, { returnPct: e.target.value })}/></td>
+                    <td className="py-2 pr-3"><Input inputMode="decimal" className="w-24" value={own.volatilityPct} onChange={e => setLane(l.ticker, { volatilityPct: e.target.value })}/></td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {errors.length > 0 ? (
+          <ul className="mt-3 text-sm text-rose-600 list-disc pl-5">
+            {errors.map(e => <li key={e}>{e}</li>)}
+          </ul>
+        ) : (
+          <>
+            <div className="h-72 mt-4">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={data} margin={{ top: 8, right: 8, left: 8, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" opacity={0.3}/>
+                  <XAxis dataKey="year" tick={{ fontSize: 11 }} tickFormatter={y => `${y}y`}/>
+                  <YAxis tick={{ fontSize: 11 }} width={80} tickFormatter={v => formatCurrency(v).replace(/\.\d+$/, "")}/>
+                  <Tooltip labelFormatter={y => `Year ${y}`} formatter={(v, n) => [Array.isArray(v) ? v.map(formatCurrency).join(" – ") : formatCurrency(v), n]}/>
+                  <Legend/>
+                  <Area type="monotone" dataKey="band" name="10th–90th percentile" stroke="none" fill="#64748b" fillOpacity={0.2}/>
+                  <Line type="monotone" dataKey="p50" name="Median" stroke="#0f172a" dot={false} strokeWidth={2}/>
+                  <Line type="monotone" dataKey="expected" name="At expected returns" stroke="#0f172a" strokeDasharray="2 3" dot={false} strokeWidth={1.5}/>
+                  <Line type="monotone" dataKey="contributed" name="Contributed" stroke="#64748b" strokeDasharray="5 4" dot={false} strokeWidth={1.5}/>
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div className="overflow-x-auto mt-3">
+              <table className="w-full text-sm">
+                <thead className="text-left text-muted-foreground">
+                  <tr>
+                    <th className="py-2 pr-3">Year</th>
+                    <th className="py-2 pr-3">10th</th>
+                    <th className="py-2 pr-3">Median</th>
+                    <th className="py-2 pr-3">90th</th>
+                    <th className="py-2 pr-3">At expected returns</th>
+                    <th className="py-2 pr-3">Contributed</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {milestones.map(r => (
+                    <tr key={r.year} className="border-t">
+                      <td className="py-2 pr-3">{r.year}</td>
+                      <td className="py-2 pr-3">{r.p10 == null ? "…" : formatCurrency(r.p10)}</td>
+                      <td className="py-2 pr-3 font-medium">{r.p50 == null ? "…" : formatCurrency(r.p50)}</td>
+                      <td className="py-2 pr-3">{r.p90 == null ? "…" : formatCurrency(r.p90)}</td>
+                      <td className="py-2 pr-3">{formatCurrency(r.expected)}</td>
+                      <td className="py-2 pr-3">{formatCurrency(r.contributed)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+        <p className="text-xs text-muted-foreground mt-2">
+          {running && "Simulating… "}
+          Starts from {formatCurrency(startValue)} (cash included) at the target weights, rebalanced yearly, with contributions at each year end rising with inflation. Bands are from {RUNS.toLocaleString()} simulated paths of lognormal yearly returns; volatility drags the median below the expected-return path. Before tax and fees.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,50 @@
+import React, { useState } from "react";
+import { Input } from "@/components/ui/input";
+import { TRIGGERS } from "@/lib/rebalancePolicy";
+
+const points = d => `${d >= 0 ? "+" : ""}${(d * 100).toFixed(1)}`;
+
+/**
+ * Log of rebalance triggers, newest first: what fired, which lanes were out
+ * and by how much, and how it ended. Each entry takes a note on what was
+ * (or is being) done about it; `onNote(id, note)` saves it on blur.
+ */
+export default function RebalanceHistory({ history, onNote }) {
+  const [notes, setNotes] = useState({});
+  if (history.length === 0) return <div className="text-sm text-muted-foreground">No triggers yet.</div>;
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead className="text-left text-muted-foreground">
+          <tr>
+            <th className="py-2 pr-3">Fired</th>
+            <th className="py-2 pr-3">Trigger</th>
+            <th className="py-2 pr-3">Lanes out (points vs band)</th>
+            <th className="py-2 pr-3">Outcome</th>
+            <th className="py-2 pr-3">Note</th>
+          </tr>
+        </thead>
+        <tbody>
+          {history.map(h => (
+            <tr key={h.id} className="border-t align-top">
+              <td className="py-2 pr-3">{h.firedOn}</td>
+              <td className="py-2 pr-3">{TRIGGERS[h.trigger]}</td>
+              <td className="py-2 pr-3">
+                {h.lanes.length === 0 ? "—" : h.lanes.map(l => `${l.ticker} ${points(l.drift)} / ±${l.band == null ? "—" : (l.band * 100).toFixed(1)}`).join(" · ")}
+              </td>
+              <td className="py-2 pr-3">
+                {h.closedOn ? `${h.outcome} (${h.closedOn})` : <span className="text-amber-700 dark:text-amber-400">Open</span>}
+              </td>
+              <td className="py-2 pr-3">
+                <Input className="min-w-40" placeholder="e.g., waiting for July contribution"
+                       value={notes[h.id] ?? h.note}
+                       onChange={e => setNotes(n => ({ ...n, [h.id]: e.target.value }))}
+                       onBlur={e => { if (e.target.value !== h.note) onNote(h.id, e.target.value); }}/>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { RotateCcw, Save } from "lucide-react";
+import { CALENDARS, laneBand, nextReview } from "@/lib/rebalancePolicy";
+
+/**
+ * Settings panel for when to rebalance: default absolute and relative bands,
+ * per-lane overrides, and an optional review calendar. Edits a local draft
+ * like the other managers; `onSave` gets every policy field but the
+ * history. Blank inputs mean "no limit" for the defaults and "use the
+ * default" for a lane.
+ */
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const text = v => (v == null ? "" : String(v));
+const num = v => (v.trim() === "" ? null : Number(v));
+
+function toDraft(policy, assets) {
+  return {
+    absolutePct: text(policy.absolutePct),
+    relativePct: text(policy.relativePct),
+    calendar: policy.calendar,
+    reviewMonth: policy.reviewMonth,
+    bands: Object.fromEntries(assets.map(a => [a.ticker, {
+      absolutePct: text(policy.bands[a.ticker]?.absolutePct),
+      relativePct: text(policy.bands[a.ticker]?.relativePct),
+    }])),
+  };
+}
+
+function validatePolicy(draft) {
+  const errors = [];
+  const check = (v, what) => {
+    const n = num(v);
+    if (n !== null && !(Number.isFinite(n) && n >= 0)) errors.push(`${what} must be a number ≥ 0 or blank.`);
+  };
+  check(draft.absolutePct, "Absolute band");
+  check(draft.relativePct, "Relative band");
+  for (const [ticker, b] of Object.entries(draft.bands)) {
+    check(b.absolutePct, `${ticker} absolute band`);
+    check(b.relativePct, `${ticker} relative band`);
+  }
+  return errors;
+}
+
+// Draft back to policy fields; lanes with no overrides drop out
+function fromDraft(draft) {
+  const bands = {};
+  for (const [ticker, b] of Object.entries(draft.bands)) {
+    const own = { absolutePct: num(b.absolutePct), relativePct: num(b.relativePct) };
+    if (own.absolutePct !== null || own.relativePct !== null) bands[ticker] = own;
+  }
+  return {
+    absolutePct: num(draft.absolutePct),
+    relativePct: num(draft.relativePct),
+    calendar: draft.calendar,
+    reviewMonth: Number(draft.reviewMonth),
+    bands,
+  };
+}
+
+export default function RebalancePolicyEditor({ policy, assets, today, onSave }) {
+  const [draft, setDraft] = useState(() => toDraft(policy, assets));
+  const [dirty, setDirty] = useState(false);
+  const errors = validatePolicy(draft);
+  const preview = errors.length ? null : withReview(fromDraft(draft));
+
+  // A new or changed calendar counts from today, not from an old review
+  function withReview(next) {
+    const restart = next.calendar !== "none" && (next.calendar !== policy.calendar || next.reviewMonth !== policy.reviewMonth || !policy.lastReview);
+    return { ...policy, ...next, lastReview: restart ? today : policy.lastReview };
+  }
+
+  function set(patch) {
+    setDraft(d => ({ ...d, ...patch }));
+    setDirty(true);
+  }
+
+  function setBand(ticker, patch) {
+    setDraft(d => ({ ...d, bands: { ...d.bands, [ticker]: { ...d.bands[ticker], ...patch } } }));
+    setDirty(true);
+  }
+
+  function revert() {
+    setDraft(toDraft(policy, assets));
+    setDirty(false);
+  }
+
+  function save() {
+    if (errors.length) return;
+    const { history: _, ...next } = withReview(fromDraft(draft));
+    onSave(next);
+    setDirty(false);
+  }
+
+  const selectClass = "flex h-9 w-full rounded-md border border-input bg-transparent px-3 py-1 text-sm shadow-sm";
+  const upcoming = preview?.lastReview ? nextReview(preview, preview.lastReview) : null;
+
+  return (
+    <div className="p-3 border rounded-xl">
+      <div className="mb-2 font-medium">Rebalance policy</div>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 items-end">
+        <div>
+          <Label>Absolute band (± points)</Label>
+          <Input inputMode="decimal" placeholder="off" value={draft.absolutePct} onChange={e => set({ absolutePct: e.target.value })}/>
+        </div>
+        <div>
+          <Label>Relative band (% of target)</Label>
+          <Input inputMode="decimal" placeholder="off" value={draft.relativePct} onChange={e => set({ relativePct: e.target.value })}/>
+        </div>
+        <div>
+          <Label>Calendar</Label>
+          <select className={selectClass} value={draft.calendar} onChange={e => set({ calendar: e.target.value })}>
+            {CALENDARS.map(c => <option key={c.key} value={c.key}>{c.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <Label>{draft.calendar === "quarterly" ? "Starting month" : "Review month"}</Label>
+          <select className={selectClass} disabled={draft.calendar === "none"} value={draft.reviewMonth} onChange={e => set({ reviewMonth: Number(e.target.value) })}>
+            {MONTHS.map((m, i) => <option key={m} value={i + 1}>{m}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto mt-3">
+        <table className="w-full text-sm">
+          <thead className="text-left text-muted-foreground">
+            <tr>
+              <th className="py-2 pr-3">Lane</th>
+              <th className="py-2 pr-3">Target</th>
+              <th className="py-2 pr-3">Absolute (± points)</th>
+              <th className="py-2 pr-3">Relative (%)</th>
+              <th className="py-2 pr-3">Band</th>
+            </tr>
+          </thead>
+          <tbody>
+            {assets.map(a => {
+              const band = preview ? laneBand(preview, a) : null;
+              return (
+                <tr key={a.ticker} className="border-t">
+                  <td className="py-2 pr-3 font-medium">{a.ticker}</td>
+                  <td className="py-2 pr-3">{((a.targetWeight || 0) * 100).toFixed(0)}%</td>
+                  <td className="py-2 pr-3">
+                    <Input inputMode="decimal" className="w-24" placeholder={draft.absolutePct || "off"}
+                           value={draft.bands[a.ticker]?.absolutePct ?? ""} onChange={e => setBand(a.ticker, { absolutePct: e.target.value })}/>
+                  </td>
+                  <td className="py-2 pr-3">
+                    <Input inputMode="decimal" className="w-24" placeholder={draft.relativePct || "off"}
+                           value={draft.bands[a.ticker]?.relativePct ?? ""} onChange={e => setBand(a.ticker, { relativePct: e.target.value })}/>
+                  </td>
+                  <td className="py-2 pr-3 text-muted-foreground">
+                    {band == null ? "—" : Number.isFinite(band) ? `±${(band * 100).toFixed(1)} points` : "never triggers"}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {dirty && errors.length > 0 && (
+        <ul className="mt-2 text-sm text-rose-600 list-disc pl-5">
+          {errors.map(e => <li key={e}>{e}</li>)}
+        </ul>
+      )}
+      <div className="flex flex-wrap gap-2 mt-3">
+        <Button variant="outline" size="sm" className="gap-1" disabled={!dirty} onClick={revert}><RotateCcw className="h-4 w-4"/> Revert</Button>
+        <Button size="sm" className="gap-1" disabled={!dirty || errors.length > 0} onClick={save}><Save className="h-4 w-4"/> Save policy</Button>
+      </div>
+      <p className="text-xs text-muted-foreground mt-2">
+        A lane triggers when its share of holdings moves further from target than the tighter of its two bands (5/25: five points, or a quarter of the target).
+        {upcoming && ` Next calendar review: ${upcoming}.`}
+      </p>
+    </div>
+  );
+}
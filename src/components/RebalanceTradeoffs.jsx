@@ -0,0 +1,61 @@
+import React from "react";
+import { formatCurrency } from "@/lib/format";
+
+const pct = w => `${(w * 100).toFixed(1)}%`;
+
+/**
+ * Side-by-side cost of getting back toward target: selling all the way,
+ * selling only back inside the bands, or selling nothing and waiting for new
+ * money. `scenarios` is the output of rebalanceScenarios(). Tax is an
+ * estimate at `taxRate` and goes negative when the sales realise a net loss.
+ */
+export default function RebalanceTradeoffs({ scenarios, taxRate }) {
+  // The same parcel can show up in more than one scenario
+  const nearByParcel = [...new Map(scenarios.flatMap(s => s.near).map(p => [`${p.ticker}:${p.txnId}`, p])).values()];
+  return (
+    <div className="space-y-2">
+      <div className="font-medium">Trade-offs</div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-left text-muted-foreground">
+            <tr>
+              <th className="py-2 pr-3">Approach</th>
+              <th className="py-2 pr-3">Sells</th>
+              <th className="py-2 pr-3">Est. CGT</th>
+              <th className="py-2 pr-3">New money</th>
+              <th className="py-2 pr-3">Largest drift after</th>
+            </tr>
+          </thead>
+          <tbody>
+            {scenarios.map(s => (
+              <tr key={s.key} className="border-t">
+                <td className="py-2 pr-3 font-medium">{s.label}</td>
+                <td className="py-2 pr-3">
+                  {s.sells.length === 0 ? "—" : s.sells.map(x => `${x.ticker} ${formatCurrency(x.amount)}`).join(" · ")}
+                </td>
+                <td className={`py-2 pr-3 ${s.tax > 0 ? "text-rose-600" : s.tax < 0 ? "text-emerald-600" : ""}`}>{formatCurrency(s.tax)}</td>
+                <td className="py-2 pr-3">
+                  {s.newMoney > 0 ? formatCurrency(s.newMoney) : "—"}
+                  {s.newMoneyToTarget > s.newMoney && <span className="text-xs text-muted-foreground"> ({formatCurrency(s.newMoneyToTarget)} to reach target)</span>}
+                </td>
+                <td className="py-2 pr-3">{pct(s.drift)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {nearByParcel.length > 0 && (
+        <ul className="text-sm text-amber-700 dark:text-amber-400 list-disc pl-5">
+          {nearByParcel.map(p => (
+            <li key={`${p.ticker}:${p.txnId}`}>
+              {p.ticker} parcel bought {p.date.slice(0, 10)} turns 12 months in {p.daysToDiscount} day{p.daysToDiscount === 1 ? "" : "s"}; waiting saves about {formatCurrency(p.waitSaving)}.
+            </li>
+          ))}
+        </ul>
+      )}
+      <p className="text-xs text-muted-foreground">
+        Sells pick the lowest-tax parcels first: losses, then gains held over 12 months. CGT is estimated at {(taxRate * 100).toFixed(1)}% and ignores gains, losses and carried-forward losses from earlier sales this year. Buys and drift are of holdings only, before tax and brokerage.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Plus, Save } from "lucide-react";
+import { formatCurrency, localToday as today } from "@/lib/format";
+import { BASE_CURRENCY } from "@/lib/fx";
+import { LOT_METHODS } from "@/lib/ledger";
+import LotPicker from "@/components/LotPicker";
+
+/**
+ * Manual / backdated trade entry, straight off a contract note.
+ *
+ * Dates are plain YYYY-MM-DD strings; the parent turns them into ledger
+ * timestamps. `onSubmit` returns an error string when the trade can't be
+ * booked (e.g. selling more units than were held on that date). Pass an
+ * existing ledger row as `initial` to edit it. Sells choose a lot-matching
+ * method; for specific parcels `lotsFor(ticker, date)` supplies the lots
+ * open on the trade date. Prices and brokerage are in the lane's currency;
+ * foreign trades may carry their own FX rate, and otherwise book at the
+ * stored rate for the trade date, which `rateFor(ticker, date)` shows.
+ */
+
+
+// T+2 business days (ASX settlement), skipping weekends only
+function defaultSettlement(tradeDate) {
+  const d = new Date(`${tradeDate}T00:00:00.000Z`);
+  if (Number.isNaN(d.getTime())) return "";
+  let added = 0;
+  while (added < 2) {
+    d.setUTCDate(d.getUTCDate() + 1);
+    const day = d.getUTCDay();
+    if (day !== 0 && day !== 6) added++;
+  }
+  return d.toISOString().slice(0, 10);
+}
+
+function emptyForm(ticker) {
+  const date = today();
+  return { kind: "BUY", ticker, date, settleDate: defaultSettlement(date), units: "", price: "", brokerage: "", fxRate: "", lotMethod: "FIFO", picks: [] };
+}
+
+// Ledger row -> form fields
+function fromTransaction(t) {
+  return {
+    kind: t.kind,
+    ticker: t.ticker,
+    date: t.date.slice(0, 10),
+    settleDate: (t.settleDate || t.date).slice(0, 10),
+    units: String(t.units ?? ""),
+    price: String(t.price ?? ""),
+    brokerage: t.brokerage ? String(t.brokerage) : "",
+    fxRate: t.fxRate ? String(t.fxRate) : "",
+    lotMethod: t.lotMethod || "FIFO",
+    picks: (t.lotPicks || []).map(p => ({ lotId: p.lotId, qty: String(p.qty) })),
+  };
+}
+
+export default function TradeEntryForm({ assets, onSubmit, initial = null, submitLabel = "Record", onCancel, lotsFor, rateFor = () => 1 }) {
+  const [form, setForm] = useState(() => (initial ? fromTransaction(initial) : emptyForm(assets.find(a => !a.retired)?.ticker || "")));
+  const [error, setError] = useState(null);
+
+  const specific = form.kind === "SELL" && form.lotMethod === "SPECIFIC";
+  const pickedUnits = form.picks.reduce((s, p) => s + (Number(p.qty) || 0), 0);
+  const units = specific ? pickedUnits : Number(form.units);
+  const price = Number(form.price);
+  const brokerage = Number(form.brokerage || 0);
+  const gross = units > 0 && price > 0 ? units * price : 0;
+  const net = form.kind === "BUY" ? gross + (brokerage || 0) : gross - (brokerage || 0);
+  const currency = assets.find(a => a.ticker === form.ticker)?.currency || BASE_CURRENCY;
+  const foreign = currency !== BASE_CURRENCY;
+  const storedRate = foreign && form.date ? rateFor(form.ticker, form.date) : 1;
+  const fxRate = foreign ? Number(form.fxRate) || storedRate : 1;
+
+  function set(patch) {
+    setForm(f => {
+      const next = { ...f, ...patch };
+      // parcels only make sense for the ticker and date they were picked on
+      if (patch.ticker || patch.date) next.picks = [];
+      // keep settlement tracking the trade date unless the user has overridden it
+      if (patch.date && f.settleDate === defaultSettlement(f.date)) next.settleDate = defaultSettlement(patch.date);
+      return next;
+    });
+    setError(null);
+  }
+
+  function submit() {
+    if (!form.ticker) return setError("Pick a ticker.");
+    if (!form.date) return setError("Trade date is required.");
+    if (form.date > today()) return setError("Trade date can't be in the future.");
+    if (form.settleDate && form.settleDate < form.date) return setError("Settlement can't be before the trade date.");
+    if (!(units > 0)) return setError("Units must be greater than zero.");
+    if (!(price > 0)) return setError("Price per unit must be greater than zero.");
+    if (!Number.isFinite(brokerage) || brokerage < 0) return setError("Brokerage must be zero or more.");
+    if (foreign && form.fxRate !== "" && !(Number(form.fxRate) > 0)) return setError("FX rate must be greater than zero.");
+    if (foreign && !fxRate) return setError(`No ${currency} rate on or before ${form.date}: enter one here or add it in Settings.`);
+    if (specific && form.picks.some(p => !(Number(p.qty) > 0))) return setError("Each ticked parcel needs a unit count above zero.");
+    const trade = { kind: form.kind, ticker: form.ticker, date: form.date, settleDate: form.settleDate || form.date, units, price, brokerage };
+    if (foreign && form.fxRate !== "") trade.fxRate = Number(form.fxRate);
+    if (form.kind === "SELL") {
+      trade.lotMethod = form.lotMethod;
+      if (specific) trade.lotPicks = form.picks.map(p => ({ lotId: p.lotId, qty: Number(p.qty) }));
+    }
+    const err = onSubmit(trade);
+    if (err) return setError(err);
+    if (!initial) setForm(f => ({ ...emptyForm(f.ticker), kind: f.kind }));
+  }
+
+  const selectClass = "flex h-9 w-full rounded-md border border-input bg-transparent px-3 py-1 text-sm shadow-sm";
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-8 gap-3 items-end">
+        <div>
+          <Label>Kind</Label>
+          <select className={selectClass} value={form.kind} onChange={e => set({ kind: e.target.value })}>
+            <option value="BUY">BUY</option>
+            <option value="SELL">SELL</option>
+          </select>
+        </div>
+        <div>
+          <Label>Ticker</Label>
+          <select className={selectClass} value={form.ticker} onChange={e => set({ ticker: e.target.value })}>
+            {assets.map(a => <option key={a.ticker} value={a.ticker}>{a.ticker}{a.retired ? " (retired)" : ""}</option>)}
+          </select>
+        </div>
+        <div>
+          <Label>Trade date</Label>
+          <Input type="date" max={today()} value={form.date} onChange={e => set({ date: e.target.value })}/>
+        </div>
+        <div>
+          <Label>Settlement</Label>
+          <Input type="date" value={form.settleDate} onChange={e => set({ settleDate: e.target.value })}/>
+        </div>
+        <div>
+          <Label>Units</Label>
+          <Input inputMode="decimal" placeholder="0" disabled={specific} value={specific ? String(+pickedUnits.toFixed(6)) : form.units}
+                 onChange={e => set({ units: e.target.value })}/>
+        </div>
+        <div>
+          <Label>Price / unit{foreign && ` (${currency})`}</Label>
+          <Input inputMode="decimal" placeholder="0.00" value={form.price} onChange={e => set({ price: e.target.value })}/>
+        </div>
+        <div>
+          <Label>Brokerage</Label>
+          <Input inputMode="decimal" placeholder="0" value={form.brokerage} onChange={e => set({ brokerage: e.target.value })}/>
+        </div>
+        <div className="flex gap-2">
+          <Button className="w-full gap-2" onClick={submit}>{initial ? <Save className="h-4 w-4"/> : <Plus className="h-4 w-4"/>} {submitLabel}</Button>
+          {onCancel && <Button variant="outline" onClick={onCancel}>Cancel</Button>}
+        </div>
+      </div>
+      {(form.kind === "SELL" || foreign) && (
+        <div className="mt-3 grid grid-cols-1 sm:grid-cols-4 gap-3">
+          {form.kind === "SELL" && (
+            <div>
+              <Label>Lot matching</Label>
+              <select className={selectClass} value={form.lotMethod} onChange={e => set({ lotMethod: e.target.value })}>
+                {LOT_METHODS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+              </select>
+            </div>
+          )}
+          {foreign && (
+            <div>
+              <Label>FX rate (AUD per {currency})</Label>
+              <Input inputMode="decimal" placeholder={storedRate ? `${storedRate} (stored)` : "none stored"} value={form.fxRate}
+                     onChange={e => set({ fxRate: e.target.value })}/>
+            </div>
+          )}
+        </div>
+      )}
+      {specific && lotsFor && form.date && (
+        <div className="mt-3">
+          <LotPicker
+            lots={lotsFor(form.ticker, form.date)}
+            picks={form.picks}
+            price={price * (fxRate || 0)}
+            saleDate={new Date(`${form.date}T00:00:00.000Z`)}
+            onChange={picks => { setForm(f => ({ ...f, picks })); setError(null); }}
+          />
+        </div>
+      )}
+      <div className="mt-2 text-sm text-muted-foreground">
+        Consideration {formatCurrency(gross, currency)}
+        {" · "}{form.kind === "BUY" ? "Total cost" : "Net proceeds"}{" "}
+        {formatCurrency(net, currency)}
+        {foreign && fxRate > 0 && ` · ${formatCurrency(net * fxRate)} at ${fxRate}`}
+      </div>
+      {error && <div className="mt-2 text-sm text-rose-600">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,193 @@
+import React, { useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Check, Save, Upload, X } from "lucide-react";
+import { formatCurrency, localToday } from "@/lib/format";
+import { DATE_FORMATS } from "@/lib/csv";
+import { FILE_TYPES, openFile } from "@/lib/files";
+import { BROKER_PROFILES, brokerProfile, convertTrades, detectBroker, detectFormats, IMPORT_FIELDS, markDuplicates, readTradeFile, resolveColumns } from "@/lib/brokers";
+
+/**
+ * Broker trade-history import. The broker is guessed from the header and its
+ * profile maps columns; any mapping can be changed and saved for next time.
+ * Rows are previewed with duplicates of booked trades and bad lines set
+ * aside; only ticked new rows are booked, through `onImport(trades)`, which
+ * returns an error string if the ledger won't take them.
+ */
+export default function TradeImport({ assets, transactions, profiles, onSaveProfile, onImport }) {
+  const [file, setFile] = useState(null);
+  const [broker, setBroker] = useState(BROKER_PROFILES[0].id);
+  const [cols, setCols] = useState({});
+  const [formats, setFormats] = useState({ dateFormat: "DMY", decimal: "." });
+  const [skipped, setSkipped] = useState(() => new Set());
+  const [error, setError] = useState(null);
+  const [note, setNote] = useState(null);
+
+  function applyProfile(f, id) {
+    const profile = brokerProfile(id, profiles);
+    const c = resolveColumns(profile, f.keys);
+    const detected = detectFormats(f.records, c);
+    setBroker(id);
+    setCols(c);
+    setFormats({ dateFormat: profile.dateFormat || detected.dateFormat, decimal: profile.decimal || detected.decimal });
+    setSkipped(new Set());
+    setError(null);
+    setNote(null);
+  }
+
+  async function choose() {
+    let f;
+    try {
+      f = await openFile(FILE_TYPES.csv);
+    } catch (err) {
+      return setError(`Couldn't open the file: ${err.message || err}`);
+    }
+    if (!f) return;
+    const parsed = { name: f.name, ...readTradeFile(f.contents) };
+    setFile(parsed);
+    applyProfile(parsed, detectBroker(parsed.keys, profiles));
+  }
+
+  const missing = IMPORT_FIELDS.filter(f => f.required && !(cols[f.key] >= 0)).map(f => f.label);
+  if (file && !(cols.price >= 0) && !(cols.value >= 0)) missing.push("Price or Trade value");
+
+  const rows = useMemo(() => {
+    if (!file || missing.length) return [];
+    const converted = convertTrades(file.records, cols, { ...formats, tickers: assets.map(a => a.ticker), today: localToday() });
+    return markDuplicates(converted, transactions);
+  }, [file, cols, formats, assets, transactions, missing.length]);
+
+  const picked = rows.filter(r => r.status === "new" && !skipped.has(r.line));
+  const count = s => rows.filter(r => r.status === s).length;
+
+  function toggle(line, on) {
+    setSkipped(s => {
+      const next = new Set(s);
+      if (on) next.delete(line); else next.add(line);
+      return next;
+    });
+  }
+
+  function saveMapping() {
+    const columns = Object.fromEntries(IMPORT_FIELDS.map(f => [f.key, cols[f.key] >= 0 ? file.keys[cols[f.key]] : ""]));
+    onSaveProfile(broker, { columns, ...formats });
+    setNote(`Mapping saved for ${BROKER_PROFILES.find(p => p.id === broker).name}.`);
+  }
+
+  function submit() {
+    const err = onImport(picked.map(r => r.trade));
+    if (err) return setError(err);
+    setNote(`Imported ${picked.length} trade${picked.length === 1 ? "" : "s"}.`);
+    setFile(null);
+  }
+
+  const selectClass = "flex h-9 w-full rounded-md border border-input bg-transparent px-3 py-1 text-sm shadow-sm";
+
+  return (
+    <div className="p-3 border rounded-xl">
+      <div className="mb-2 font-medium">Import Broker Trades</div>
+      <div className="flex flex-wrap gap-2">
+        <Button variant="secondary" className="gap-2" onClick={choose}><Upload className="h-4 w-4"/> Choose CSV</Button>
+      </div>
+      <p className="text-xs text-muted-foreground mt-2">Trade-history exports from CommSec, SelfWealth, Stake or Pearler. Tickers must already be lanes.</p>
+      {note && !file && <div className="mt-2 text-sm text-emerald-600">{note}</div>}
+      {error && !file && <div className="mt-2 text-sm text-rose-600">{error}</div>}
+
+      {file && (
+        <div className="mt-3 space-y-3">
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+            <div>
+              <Label>Broker</Label>
+              <select className={selectClass} value={broker} onChange={e => applyProfile(file, e.target.value)}>
+                {BROKER_PROFILES.map(p => <option key={p.id} value={p.id}>{p.name}{profiles[p.id] ? " (saved)" : ""}</option>)}
+              </select>
+            </div>
+            <div>
+              <Label>Date format</Label>
+              <select className={selectClass} value={formats.dateFormat} onChange={e => setFormats(f => ({ ...f, dateFormat: e.target.value }))}>
+                {DATE_FORMATS.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+              </select>
+            </div>
+            <div>
+              <Label>Decimal separator</Label>
+              <select className={selectClass} value={formats.decimal} onChange={e => setFormats(f => ({ ...f, decimal: e.target.value }))}>
+                <option value=".">1,234.56</option>
+                <option value=",">1.234,56</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+            {IMPORT_FIELDS.map(f => (
+              <div key={f.key}>
+                <Label>{f.label}{f.required ? " *" : ""}</Label>
+                <select className={selectClass} value={cols[f.key] ?? -1} onChange={e => setCols(c => ({ ...c, [f.key]: Number(e.target.value) }))}>
+                  <option value={-1}>—</option>
+                  {file.headers.map((h, i) => <option key={i} value={i}>{h}</option>)}
+                </select>
+              </div>
+            ))}
+          </div>
+          <Button variant="outline" size="sm" className="gap-2" onClick={saveMapping}><Save className="h-4 w-4"/> Save mapping</Button>
+          {note && <div className="text-sm text-emerald-600">{note}</div>}
+
+          {missing.length > 0 ? (
+            <div className="text-sm text-rose-600">Map a column for: {missing.join(", ")}.</div>
+          ) : (
+            <>
+              <div className="text-sm">
+                <span className="font-medium">{file.name}</span> · {count("new")} new, {count("duplicate")} already booked, {count("error")} with problems
+              </div>
+              <div className="max-h-80 overflow-auto">
+                <table className="w-full text-sm">
+                  <thead className="text-left text-muted-foreground">
+                    <tr>
+                      <th className="py-1 pr-3"></th>
+                      <th className="py-1 pr-3">Line</th>
+                      <th className="py-1 pr-3">Date</th>
+                      <th className="py-1 pr-3">Kind</th>
+                      <th className="py-1 pr-3">Ticker</th>
+                      <th className="py-1 pr-3">Units</th>
+                      <th className="py-1 pr-3">Price</th>
+                      <th className="py-1 pr-3">Brokerage</th>
+                      <th className="py-1 pr-3">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(r => (
+                      <tr key={r.line} className={`border-t ${r.status === "new" ? "" : "text-muted-foreground"}`}>
+                        <td className="py-1 pr-3">
+                          {r.status === "new" && <Checkbox checked={!skipped.has(r.line)} onCheckedChange={v => toggle(r.line, !!v)}/>}
+                        </td>
+                        <td className="py-1 pr-3">{r.line}</td>
+                        {r.trade ? (
+                          <>
+                            <td className="py-1 pr-3">{r.trade.date}</td>
+                            <td className="py-1 pr-3">{r.trade.kind}</td>
+                            <td className="py-1 pr-3">{r.trade.ticker}</td>
+                            <td className="py-1 pr-3">{+r.trade.units.toFixed(6)}</td>
+                            <td className="py-1 pr-3">{formatCurrency(r.trade.price)}</td>
+                            <td className="py-1 pr-3">{formatCurrency(r.trade.brokerage)}</td>
+                            <td className="py-1 pr-3">{r.status === "duplicate" ? "already booked" : "new"}</td>
+                          </>
+                        ) : (
+                          <td colSpan={7} className="py-1 pr-3 text-rose-600">{r.error}</td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+          {error && <div className="text-sm text-rose-600">{error}</div>}
+          <div className="flex gap-2">
+            <Button className="gap-2" disabled={picked.length === 0} onClick={submit}><Check className="h-4 w-4"/> Import {picked.length || ""}</Button>
+            <Button variant="outline" className="gap-2" onClick={() => { setFile(null); setNote(null); }}><X className="h-4 w-4"/> Discard</Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
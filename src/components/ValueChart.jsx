@@ -0,0 +1,82 @@
+import React, { useMemo, useState } from "react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Trash2 } from "lucide-react";
+import { CartesianGrid, Legend, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { formatCurrency } from "@/lib/format";
+import { valueSeries } from "@/lib/prices";
+
+/**
+ * Portfolio value against net contributions over time, with a per-lane
+ * drill-down that also lists (and lets you prune) that lane's saved closes.
+ */
+export default function ValueChart({ assets, transactions, priceAt, priceHistory, laneColor, onDeletePoint }) {
+  const [lane, setLane] = useState("ALL");
+  const tickers = useMemo(() => (lane === "ALL" ? assets.map(a => a.ticker) : [lane]), [assets, lane]);
+  const data = useMemo(
+    () => valueSeries(transactions, tickers, priceAt, priceHistory),
+    [transactions, tickers, priceAt, priceHistory]
+  );
+  const points = lane === "ALL" ? [] : [...(priceHistory[lane] || [])].reverse();
+
+  return (
+    <Card className="mt-4 rounded-2xl">
+      <CardContent className="p-4 sm:p-6">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+          <h2 className="font-semibold">Value Over Time</h2>
+          <div className="flex flex-wrap gap-1">
+            <Button size="sm" variant={lane === "ALL" ? "default" : "outline"} onClick={() => setLane("ALL")}>Portfolio</Button>
+            {assets.map(a => (
+              <Button key={a.ticker} size="sm" variant={lane === a.ticker ? "default" : "outline"} onClick={() => setLane(a.ticker)}>{a.ticker}</Button>
+            ))}
+          </div>
+        </div>
+        {data.length < 2 ? (
+          <div className="text-sm text-muted-foreground">Not enough history yet. Record trades or save prices on different days to build the chart.</div>
+        ) : (
+          <div className="h-72">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={data} margin={{ top: 8, right: 8, left: 8, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" opacity={0.3}/>
+                <XAxis dataKey="date" tick={{ fontSize: 11 }} minTickGap={24}/>
+                <YAxis tick={{ fontSize: 11 }} width={72} tickFormatter={v => formatCurrency(v).replace(/\.\d+$/, "")}/>
+                <Tooltip formatter={(v, n) => [formatCurrency(v), n]}/>
+                <Legend/>
+                {lane === "ALL" && assets.map(a => (
+                  <Line key={a.ticker} type="monotone" dataKey={a.ticker} stroke={laneColor.get(a.ticker)} dot={false} strokeWidth={1} opacity={0.6}/>
+                ))}
+                <Line type="monotone" dataKey="value" name="Market value" stroke={lane === "ALL" ? "#0f172a" : laneColor.get(lane)} dot={false} strokeWidth={2}/>
+                <Line type="stepAfter" dataKey="contributions" name="Net contributions" stroke="#64748b" strokeDasharray="5 4" dot={false} strokeWidth={2}/>
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+        {lane !== "ALL" && (
+          <div className="mt-4">
+            <div className="mb-2 text-sm font-medium">{lane} price history</div>
+            {points.length === 0 ? (
+              <div className="text-sm text-muted-foreground">No saved closes. Prices entered in the planner are saved here by date.</div>
+            ) : (
+              <div className="max-h-48 overflow-y-auto">
+                <table className="w-full text-sm">
+                  <tbody>
+                    {points.map(p => (
+                      <tr key={p.date} className="border-t">
+                        <td className="py-1 pr-3">{p.date}</td>
+                        <td className="py-1 pr-3">{formatCurrency(p.close, assets.find(a => a.ticker === lane)?.currency)}</td>
+                        <td className="py-1 pr-3 text-right">
+                          <Button variant="ghost" size="icon" title="Delete" onClick={() => onDeletePoint(lane, p.date)}><Trash2/></Button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+        <p className="text-xs text-muted-foreground mt-2">Days without a saved close are valued at the nearest earlier trade or close.</p>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,221 @@
+// Broker trade-history import: column-mapping profiles, format detection and
+// conversion of export rows into BUY/SELL trades (plain dates, same shape the
+// trade-entry form submits), with duplicates flagged against the ledger.
+import { detectDateFormat, detectDecimal, headerKey, parseCSV, parseDate, parseNumber } from "@/lib/csv";
+
+export const IMPORT_FIELDS = [
+  { key: "date", label: "Trade date", required: true },
+  { key: "settleDate", label: "Settlement date" },
+  { key: "ticker", label: "Ticker", required: true },
+  { key: "side", label: "Buy / Sell" },
+  { key: "units", label: "Units", required: true },
+  { key: "price", label: "Price" },
+  { key: "value", label: "Trade value (before brokerage)" },
+  { key: "brokerage", label: "Brokerage" },
+];
+
+// Header names each broker has used, best guess first. Saved profiles replace
+// these with the exact header picked for each field. `value` only takes plain
+// consideration columns: "value"/"total"/"amount" columns usually include
+// brokerage, which is imported on its own and would count twice.
+export const BROKER_PROFILES = [
+  {
+    id: "commsec",
+    name: "CommSec",
+    columns: {
+      date: ["tradedate", "date", "confirmationdate"],
+      settleDate: ["settlementdate", "settdate"],
+      ticker: ["code", "asxcode", "security", "stock"],
+      side: ["buysell", "type", "ordertype", "transactiontype"],
+      units: ["quantity", "qty", "units", "volume"],
+      price: ["price", "averageprice", "avgprice"],
+      value: ["consideration", "tradevalue", "grossvalue"],
+      brokerage: ["brokerage", "brokerageincgst", "brokerageinclgst", "fees"],
+    },
+  },
+  {
+    id: "selfwealth",
+    name: "SelfWealth",
+    columns: {
+      date: ["tradedate", "date"],
+      settleDate: ["settlementdate", "settledate"],
+      ticker: ["code", "asxcode", "stock", "security"],
+      side: ["action", "buysell", "type", "side"],
+      units: ["quantity", "units", "qty"],
+      price: ["price", "averageprice", "tradeprice"],
+      value: ["consideration", "tradevalue"],
+      brokerage: ["brokerage", "fee", "fees"],
+    },
+  },
+  {
+    id: "stake",
+    name: "Stake",
+    columns: {
+      date: ["tradedate", "dateexecuted", "date", "executiondate"],
+      settleDate: ["settlementdate", "settleddate", "settledate"],
+      ticker: ["symbol", "ticker", "code"],
+      side: ["side", "action", "type", "ordertype"],
+      units: ["units", "quantity", "qty", "shares"],
+      price: ["avgprice", "averageprice", "effectiveprice", "price"],
+      value: ["consideration", "tradevalue"],
+      brokerage: ["fees", "brokerage", "fee", "commission"],
+    },
+  },
+  {
+    id: "pearler",
+    name: "Pearler",
+    columns: {
+      date: ["date", "tradedate", "transactiondate"],
+      settleDate: ["settlementdate", "settledate"],
+      ticker: ["code", "ticker", "security", "asxcode"],
+      side: ["type", "transactiontype", "side", "action"],
+      units: ["units", "quantity", "qty"],
+      price: ["price", "unitprice", "averageprice"],
+      value: ["consideration", "tradevalue"],
+      brokerage: ["brokerage", "fee", "fees"],
+    },
+  },
+];
+
+// Built-in profile with any saved mapping for that broker laid over it
+export function brokerProfile(id, saved = {}) {
+  const base = BROKER_PROFILES.find(p => p.id === id) || BROKER_PROFILES[0];
+  const own = saved[base.id];
+  if (!own) return base;
+  const columns = { ...base.columns };
+  for (const [field, key] of Object.entries(own.columns || {})) columns[field] = key ? [key] : [];
+  return { ...base, columns, dateFormat: own.dateFormat, decimal: own.decimal, saved: true };
+}
+
+/**
+ * Split an export into its header and data lines. The header is the first
+ * line that names a trade date and a ticker-ish column, so banner lines some
+ * brokers put above it are skipped.
+ */
+export function readTradeFile(text) {
+  const records = parseCSV(text);
+  const names = new Set(BROKER_PROFILES.flatMap(p => [...p.columns.date, ...p.columns.ticker]));
+  let at = records.findIndex(r => r.fields.filter(f => names.has(headerKey(f))).length >= 2);
+  if (at < 0) at = 0;
+  const header = records[at]?.fields || [];
+  return { headers: header, keys: header.map(headerKey), records: records.slice(at + 1) };
+}
+
+// Column index per field for a profile (-1 when the file lacks it)
+export function resolveColumns(profile, keys) {
+  const cols = {};
+  for (const { key } of IMPORT_FIELDS) {
+    const names = profile.columns[key] || [];
+    const hit = names.map(n => keys.indexOf(n)).find(i => i >= 0);
+    cols[key] = hit ?? -1;
+  }
+  return cols;
+}
+
+// Broker whose profile finds the most columns in this header
+export function detectBroker(keys, saved = {}) {
+  let best = BROKER_PROFILES[0].id;
+  let bestScore = -1;
+  for (const { id } of BROKER_PROFILES) {
+    const cols = resolveColumns(brokerProfile(id, saved), keys);
+    const score = Object.values(cols).filter(i => i >= 0).length;
+    if (score > bestScore) { best = id; bestScore = score; }
+  }
+  return best;
+}
+
+// Date format and decimal separator read off the mapped columns
+export function detectFormats(records, cols) {
+  const column = key => (cols[key] >= 0 ? records.map(r => r.fields[cols[key]] ?? "") : []);
+  const dates = [...column("date"), ...column("settleDate")];
+  const numbers = ["units", "price", "value", "brokerage"].flatMap(column);
+  return { dateFormat: detectDateFormat(dates) || "DMY", decimal: detectDecimal(numbers) };
+}
+
+// "VGS.AX", "ASX:VGS", "vgs" -> "VGS"
+function normaliseTicker(s) {
+  return String(s).trim().toUpperCase().replace(/^ASX:/, "").replace(/(\.AX|\.ASX|:ASX)$/, "");
+}
+
+function sideOf(s) {
+  const v = String(s).trim().toLowerCase();
+  if (/^(b|buy|bought|purchase)\b/.test(v)) return "BUY";
+  if (/^(s|sell|sold|sale)\b/.test(v)) return "SELL";
+  return null;
+}
+
+/**
+ * Convert data lines to trades. Each result carries its file `line` and
+ * either a `trade` or an `error`. Without a side column negative units
+ * mean a sell; without a price it's derived from the trade value, which is
+ * taken to be before brokerage.
+ */
+export function convertTrades(records, cols, { dateFormat, decimal, tickers, today }) {
+  const known = new Set(tickers);
+  const cell = (r, key) => (cols[key] >= 0 ? r.fields[cols[key]] ?? "" : "");
+  const num = (r, key) => (cell(r, key) === "" ? null : parseNumber(cell(r, key), decimal));
+
+  return records.map(r => {
+    const problems = [];
+    const date = parseDate(cell(r, "date"), dateFormat);
+    const settle = cell(r, "settleDate") ? parseDate(cell(r, "settleDate"), dateFormat) : null;
+    const ticker = normaliseTicker(cell(r, "ticker"));
+    const units = num(r, "units");
+    const value = num(r, "value");
+    let price = num(r, "price");
+    const brokerage = num(r, "brokerage");
+
+    let kind = cols.side >= 0 ? sideOf(cell(r, "side")) : null;
+    if (cols.side < 0 && units != null) kind = units < 0 ? "SELL" : "BUY";
+    if (!date) problems.push(`bad trade date "${cell(r, "date")}"`);
+    else if (date > today) problems.push(`trade date ${date} is in the future`);
+    if (cell(r, "settleDate") && !settle) problems.push(`bad settlement date "${cell(r, "settleDate")}"`);
+    if (!ticker) problems.push("missing ticker");
+    else if (!known.has(ticker)) problems.push(`unknown ticker ${ticker}`);
+    if (cols.side >= 0 && !kind) problems.push(`can't tell buy from sell in "${cell(r, "side")}"`);
+    if (units == null || units === 0) problems.push(`bad units "${cell(r, "units")}"`);
+    if (price == null && value != null && units) price = Math.abs(value / units);
+    if (price == null || !(Math.abs(price) > 0)) problems.push(`bad price "${cell(r, "price") || cell(r, "value")}"`);
+    if (brokerage == null && cell(r, "brokerage") !== "") problems.push(`bad brokerage "${cell(r, "brokerage")}"`);
+    if (problems.length) return { line: r.line, error: problems.join(", ") };
+
+    const trade = {
+      kind,
+      ticker,
+      date,
+      settleDate: settle && settle >= date ? settle : date,
+      units: Math.abs(units),
+      price: Math.abs(price),
+      brokerage: Math.abs(brokerage || 0),
+    };
+    return { line: r.line, trade };
+  });
+}
+
+// Same trade for duplicate purposes: side, ticker, trade day, units and price
+function tradeKey(t) {
+  return [t.kind, t.ticker, String(t.date).slice(0, 10), (+t.units).toFixed(6), (+t.price).toFixed(4)].join("|");
+}
+
+/**
+ * Mark converted rows that are already in the ledger. Matching counts, so
+ * two identical fills on one day against one booked trade leave one new.
+ */
+export function markDuplicates(rows, transactions) {
+  const booked = new Map();
+  for (const t of transactions) {
+    if (t.kind !== "BUY" && t.kind !== "SELL") continue;
+    const k = tradeKey(t);
+    booked.set(k, (booked.get(k) || 0) + 1);
+  }
+  return rows.map(r => {
+    if (!r.trade) return { ...r, status: "error" };
+    const k = tradeKey(r.trade);
+    const left = booked.get(k) || 0;
+    if (left > 0) {
+      booked.set(k, left - 1);
+      return { ...r, status: "duplicate" };
+    }
+    return { ...r, status: "new" };
+  });
+}
@@ -0,0 +1,92 @@
+// Australian CGT summary per financial year (1 July – 30 June), with
+// capital losses netted in the ATO order and carried forward.
+
+export function fyBounds(fyStartYear) {
+  const start = new Date(`${fyStartYear}-07-01T00:00:00.000Z`).getTime();
+  const end = new Date(`${fyStartYear + 1}-06-30T23:59:59.999Z`).getTime();
+  return { start, end };
+}
+
+// Start year of the FY containing `date`
+export function fyOf(date) {
+  const d = new Date(date);
+  return d.getUTCMonth() >= 6 ? d.getUTCFullYear() : d.getUTCFullYear() - 1;
+}
+
+export function inFY(transactions, fyStartYear) {
+  const { start, end } = fyBounds(fyStartYear);
+  return transactions.filter(t => t.date && (new Date(t.date).getTime() >= start) && (new Date(t.date).getTime() <= end));
+}
+
+// CGT events: sales, plus AMIT decreases that ran past a lot's cost base (E10)
+function isCgtEvent(t) {
+  return t.kind === "SELL" || (t.kind === "AMIT" && (t.discountableGain || t.otherGain) > 0);
+}
+
+export function sellsInFY(transactions, fyStartYear) {
+  return inFY(transactions, fyStartYear).filter(isCgtEvent);
+}
+
+// Apply `losses` against non-discountable gains first, then discountable
+function applyLosses(losses, gains) {
+  const toOther = Math.min(losses, gains.other);
+  const toDiscountable = Math.min(losses - toOther, gains.discountable);
+  gains.other -= toOther;
+  gains.discountable -= toDiscountable;
+  return toOther + toDiscountable;
+}
+
+/**
+ * Net capital gain for one FY.
+ *
+ * Current-year losses go first, then losses carried in from earlier years,
+ * each against non-discountable gains before discountable ones. The
+ * discount (`discountRate`, 50% for individuals) only applies to what's
+ * left of the discountable gains. Unused losses carry forward.
+ */
+function summariseFY(sells, carriedIn, discountRate) {
+  const sum = key => sells.reduce((s, t) => s + (t[key] || 0), 0);
+  const discountableGain = sum("discountableGain");
+  const otherGain = sum("otherGain");
+  const currentLosses = sum("capitalLoss");
+
+  const gains = { discountable: discountableGain, other: otherGain };
+  const currentLossesApplied = applyLosses(currentLosses, gains);
+  const priorLossesApplied = applyLosses(carriedIn, gains);
+  const discount = gains.discountable * discountRate;
+  const netCapitalGain = gains.other + gains.discountable - discount;
+  const carryForward = (currentLosses - currentLossesApplied) + (carriedIn - priorLossesApplied);
+
+  return {
+    events: sells.length,
+    grossGain: discountableGain + otherGain,
+    discountableGain,
+    otherGain,
+    currentLosses,
+    currentLossesApplied,
+    priorLosses: carriedIn,
+    priorLossesApplied,
+    discountRate,
+    discount,
+    netCapitalGain,
+    carryForward,
+    // pre-netting figure kept for the Transactions/CSV "DiscountGain" column
+    discountGain: sum("discountGain"),
+    buyCosts: sum("buyCosts"),
+    saleCosts: sum("saleCosts"),
+  };
+}
+
+/**
+ * CGT summary for `fyStartYear`, walking every FY from the first sale so
+ * net capital losses carry forward automatically.
+ */
+export function cgtSummaryFY(transactions, fyStartYear, { discountRate = 0.5 } = {}) {
+  const sells = transactions.filter(t => isCgtEvent(t) && t.date);
+  const firstFY = sells.length ? Math.min(...sells.map(t => fyOf(t.date))) : fyStartYear;
+  let carried = 0;
+  for (let y = firstFY; y < fyStartYear; y++) {
+    carried = summariseFY(sellsInFY(sells, y), carried, discountRate).carryForward;
+  }
+  return summariseFY(sellsInFY(sells, fyStartYear), carried, discountRate);
+}
@@ -0,0 +1,134 @@
+// Minimal RFC 4180 reader for the CSV imports (prices, broker trade history).
+// Handles quoted fields with embedded commas, quotes and newlines, CRLF line
+// endings and a leading BOM. Blank lines are dropped; each row keeps the
+// 1-based line it started on so errors can point back at the file.
+
+export function parseCSV(text) {
+  const src = String(text).replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.some(f => f.trim() !== "")) rows.push({ line: rowLine, fields: row.map(f => f.trim()) });
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else {
+        if (c === "\n") line++;
+        field += c;
+      }
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else field += c;
+  }
+  endRow();
+  return rows;
+}
+
+// Header cells normalised for matching: "Close Price ($)" -> "closeprice"
+export function headerKey(s) {
+  return String(s).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// Calendar day from a CSV cell: ISO (2024-03-05), compact ASX end-of-day
+// (20240305) or Australian day-first (5/3/2024). Null when unreadable.
+export function parseDay(s) {
+  for (const f of ["YMD", "COMPACT", "DMY"]) {
+    const day = parseDate(s, f);
+    if (day) return day;
+  }
+  return null;
+}
+
+// Plain positive-or-zero number, tolerating a "$" and thousands separators
+export function parseAmount(s) {
+  const v = String(s).trim().replace(/^\$/, "").replace(/,/g, "");
+  if (!/^\d+(\.\d+)?$|^\.\d+$/.test(v)) return null;
+  return Number(v);
+}
+
+// ---- Format detection for broker exports ----------------------------------
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const TIME_TAIL = String.raw`(?:[ T]\d{1,2}:\d{2}(?::\d{2})?(?:\.\d+)?\s*(?:[AaPp][Mm])?(?:Z|[+-]\d{2}:?\d{2})?)?$`;
+
+// Each format pulls [year, month, day] out of a cell; a trailing time is ignored
+export const DATE_FORMATS = [
+  { key: "YMD", label: "YYYY-MM-DD", re: new RegExp(String.raw`^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})` + TIME_TAIL), order: [1, 2, 3] },
+  { key: "DMY", label: "DD/MM/YYYY", re: new RegExp(String.raw`^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})` + TIME_TAIL), order: [3, 2, 1] },
+  { key: "MDY", label: "MM/DD/YYYY", re: new RegExp(String.raw`^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})` + TIME_TAIL), order: [3, 1, 2] },
+  { key: "COMPACT", label: "YYYYMMDD", re: new RegExp(String.raw`^(\d{4})(\d{2})(\d{2})` + TIME_TAIL), order: [1, 2, 3] },
+  { key: "DMONY", label: "DD Mon YYYY", re: new RegExp(String.raw`^(\d{1,2})[-/ ]([A-Za-z]{3})[A-Za-z]*[-/ ,]+(\d{4})` + TIME_TAIL), order: [3, 2, 1] },
+];
+
+// Calendar day from a cell in the given DATE_FORMATS key, or null
+export function parseDate(s, format) {
+  const f = DATE_FORMATS.find(x => x.key === format);
+  const m = f && String(s).trim().match(f.re);
+  if (!m) return null;
+  const [y, mo, d] = f.order.map(i => m[i]);
+  const month = /^\d+$/.test(mo) ? Number(mo) : MONTHS.indexOf(mo.toLowerCase()) + 1;
+  const dt = new Date(Date.UTC(Number(y), month - 1, Number(d)));
+  if (!month || dt.getUTCMonth() !== month - 1 || dt.getUTCDate() !== Number(d)) return null;
+  return dt.toISOString().slice(0, 10);
+}
+
+/**
+ * The date format every non-empty value parses under. Day-first and
+ * month-first can both fit when no day is above 12; `prefer` breaks the tie
+ * (Australian brokers are day-first). Null when nothing fits.
+ */
+export function detectDateFormat(values, prefer = "DMY") {
+  const vals = values.map(v => String(v).trim()).filter(Boolean);
+  if (!vals.length) return null;
+  const fits = DATE_FORMATS.filter(f => vals.every(v => parseDate(v, f.key))).map(f => f.key);
+  return fits.includes(prefer) ? prefer : fits[0] || null;
+}
+
+/**
+ * Decimal separator used by a column of amounts: "," for continental
+ * exports ("1.234,56", "12,5"), "." otherwise. A lone comma before exactly
+ * three digits reads as a thousands separator.
+ */
+export function detectDecimal(values) {
+  for (const raw of values) {
+    const v = String(raw).replace(/[^\d.,]/g, "");
+    const dot = v.lastIndexOf(".");
+    const comma = v.lastIndexOf(",");
+    if (dot >= 0 && comma >= 0) return comma > dot ? "," : ".";
+    if (comma >= 0 && !/,\d{3}$/.test(v)) return ",";
+  }
+  return ".";
+}
+
+// Signed number from a broker cell: currency marks, thousands separators,
+// "(12.50)" or trailing-minus negatives. Null when it isn't a number.
+export function parseNumber(s, decimal = ".") {
+  let v = String(s).trim().replace(/\s|A\$|US\$|\$|AUD|USD/gi, "");
+  let sign = 1;
+  if (/^\(.*\)$/.test(v)) { sign = -1; v = v.slice(1, -1); }
+  if (v.endsWith("-")) { sign = -sign; v = v.slice(0, -1); }
+  if (v.startsWith("-")) { sign = -sign; v = v.slice(1); }
+  else if (v.startsWith("+")) v = v.slice(1);
+  const thousands = decimal === "," ? "." : ",";
+  v = v.split(thousands).join("");
+  if (decimal === ",") v = v.replace(",", ".");
+  if (!/^\d+(\.\d+)?$|^\.\d+$/.test(v)) return null;
+  return sign * Number(v);
+}
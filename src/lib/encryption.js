@@ -0,0 +1,88 @@
+// Passphrase-encrypted backups (WebCrypto).
+//
+// PBKDF2-SHA-256 stretches the passphrase into 64 bytes: the first half is
+// the AES-256-GCM key, a SHA-256 of the second half is stored as `check` so a
+// wrong passphrase can be told apart from a damaged or altered file. The
+// envelope header is bound in as GCM additional data, so editing it (say, the
+// iteration count) fails authentication too.
+
+export const ENCRYPTED_FORMAT = "street-smart-encrypted-backup";
+const ENVELOPE_VERSION = 1;
+const ITERATIONS = 600000;
+const MAX_ITERATIONS = 10000000;
+
+function toBase64(bytes) {
+  let s = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(s);
+}
+
+function fromBase64(s, what) {
+  try {
+    return Uint8Array.from(atob(s), c => c.charCodeAt(0));
+  } catch {
+    throw new Error(`The encrypted backup is damaged (${what} isn't valid base64).`);
+  }
+}
+
+async function deriveKeys(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveBits"]);
+  const bits = new Uint8Array(await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, material, 512));
+  const key = await crypto.subtle.importKey("raw", bits.slice(0, 32), "AES-GCM", false, ["encrypt", "decrypt"]);
+  const check = toBase64(new Uint8Array(await crypto.subtle.digest("SHA-256", bits.slice(32))));
+  return { key, check };
+}
+
+// Header fields that GCM authenticates alongside the ciphertext
+function headerBytes(env) {
+  const { format, version, kdf, cipher, check } = env;
+  return new TextEncoder().encode(JSON.stringify({ format, version, kdf, cipher, check }));
+}
+
+export function isEncryptedBackup(data) {
+  return !!data && typeof data === "object" && data.format === ENCRYPTED_FORMAT;
+}
+
+// Encrypted envelope (as JSON text) for a plaintext backup
+export async function encryptBackup(plaintext, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const { key, check } = await deriveKeys(passphrase, salt, ITERATIONS);
+  const env = {
+    format: ENCRYPTED_FORMAT,
+    version: ENVELOPE_VERSION,
+    kdf: { name: "PBKDF2", hash: "SHA-256", iterations: ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: "AES-GCM", iv: toBase64(iv) },
+    check,
+  };
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv, additionalData: headerBytes(env) }, key, new TextEncoder().encode(plaintext));
+  return JSON.stringify({ ...env, data: toBase64(new Uint8Array(data)) }, null, 2);
+}
+
+/**
+ * Plaintext of an encrypted envelope. Throws with a message fit to show the
+ * user: wrong passphrase, altered/corrupted file, or an envelope this build
+ * can't read.
+ */
+export async function decryptBackup(env, passphrase) {
+  if (env.version !== ENVELOPE_VERSION) throw new Error(`This encrypted backup uses format v${env.version}, which this version of the app can't read.`);
+  const { kdf, cipher } = env;
+  if (kdf?.name !== "PBKDF2" || kdf.hash !== "SHA-256" || cipher?.name !== "AES-GCM" || typeof env.check !== "string" || typeof env.data !== "string") {
+    throw new Error("The encrypted backup is damaged (its header is incomplete).");
+  }
+  if (!Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > MAX_ITERATIONS) {
+    throw new Error("The encrypted backup is damaged (bad key-derivation settings).");
+  }
+  const salt = fromBase64(kdf.salt, "salt");
+  const iv = fromBase64(cipher.iv, "iv");
+  const data = fromBase64(env.data, "data");
+
+  const { key, check } = await deriveKeys(passphrase, salt, kdf.iterations);
+  if (check !== env.check) throw new Error("Wrong passphrase.");
+  try {
+    const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv, additionalData: headerBytes(env) }, key, data);
+    return new TextDecoder().decode(plain);
+  } catch {
+    throw new Error("The passphrase is right but the file has been altered or corrupted, so it can't be trusted.");
+  }
+}
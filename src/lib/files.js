@@ -0,0 +1,52 @@
+// Saving and opening user files: native dialogs in the desktop build, a
+// download link and a file input in the browser.
+import { isTauri, nativeOpen, nativeSave } from "@/lib/tauri";
+
+export const FILE_TYPES = {
+  json: { label: "Backup", extensions: ["json"], mime: "application/json" },
+  csv: { label: "CSV", extensions: ["csv"], mime: "text/csv" },
+  html: { label: "HTML report", extensions: ["html"], mime: "text/html" },
+};
+
+export async function saveFile(name, contents, type) {
+  if (isTauri()) return nativeSave(name, contents, type);
+  const url = URL.createObjectURL(new Blob([contents], { type: type.mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+  return name;
+}
+
+// Resolves to { name, contents }, or null if the user backs out. Browsers
+// without the input "cancel" event never settle on cancel, which is harmless.
+export function openFile(type) {
+  if (isTauri()) return nativeOpen(type);
+  return new Promise((resolve, reject) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = [...type.extensions.map(e => `.${e}`), type.mime].join(",");
+    input.addEventListener("cancel", () => resolve(null));
+    input.addEventListener("change", () => {
+      const file = input.files?.[0];
+      if (!file) return resolve(null);
+      file.text().then(contents => resolve({ name: file.name, contents }), reject);
+    });
+    input.click();
+  });
+}
+
+// Print a standalone HTML page (e.g. to PDF) from a hidden frame, leaving the
+// app as it is
+export function printHtml(html) {
+  const frame = document.createElement("iframe");
+  frame.style.cssText = "position:fixed;width:0;height:0;border:0;";
+  frame.srcdoc = html;
+  frame.addEventListener("load", () => {
+    frame.contentWindow.addEventListener("afterprint", () => frame.remove());
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  });
+  document.body.appendChild(frame);
+}
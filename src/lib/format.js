@@ -0,0 +1,11 @@
+// Amounts are AUD unless a lane's trading currency is given (US$, €, ...)
+export function formatCurrency(n, currency = "AUD") {
+  if (Number.isNaN(n) || !Number.isFinite(n)) return "$0";
+  return n.toLocaleString("en-AU", { style: "currency", currency, maximumFractionDigits: 2 });
+}
+
+// Local calendar date as YYYY-MM-DD, so an AEST morning isn't "yesterday" in UTC
+export function localToday() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
@@ -0,0 +1,44 @@
+// Foreign-currency lanes. A lane's prices are quoted in its trading currency
+// while the books (cash, cost bases, gains, valuations) are kept in
+// Australian dollars. Rates are stored by date like closes in the price
+// history, as AUD per unit of the foreign currency: USD 1.52 means US$1
+// costs A$1.52.
+//
+//   { [currency]: [{ date: "YYYY-MM-DD", rate }] }   oldest first
+
+export const BASE_CURRENCY = "AUD";
+
+export const CURRENCIES = ["AUD", "USD", "EUR", "GBP", "JPY", "HKD", "NZD", "CAD", "SGD", "CHF"];
+
+export function upsertRate(rates, currency, date, rate) {
+  const list = (rates[currency] || []).filter(p => p.date !== date);
+  list.push({ date, rate });
+  list.sort((x, y) => x.date.localeCompare(y.date));
+  return { ...rates, [currency]: list };
+}
+
+export function removeRate(rates, currency, date) {
+  const list = (rates[currency] || []).filter(p => p.date !== date);
+  const { [currency]: _, ...rest } = rates;
+  return list.length ? { ...rest, [currency]: list } : rest;
+}
+
+/**
+ * Rate lookup: `fxAt(currency, date)` is the rate on or before `date` (a day
+ * or a timestamp; its calendar date counts), the latest on record without a
+ * date, and null when there's none. AUD is always 1.
+ */
+export function makeFxLookup(rates = {}) {
+  return (currency, date = null) => {
+    if (!currency || currency === BASE_CURRENCY) return 1;
+    const list = rates[currency] || [];
+    if (date == null) return list.at(-1)?.rate ?? null;
+    const day = String(date).slice(0, 10);
+    let rate = null;
+    for (const p of list) {
+      if (p.date > day) break;
+      rate = p.rate;
+    }
+    return rate;
+  };
+}
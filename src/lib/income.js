@@ -0,0 +1,37 @@
+// Distribution income per financial year: cash distributions, DRP
+// allotments and franking credits, plus the AMIT cost-base adjustments
+// booked in the same year.
+import { inFY } from "@/lib/cgt";
+
+function emptyRow(ticker) {
+  return { ticker, cash: 0, reinvested: 0, franking: 0, amitIncrease: 0, amitDecrease: 0 };
+}
+
+export function incomeSummaryFY(transactions, fyStartYear) {
+  const rows = new Map();
+  const row = ticker => {
+    if (!rows.has(ticker)) rows.set(ticker, emptyRow(ticker));
+    return rows.get(ticker);
+  };
+
+  for (const t of inFY(transactions, fyStartYear)) {
+    if (t.kind === "DIST") {
+      row(t.ticker).cash += Number(t.amount) || 0;
+      row(t.ticker).franking += Number(t.frankingCredits) || 0;
+    } else if (t.kind === "DRP") {
+      row(t.ticker).reinvested += (Number(t.units) || 0) * (Number(t.price) || 0) * (Number(t.fxUsed) || 1);
+      row(t.ticker).franking += Number(t.frankingCredits) || 0;
+    } else if (t.kind === "AMIT") {
+      const amt = Number(t.amount) || 0;
+      if (amt >= 0) row(t.ticker).amitIncrease += amt;
+      else row(t.ticker).amitDecrease += -amt;
+    }
+  }
+
+  const byTicker = [...rows.values()].map(r => ({ ...r, assessable: r.cash + r.reinvested + r.franking }));
+  const total = byTicker.reduce((acc, r) => {
+    for (const k of Object.keys(acc)) if (k !== "ticker") acc[k] += r[k];
+    return acc;
+  }, { ...emptyRow("Total"), assessable: 0 });
+  return { byTicker, total };
+}
@@ -0,0 +1,349 @@
+// Ledger replay: the transaction log is the source of truth. Lots, units,
+// invested, cash and each SELL's gain figures are rebuilt from it on every
+// change.
+//
+// Kinds: BUY, SELL, DIST (cash distribution), DRP (reinvested distribution,
+// creates a lot), AMIT (annual cost-base increase/decrease on held lots) and
+// DEPOSIT / WITHDRAW (cash in or out, no ticker).
+//
+// Trade prices and brokerage are in the lane's currency and converted to AUD
+// at the trade-date rate (a row's own `fxRate`, typed off the contract
+// note, wins over the rate table); cash, distribution and AMIT amounts are AUD.
+import { BASE_CURRENCY } from "@/lib/fx";
+
+const EPS = 1e-9;
+
+export function yearsBetween(a, b) {
+  const ms = b - a;
+  return ms / (1000 * 60 * 60 * 24 * 365.25);
+}
+
+// FIFO lot helper: oldest first, through the same path as the other methods
+// so float dust below EPS never survives as a parcel
+export function consumeLotsFIFO(lots, sellQty) {
+  return consumeInOrder(lots, sellQty, lots.map((_, i) => i));
+}
+
+// Per-unit cost base of a lot: purchase price plus its share of buy brokerage,
+// moved by any AMIT adjustments. Lots from before brokerage was tracked
+// only have `price`.
+export function lotUnitCost(lot) {
+  return lot.unitCost ?? lot.price;
+}
+
+// Parcel-selection strategies; the key is stored on each SELL as `lotMethod`
+export const LOT_METHODS = [
+  { key: "FIFO", label: "FIFO (oldest first)" },
+  { key: "LIFO", label: "LIFO (newest first)" },
+  { key: "HIFO", label: "Highest cost first" },
+  { key: "MIN_TAX", label: "Lowest tax" },
+  { key: "SPECIFIC", label: "Specific parcels" },
+];
+
+// Taxable gain per unit if the lot were sold at `price` on `saleDate`.
+// Losses sort first (biggest first), then discounted gains, then full gains.
+function taxPerUnit(lot, price, saleDate, discountRate) {
+  const g = price - lotUnitCost(lot);
+  if (g < 0) return g;
+  return yearsBetween(new Date(lot.date), saleDate) >= 1 ? (1 - discountRate) * g : g;
+}
+
+// Take units from lots in the given index order, keeping the remaining lots
+// in acquisition order
+function consumeInOrder(lots, sellQty, order) {
+  const take = new Array(lots.length).fill(0);
+  let remaining = sellQty;
+  for (const i of order) {
+    if (remaining <= 0) break;
+    take[i] = Math.min(remaining, lots[i].qty);
+    remaining -= take[i];
+  }
+  const consumed = [];
+  const newLots = [];
+  lots.forEach((lot, i) => {
+    if (take[i] > 0) consumed.push({ ...lot, qty: take[i] });
+    const leftover = lot.qty - take[i];
+    if (leftover > EPS) newLots.push({ ...lot, qty: leftover });
+  });
+  return { consumed, newLots, unfilled: Math.max(0, remaining) };
+}
+
+// Specific identification: `picks` is [{ lotId, qty }], lotId being the
+// BUY transaction id the parcel came from
+function consumePicked(lots, sellQty, picks) {
+  const want = new Map();
+  for (const p of picks || []) want.set(p.lotId, (want.get(p.lotId) || 0) + (Number(p.qty) || 0));
+  const picked = [...want.values()].reduce((s, q) => s + q, 0);
+  if (Math.abs(picked - sellQty) > 1e-6) return { error: `picked parcels total ${picked.toFixed(6)} units, not ${sellQty.toFixed(6)}.` };
+  const consumed = [];
+  const newLots = [];
+  for (const lot of lots) {
+    const q = Math.min(want.get(lot.txnId) || 0, lot.qty);
+    if (q > 0) {
+      consumed.push({ ...lot, qty: q });
+      want.set(lot.txnId, want.get(lot.txnId) - q);
+    }
+    if (lot.qty - q > EPS) newLots.push({ ...lot, qty: lot.qty - q });
+  }
+  const short = [...want.values()].reduce((s, q) => s + q, 0);
+  if (short > 1e-6) return { error: `picked parcels are no longer held (${short.toFixed(6)} units short).` };
+  return { consumed, newLots, unfilled: 0 };
+}
+
+/**
+ * Pick the parcels for a sale of `sellQty` units.
+ * Returns { consumed, newLots, unfilled } like consumeLotsFIFO, or { error }
+ * when specific parcels don't line up.
+ */
+export function selectLots(lots, sellQty, { method = "FIFO", price = 0, saleDate = new Date(), picks, discountRate = 0.5 } = {}) {
+  const idx = lots.map((_, i) => i);
+  switch (method) {
+    case "LIFO":
+      return consumeInOrder(lots, sellQty, idx.reverse());
+    case "HIFO":
+      return consumeInOrder(lots, sellQty, idx.sort((a, b) => lotUnitCost(lots[b]) - lotUnitCost(lots[a])));
+    case "MIN_TAX":
+      return consumeInOrder(lots, sellQty, idx.sort((a, b) => taxPerUnit(lots[a], price, saleDate, discountRate) - taxPerUnit(lots[b], price, saleDate, discountRate)));
+    case "SPECIFIC":
+      return consumePicked(lots, sellQty, picks);
+    default:
+      return consumeInOrder(lots, sellQty, idx);
+  }
+}
+
+/**
+ * CGT figures for a parcel set disposed of at `price` on `saleDate`.
+ * Buy-side brokerage is already in each lot's `unitCost`; sell-side
+ * `brokerage` comes off the proceeds, shared across parcels by units.
+ * `discountRate` is the holder's CGT discount (½ individual, ⅓ SMSF).
+ */
+export function disposalFigures(consumed, { units, price, saleDate, brokerage = 0, discountRate = 0.5 }) {
+  const proceeds = units * price - brokerage;
+  const costBase = consumed.reduce((s, l) => s + l.qty * lotUnitCost(l), 0);
+  const buyCosts = consumed.reduce((s, l) => s + l.qty * (lotUnitCost(l) - l.price - (l.amitAdj || 0)), 0);
+  // Each parcel is its own CGT event: gains split by discount eligibility,
+  // losses kept whole for netting in the FY summary
+  const parts = consumed.reduce((acc, l) => {
+    const heldYears = yearsBetween(new Date(l.date), saleDate);
+    const share = units > 0 ? brokerage * (l.qty / units) : 0;
+    const gain = l.qty * (price - lotUnitCost(l)) - share;
+    if (gain < 0) acc.capitalLoss += -gain;
+    else if (heldYears >= 1) acc.discountableGain += gain;
+    else acc.otherGain += gain;
+    return acc;
+  }, { discountableGain: 0, otherGain: 0, capitalLoss: 0 });
+  const discountGain = (1 - discountRate) * parts.discountableGain + parts.otherGain;
+  return { proceeds, costBase, gain: proceeds - costBase, discountGain, ...parts, buyCosts, saleCosts: brokerage };
+}
+
+// What-if: sell `amountAUD` of a lane today at its current price
+export function whatIfSell(asset, amountAUD, { brokerage = 0, method = "FIFO", picks, discountRate = 0.5 } = {}) {
+  if (!asset || !asset.price || amountAUD <= 0) return null;
+  const units = amountAUD / asset.price;
+  const saleDate = new Date();
+  const sel = selectLots(asset.lots, units, { method, price: asset.price, saleDate, picks, discountRate });
+  if (sel.error) return { error: `Specific parcels: ${sel.error}` };
+  if (sel.unfilled > EPS) return { error: "Insufficient units for this what-if." };
+  const f = disposalFigures(sel.consumed, { units, price: asset.price, saleDate, brokerage, discountRate });
+  return { units, method, parcels: sel.consumed, ...f, grossGain: Math.max(0, f.gain) };
+}
+
+// Lane config + holdings cleared, ready for replay
+function emptyHolding(lane) {
+  return { ...lane, units: 0, invested: 0, lots: [], firstContribution: null };
+}
+
+// Valued in AUD at the latest rate; the lane's own price stays as `quote`.
+// With no rate on record a foreign lane has no AUD price yet. A priced
+// foreign lane also carries `unrealisedFx`, the part of its open parcels'
+// gain down to the rate moving since each was bought.
+function valued(asset, fxAt) {
+  if ((asset.currency || BASE_CURRENCY) === BASE_CURRENCY) return { ...asset, quote: asset.price, fx: 1 };
+  const fx = fxAt(asset.currency);
+  if (fx == null) return { ...asset, quote: asset.price, fx, price: 0 };
+  const unrealisedFx = asset.lots.reduce((s, l) => s + l.qty * asset.price * (fx - (l.fx ?? fx)), 0);
+  return { ...asset, quote: asset.price, fx, price: asset.price * fx, unrealisedFx };
+}
+
+// Cash movements in and out of a portfolio; these rows carry no ticker
+export const CASH_KINDS = ["DEPOSIT", "WITHDRAW"];
+
+// Key for the cash slice in allocation data. Tickers are upper case, so it
+// can't collide with a lane.
+export const CASH_KEY = "Cash";
+
+// Same-timestamp order: deposits, acquisitions, income/adjustments, sells,
+// then withdrawals
+const KIND_RANK = { DEPOSIT: -1, BUY: 0, DRP: 0, DIST: 1, AMIT: 1, SELL: 2, WITHDRAW: 3 };
+
+// Chronological order; on the same timestamp buys go first so a same-day
+// round trip replays, then fall back to the order the rows were recorded
+// (the log is stored newest-first).
+export function sortForReplay(transactions) {
+  return transactions
+    .map((t, i) => ({ t, seq: transactions.length - i }))
+    .sort((x, y) =>
+      (new Date(x.t.date) - new Date(y.t.date)) ||
+      ((KIND_RANK[x.t.kind] ?? 1) - (KIND_RANK[y.t.kind] ?? 1)) ||
+      (x.seq - y.seq))
+    .map(x => x.t);
+}
+
+/**
+ * Spread an AMIT net amount (+ increase / - decrease, for the whole holding)
+ * across the open lots by units. A decrease that would take a lot's cost
+ * base below zero is a capital gain instead (CGT event E10), discountable
+ * if the lot was held 12 months.
+ */
+function applyAmit(lots, amount, date) {
+  const held = lots.reduce((s, l) => s + l.qty, 0);
+  const perUnit = amount / held;
+  const excess = { discountableGain: 0, otherGain: 0 };
+  const adjusted = lots.map(l => {
+    const unitCost = lotUnitCost(l) + perUnit;
+    if (unitCost >= 0) return { ...l, unitCost, amitAdj: (l.amitAdj || 0) + perUnit };
+    const gain = -unitCost * l.qty;
+    if (yearsBetween(new Date(l.date), new Date(date)) >= 1) excess.discountableGain += gain;
+    else excess.otherGain += gain;
+    return { ...l, unitCost: 0, amitAdj: (l.amitAdj || 0) + perUnit - unitCost };
+  });
+  return { lots: adjusted, perUnit, ...excess };
+}
+
+/**
+ * Rebuild holdings from the transaction log.
+ *
+ * `lanes` carry the lane config (ticker, name, targetWeight, price, retired);
+ * anything holding-related on them is ignored. Returns the rebuilt assets,
+ * the transactions (same order as given) with SELL gain figures refreshed,
+ * the `cash` balance, `contributed` (new money in, less withdrawals) and a
+ * list of `issues` ({ id, message }, plus `short`, the units or cash
+ * missing, for oversells and overdrawn withdrawals) for rows that couldn't
+ * be applied. `discountRate` is the CGT discount of whoever holds the
+ * lanes; `fxAt(currency, date)` looks up rates for foreign lanes (see
+ * makeFxLookup).
+ *
+ * Lots, cost bases and gains come out in AUD. Rows in a foreign lane get the
+ * rate they were converted at as `fxUsed` (never read back, so a later
+ * change to the rate table still flows through), and each such SELL the
+ * `fxGain` share of its gain: what the rate's move since each parcel was
+ * bought added or took away. Assets are valued at the latest rate, with
+ * `quote` the lane price in its own currency.
+ *
+ * Buys debit cash and sells and cash distributions credit it. A buy bigger
+ * than the cash on hand is taken as new money for the difference (recorded
+ * as `topUp` on the row), so logs kept without deposits still replay.
+ */
+export function replayLedger(lanes, transactions, { discountRate = 0.5, fxAt = () => null } = {}) {
+  const book = new Map(lanes.map(l => [l.ticker, emptyHolding(l)]));
+  const derived = new Map();
+  const issues = [];
+  let cash = 0;
+  let contributed = 0;
+
+  for (const t of sortForReplay(transactions)) {
+    if (CASH_KINDS.includes(t.kind)) {
+      const amount = Math.max(0, Number(t.amount) || 0);
+      if (t.kind === "WITHDRAW" && amount > cash + EPS) {
+        issues.push({ id: t.id, message: `WITHDRAW on ${String(t.date).slice(0, 10)}: ${amount.toFixed(2)} asked for, only ${cash.toFixed(2)} cash on hand.`, short: amount - cash });
+        continue;
+      }
+      cash += t.kind === "DEPOSIT" ? amount : -amount;
+      contributed += t.kind === "DEPOSIT" ? amount : -amount;
+      derived.set(t.id, { ...t, amount });
+      continue;
+    }
+    const a = book.get(t.ticker);
+    if (!a) {
+      issues.push({ id: t.id, message: `${t.kind} ${t.ticker} on ${String(t.date).slice(0, 10)}: no such lane.` });
+      continue;
+    }
+    const foreign = (a.currency || BASE_CURRENCY) !== BASE_CURRENCY;
+    let fx = 1;
+    if (foreign && ["BUY", "SELL", "DRP"].includes(t.kind)) {
+      fx = Number(t.fxRate) || fxAt(a.currency, t.date);
+      if (!(fx > 0)) {
+        issues.push({ id: t.id, message: `${t.kind} ${t.ticker} on ${String(t.date).slice(0, 10)}: no ${a.currency} rate on or before that date.` });
+        continue;
+      }
+    }
+    const fxFields = foreign ? { fxUsed: fx } : {};
+    const units = Number(t.units) || 0;
+    const quote = Number(t.price) || 0;
+    const price = quote * fx;
+    const brokerage = Math.max(0, Number(t.brokerage) || 0) * fx;
+
+    if (t.kind === "BUY") {
+      const unitCost = units > 0 ? price + brokerage / units : price;
+      a.lots = [...a.lots, { qty: units, price, unitCost, date: t.date, txnId: t.id, ...(foreign && { fx }) }];
+      a.units += units;
+      a.invested += units * price + brokerage;
+      if (!a.firstContribution || t.date < a.firstContribution) a.firstContribution = t.date;
+      const cost = units * price + brokerage;
+      const topUp = Math.max(0, cost - cash);
+      cash = Math.max(0, cash - cost);
+      contributed += topUp;
+      derived.set(t.id, { ...t, ...fxFields, amount: units * price, topUp });
+    } else if (t.kind === "DRP") {
+      // reinvested income: a new parcel at the allotment price, not new money
+      a.lots = [...a.lots, { qty: units, price, unitCost: price, date: t.date, txnId: t.id, ...(foreign && { fx }) }];
+      a.units += units;
+      if (!a.firstContribution || t.date < a.firstContribution) a.firstContribution = t.date;
+      derived.set(t.id, { ...t, ...fxFields, amount: units * price });
+    } else if (t.kind === "DIST") {
+      cash += Number(t.amount) || 0;
+      derived.set(t.id, { ...t, amount: Number(t.amount) || 0 });
+    } else if (t.kind === "AMIT") {
+      const amount = Number(t.amount) || 0;
+      if (a.units <= EPS) {
+        issues.push({ id: t.id, message: `AMIT ${t.ticker} on ${String(t.date).slice(0, 10)}: no units held to adjust.` });
+        continue;
+      }
+      const adj = applyAmit(a.lots, amount, t.date);
+      a.lots = adj.lots;
+      derived.set(t.id, {
+        ...t,
+        amount,
+        perUnit: adj.perUnit,
+        discountableGain: adj.discountableGain,
+        otherGain: adj.otherGain,
+        capitalLoss: 0,
+        discountGain: (1 - discountRate) * adj.discountableGain + adj.otherGain,
+        gain: adj.discountableGain + adj.otherGain,
+      });
+    } else if (t.kind === "SELL") {
+      const saleDate = new Date(t.date);
+      const lotMethod = t.lotMethod || "FIFO";
+      const sel = selectLots(a.lots, units, { method: lotMethod, price, saleDate, picks: t.lotPicks, discountRate });
+      if (sel.error || sel.unfilled > EPS) {
+        const why = sel.error || `only ${(units - sel.unfilled).toFixed(6)} of ${units.toFixed(6)} units held.`;
+        issues.push({ id: t.id, message: `SELL ${t.ticker} on ${String(t.date).slice(0, 10)}: ${why}`, ...(!sel.error && { short: sel.unfilled }) });
+        continue;
+      }
+      a.lots = sel.newLots;
+      a.units = Math.max(0, a.units - units);
+      const figures = disposalFigures(sel.consumed, { units, price, saleDate, brokerage, discountRate });
+      cash += figures.proceeds;
+      const parcels = sel.consumed.map(l => ({ lotId: l.txnId, date: l.date, qty: l.qty, unitCost: lotUnitCost(l), ...(foreign && { fx: l.fx }) }));
+      // the gain had the rate not moved since each purchase, and the rest
+      const fxGain = foreign ? sel.consumed.reduce((s, l) => s + l.qty * quote * (fx - (l.fx ?? fx)), 0) : undefined;
+      derived.set(t.id, { ...t, ...fxFields, lotMethod, amount: units * price, ...figures, parcels, ...(foreign && { fxGain }) });
+    } else {
+      issues.push({ id: t.id, message: `Unknown transaction kind ${t.kind}.` });
+    }
+  }
+
+  return {
+    assets: lanes.map(l => valued(book.get(l.ticker), fxAt)),
+    transactions: transactions.map(t => derived.get(t.id) || t),
+    cash,
+    contributed,
+    issues,
+  };
+}
+
+// Strip holdings off an asset row, leaving only what the ledger can't derive.
+// A replayed asset's `price` is in AUD; its lane price is the `quote`.
+export function laneConfig({ ticker, name, targetWeight, price, quote, retired, currency }) {
+  return { ticker, name, targetWeight, price: (quote ?? price) || 0, retired: !!retired, currency: currency || BASE_CURRENCY };
+}
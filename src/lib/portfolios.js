@@ -0,0 +1,73 @@
+// Named portfolios (one per account or entity), each with its own lanes,
+// transaction log and tax profile. Price history is market data, so one
+// history is shared by every portfolio holding a ticker.
+import { CASH_KEY, laneConfig } from "@/lib/ledger";
+import { defaultPolicy } from "@/lib/rebalancePolicy";
+
+// CGT discount by entity type. Companies get none; complying super funds a
+// third. taxRate is only a starting guess for estimates (individuals and
+// trust beneficiaries vary; 30% + Medicare levy is a middle bracket).
+export const TAX_PROFILES = [
+  { key: "individual", label: "Individual", discountRate: 0.5, taxRate: 0.32 },
+  { key: "trust", label: "Trust", discountRate: 0.5, taxRate: 0.32 },
+  { key: "smsf", label: "SMSF (complying)", discountRate: 1 / 3, taxRate: 0.15 },
+  { key: "company", label: "Company", discountRate: 0, taxRate: 0.3 },
+];
+
+export function taxProfile(key) {
+  return TAX_PROFILES.find(p => p.key === key) || TAX_PROFILES[0];
+}
+
+export function newPortfolio({ name, taxProfile = "individual", lanes = [] }) {
+  return { id: crypto.randomUUID(), name, taxProfile, rebalance: defaultPolicy(), plans: [], lanes, transactions: [] };
+}
+
+// Saved shape: lane rows go under `assets`, as in every schema version.
+// Backups pass the replayed assets so holdings travel too; transactions are
+// always the raw log, so a restore rebuilds everything by replay.
+export function savedPortfolio(p, { assets = p.lanes } = {}) {
+  return { id: p.id, name: p.name, taxProfile: p.taxProfile, rebalance: p.rebalance, plans: p.plans, assets, transactions: p.transactions };
+}
+
+// ...and back; lanes keep config only, holdings are replayed from the log
+export function loadedPortfolio(p) {
+  return { id: p.id, name: p.name, taxProfile: p.taxProfile, rebalance: p.rebalance, plans: p.plans, lanes: p.assets.map(laneConfig), transactions: p.transactions };
+}
+
+/**
+ * Household totals across portfolios. `books` is [{ portfolio, assets, cash,
+ * contributed }] straight from each replay. Returns per-portfolio value
+ * (cash included), cash and net contributions, the combined net worth, and
+ * allocation by ticker (cash under CASH_KEY) with each portfolio's share.
+ */
+export function consolidate(books) {
+  const byTicker = new Map();
+  const cashRow = { ticker: CASH_KEY, name: "Cash", value: 0, holders: [] };
+  const portfolios = books.map(({ portfolio, assets, cash = 0, contributed = 0 }) => {
+    let value = cash;
+    for (const a of assets) {
+      const v = (a.units || 0) * (a.price || 0);
+      value += v;
+      if (v <= 0) continue;
+      const row = byTicker.get(a.ticker) || { ticker: a.ticker, name: a.name, value: 0, holders: [] };
+      row.value += v;
+      row.holders.push({ id: portfolio.id, name: portfolio.name, value: v });
+      byTicker.set(a.ticker, row);
+    }
+    if (cash > 0) {
+      cashRow.value += cash;
+      cashRow.holders.push({ id: portfolio.id, name: portfolio.name, value: cash });
+    }
+    return { id: portfolio.id, name: portfolio.name, taxProfile: portfolio.taxProfile, value, cash, contributed };
+  });
+  if (cashRow.value > 0) byTicker.set(CASH_KEY, cashRow);
+  const netWorth = portfolios.reduce((s, p) => s + p.value, 0);
+  const share = v => (netWorth > 0 ? v / netWorth : 0);
+  return {
+    netWorth,
+    cash: portfolios.reduce((s, p) => s + p.cash, 0),
+    contributed: portfolios.reduce((s, p) => s + p.contributed, 0),
+    portfolios: portfolios.map(p => ({ ...p, weight: share(p.value) })),
+    allocation: [...byTicker.values()].map(r => ({ ...r, weight: share(r.value) })).sort((x, y) => y.value - x.value),
+  };
+}
@@ -0,0 +1,146 @@
+// Per-ticker price history: { [ticker]: [{ date: "YYYY-MM-DD", close }] },
+// each list sorted by date with at most one close per day.
+import { flowOf, unitDelta } from "@/lib/returns";
+import { headerKey, parseAmount, parseCSV, parseDay } from "@/lib/csv";
+
+// Add or replace the close for `date`, keeping the list sorted
+export function upsertPricePoint(history, ticker, date, close) {
+  const list = (history[ticker] || []).filter(p => p.date !== date);
+  list.push({ date, close });
+  list.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  return { ...history, [ticker]: list };
+}
+
+export function removePricePoint(history, ticker, date) {
+  return { ...history, [ticker]: (history[ticker] || []).filter(p => p.date !== date) };
+}
+
+export function renamePriceTicker(history, from, to) {
+  if (!history[from]) return history;
+  const { [from]: list, ...rest } = history;
+  return { ...rest, [to]: list };
+}
+
+// Flatten to { ticker, date, price } points for makePriceLookup
+export function historyPoints(history) {
+  return Object.entries(history).flatMap(([ticker, list]) =>
+    list.map(p => ({ ticker, date: `${p.date}T23:59:59.999Z`, price: p.close })));
+}
+
+// Header names accepted for each column of a price file
+const PRICE_COLUMNS = {
+  date: ["date", "tradedate", "pricedate"],
+  ticker: ["ticker", "code", "asxcode", "symbol"],
+  close: ["close", "closeprice", "last", "price"],
+};
+
+/**
+ * Read a `date,ticker,close` price file. A header row is optional and may
+ * order the columns any way; without one the columns are taken positionally.
+ * Every problem is reported against its line and the valid rows still come
+ * back, so the caller can show both before anything is saved.
+ */
+export function parsePriceCSV(text, tickers, today) {
+  const known = new Set(tickers);
+  const records = parseCSV(text);
+  const errors = [];
+  if (!records.length) return { rows: [], errors: ["The file is empty."] };
+
+  let cols = { date: 0, ticker: 1, close: 2 };
+  if (!parseDay(records[0].fields[0])) {
+    const keys = records.shift().fields.map(headerKey);
+    cols = {};
+    for (const [col, names] of Object.entries(PRICE_COLUMNS)) {
+      const i = keys.findIndex(k => names.includes(k));
+      if (i < 0) errors.push(`Header has no ${col} column.`);
+      cols[col] = i;
+    }
+    if (errors.length) return { rows: [], errors };
+  }
+
+  const rows = [];
+  const seen = new Map();
+  for (const { line, fields } of records) {
+    const date = parseDay(fields[cols.date] ?? "");
+    const ticker = (fields[cols.ticker] ?? "").toUpperCase();
+    const close = parseAmount(fields[cols.close] ?? "");
+    const problems = [];
+    if (!date) problems.push(`bad date "${fields[cols.date] ?? ""}"`);
+    else if (date > today) problems.push(`date ${date} is in the future`);
+    if (!ticker) problems.push("missing ticker");
+    else if (!known.has(ticker)) problems.push(`unknown ticker ${ticker}`);
+    if (!(close > 0)) problems.push(`bad close "${fields[cols.close] ?? ""}"`);
+    if (problems.length) {
+      errors.push(`Line ${line}: ${problems.join(", ")}.`);
+      continue;
+    }
+    const key = `${ticker}|${date}`;
+    const prev = seen.get(key);
+    if (prev) {
+      if (prev.close !== close) errors.push(`Line ${line}: ${ticker} already has a close of ${prev.close} on ${date} (line ${prev.line}).`);
+      continue;
+    }
+    const row = { line, date, ticker, close };
+    seen.set(key, row);
+    rows.push(row);
+  }
+  return { rows, errors };
+}
+
+/**
+ * What an import would do: each row against the close already saved for that
+ * day, and the lanes whose current price moves because the file holds a newer
+ * close than anything on record.
+ */
+export function priceImportPlan(history, rows) {
+  const changes = rows.map(r => {
+    const previous = (history[r.ticker] || []).find(p => p.date === r.date)?.close ?? null;
+    return { ...r, previous, status: previous == null ? "new" : previous === r.close ? "same" : "update" };
+  });
+  const newest = new Map();
+  for (const r of rows) if (!newest.has(r.ticker) || r.date > newest.get(r.ticker).date) newest.set(r.ticker, r);
+  const current = [...newest.values()].filter(r => {
+    const latest = (history[r.ticker] || []).at(-1);
+    return !latest || r.date >= latest.date;
+  });
+  return { changes, current };
+}
+
+/**
+ * Daily valuation points for a chart: one per day that has a trade or a
+ * recorded close, plus today. Each point carries the total market value,
+ * net contributions to date (buys less sells) and a value per ticker.
+ */
+export function valueSeries(transactions, tickers, priceAt, history = {}, end = new Date()) {
+  const set = new Set(tickers);
+  const rows = transactions
+    .filter(t => set.has(t.ticker))
+    .sort((x, y) => new Date(x.date) - new Date(y.date));
+  if (!rows.length) return [];
+
+  const first = rows[0].date.slice(0, 10);
+  const today = end.toISOString().slice(0, 10);
+  const days = new Set([today]);
+  for (const t of rows) days.add(t.date.slice(0, 10));
+  for (const tk of tickers) for (const p of history[tk] || []) if (p.date >= first && p.date <= today) days.add(p.date);
+
+  const units = new Map();
+  let contributions = 0;
+  let i = 0;
+  return [...days].sort().map(day => {
+    const close = new Date(`${day}T23:59:59.999Z`);
+    for (; i < rows.length && new Date(rows[i].date) <= close; i++) {
+      const t = rows[i];
+      units.set(t.ticker, (units.get(t.ticker) || 0) + unitDelta(t));
+      if (t.kind === "BUY" || t.kind === "SELL") contributions -= flowOf(t);
+    }
+    const at = day === today ? end : close;
+    const point = { date: day, contributions, value: 0 };
+    for (const tk of tickers) {
+      const v = Math.max(0, units.get(tk) || 0) * priceAt(tk, at);
+      point[tk] = v;
+      point.value += v;
+    }
+    return point;
+  });
+}
@@ -0,0 +1,152 @@
+// Where the current allocation and contribution rate might lead. The
+// portfolio starts at its target weights and is rebalanced back to them once
+// a year; the year's contribution goes in at the end of it and rises with
+// inflation, so it stays the same in today's dollars. Returns and volatility
+// are annual fractions, e.g. 0.07 and 0.15.
+//
+// deterministicPath compounds the expected returns; simulate draws yearly
+// lane returns as correlated lognormals with those means and volatilities and
+// reports percentiles of the portfolio value across runs. Both give nominal
+// dollars; deflate() turns them into today's.
+
+export const PERCENTILES = [10, 50, 90];
+
+/**
+ * Inputs that can't be projected, as messages. `lanes` are
+ * { ticker, weight, expectedReturn, volatility }; a single `correlation`
+ * applies to every pair of lanes, and must leave the matrix positive
+ * definite (no lower than −1/(n−1) for n lanes).
+ */
+export function projectionErrors({ start, lanes, years, contribution, inflation, correlation }) {
+  const errors = [];
+  if (!(start >= 0)) errors.push("Starting value must be zero or more.");
+  if (!lanes.length) errors.push("Add a lane with a target weight to project.");
+  if (!(Number.isInteger(years) && years >= 1 && years <= 60)) errors.push("Horizon must be a whole number of years from 1 to 60.");
+  if (!(contribution >= 0)) errors.push("Contributions must be zero or more.");
+  if (!(inflation > -1)) errors.push("Inflation must be above −100%.");
+  for (const l of lanes) {
+    if (!(l.expectedReturn > -1)) errors.push(`${l.ticker}: expected return must be above −100%.`);
+    if (!(l.volatility >= 0)) errors.push(`${l.ticker}: volatility must be zero or more.`);
+  }
+  const floor = lanes.length > 1 ? -1 / (lanes.length - 1) : -1;
+  if (!(correlation > floor && correlation <= 1)) errors.push(`Correlation must be above ${floor.toFixed(2)} and at most 1.`);
+  return errors;
+}
+
+// Nominal contribution at the end of year t: today's amount grown by inflation
+const contributionIn = ({ contribution, inflation }, t) => contribution * (1 + inflation) ** t;
+
+/**
+ * Year-by-year path at the expected returns: [{ year, value, contributed }],
+ * year 0 being today. `contributed` counts the starting value.
+ */
+export function deterministicPath(params) {
+  const { start, lanes, years } = params;
+  const growth = lanes.reduce((s, l) => s + l.weight * l.expectedReturn, 0);
+  const out = [{ year: 0, value: start, contributed: start }];
+  for (let t = 1; t <= years; t++) {
+    const prev = out[t - 1];
+    const added = contributionIn(params, t);
+    out.push({ year: t, value: prev.value * (1 + growth) + added, contributed: prev.contributed + added });
+  }
+  return out;
+}
+
+// Lower-triangular L with L·Lᵀ equal to the n×n matrix of ones on the
+// diagonal and `rho` elsewhere. Rho of 1 is nudged so the factor exists.
+export function choleskyEqui(n, rho) {
+  const r = Math.min(rho, 1 - 1e-9);
+  const L = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = i === j ? 1 : r;
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      L[i][j] = i === j ? Math.sqrt(Math.max(sum, 0)) : sum / L[j][j];
+    }
+  }
+  return L;
+}
+
+// Small seeded generator (mulberry32), so the same inputs draw the same runs
+function random(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal draws (Box–Muller)
+function normals(rand) {
+  let spare = null;
+  return () => {
+    if (spare !== null) {
+      const z = spare;
+      spare = null;
+      return z;
+    }
+    const u = 1 - rand();
+    const r = Math.sqrt(-2 * Math.log(u));
+    const theta = 2 * Math.PI * rand();
+    spare = r * Math.sin(theta);
+    return r * Math.cos(theta);
+  };
+}
+
+// Linear interpolation between the closest ranks of a sorted array
+function percentile(sorted, p) {
+  const at = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(at);
+  const hi = Math.min(lo + 1, sorted.length - 1);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (at - lo);
+}
+
+/**
+ * Monte Carlo bands: [{ year, p10, p50, p90 }] from year 0, over `runs`
+ * simulated paths. Each lane's yearly growth factor is lognormal with the
+ * lane's expected return as its mean and volatility as its standard
+ * deviation, so the median path sits below the deterministic one.
+ */
+export function simulate(params, { runs = 2000, seed = 1 } = {}) {
+  const { start, lanes, years, correlation } = params;
+  const n = lanes.length;
+  const L = choleskyEqui(n, correlation);
+  const shape = lanes.map(l => {
+    const s2 = Math.log(1 + (l.volatility / (1 + l.expectedReturn)) ** 2);
+    return { mu: Math.log(1 + l.expectedReturn) - s2 / 2, sigma: Math.sqrt(s2) };
+  });
+  const added = Array.from({ length: years + 1 }, (_, t) => contributionIn(params, t));
+  const byYear = Array.from({ length: years + 1 }, () => new Float64Array(runs));
+  const draw = normals(random(seed));
+  const z = new Array(n);
+
+  for (let run = 0; run < runs; run++) {
+    let value = start;
+    byYear[0][run] = value;
+    for (let t = 1; t <= years; t++) {
+      for (let i = 0; i < n; i++) z[i] = draw();
+      let growth = 0;
+      for (let i = 0; i < n; i++) {
+        let e = 0;
+        for (let k = 0; k <= i; k++) e += L[i][k] * z[k];
+        growth += lanes[i].weight * Math.exp(shape[i].mu + shape[i].sigma * e);
+      }
+      value = value * growth + added[t];
+      byYear[t][run] = value;
+    }
+  }
+
+  return byYear.map((values, year) => {
+    values.sort();
+    return { year, ...Object.fromEntries(PERCENTILES.map(p => [`p${p}`, percentile(values, p)])) };
+  });
+}
+
+// A year's nominal figures in today's dollars
+export function deflate(row, inflation) {
+  const f = (1 + inflation) ** row.year;
+  return Object.fromEntries(Object.entries(row).map(([k, v]) => [k, k === "year" ? v : v / f]));
+}
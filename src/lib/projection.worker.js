@@ -0,0 +1,8 @@
+// Runs the Monte Carlo off the main thread. Each reply echoes the request's
+// id so the view can drop answers to inputs that have since changed.
+import { simulate } from "@/lib/projection";
+
+self.onmessage = e => {
+  const { id, params, options } = e.data;
+  self.postMessage({ id, bands: simulate(params, options) });
+};
@@ -0,0 +1,272 @@
+// Planner maths: how new money is split across lanes, and what selling back
+// to target would cost in tax. Weights here are shares of the invested
+// holdings; cash stays out of them.
+import { disposalFigures, selectLots, yearsBetween } from "@/lib/ledger";
+
+export const SPLIT_MODES = [
+  { key: "target", label: "By target weight" },
+  { key: "underweight", label: "Underweight first (no selling)" },
+];
+
+const valueOf = a => (a.units || 0) * (a.price || 0);
+
+// Target weights of the funded lanes, scaled to add up to 1
+function normalisedWeights(lanes) {
+  const total = lanes.reduce((s, a) => s + (a.targetWeight || 0), 0);
+  return lanes.map(a => (total > 0 ? (a.targetWeight || 0) / total : 1 / lanes.length));
+}
+
+// Fill the lanes furthest below target first. Finds the level L where
+// Σ max(0, L·w − value) = budget, so every funded lane ends at the same share
+// of its target and no lane gets money while another is further behind. With
+// enough money every lane lands exactly on target.
+function underweightFirst(lanes, weights, budget) {
+  const need = level => lanes.reduce((s, a, i) => s + Math.max(0, level * weights[i] - valueOf(a)), 0);
+  let lo = 0;
+  let hi = lanes.reduce((s, a) => s + valueOf(a), 0) + budget;
+  while (need(hi) < budget) hi *= 2;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (need(mid) < budget) lo = mid;
+    else hi = mid;
+  }
+  const amounts = lanes.map((a, i) => Math.max(0, hi * weights[i] - valueOf(a)));
+  const sum = amounts.reduce((s, x) => s + x, 0);
+  return amounts.map(x => (sum > 0 ? x * (budget / sum) : 0));
+}
+
+/**
+ * Split `budget` across the active lanes of `assets` (retired lanes take no
+ * money but still count towards the current weights). Returns one row per
+ * active lane with the amount, estimated units (null without a price) and
+ * the lane's weight now and after the buys.
+ */
+export function planSplits(assets, budget, mode = "target") {
+  const lanes = assets.filter(a => !a.retired);
+  if (budget <= 0 || lanes.length === 0) return [];
+  const weights = normalisedWeights(lanes);
+  const amounts = mode === "underweight" ? underweightFirst(lanes, weights, budget) : weights.map(w => budget * w);
+  const holdings = assets.reduce((s, a) => s + valueOf(a), 0);
+  return lanes.map((a, i) => ({
+    ticker: a.ticker,
+    name: a.name,
+    weight: a.targetWeight,
+    price: a.price,
+    amount: amounts[i],
+    units: a.price > 0 ? amounts[i] / a.price : null,
+    currentWeight: holdings > 0 ? valueOf(a) / holdings : 0,
+    projectedWeight: (valueOf(a) + amounts[i]) / (holdings + budget),
+  }));
+}
+
+/**
+ * Turn a money split into orders the market will fill: whole units, a
+ * minimum parcel value (ASX: $500 for a first purchase; `minEveryOrder`
+ * applies it to top-ups too) and `brokerage` per order, all within `budget`.
+ *
+ * Orders are scored by how far each lane ends from its target value (target
+ * weight of holdings + budget) plus the cash left unspent, so a unit only
+ * gets bought if it moves something toward target. Starting from the
+ * rounded-down split, and from that split less each order in turn (saving
+ * its brokerage), units are added greedily and the best result kept.
+ *
+ * Returns { orders: [{ ticker, units, price, cost, brokerage }], spent,
+ * brokerage, remainder, rows } where rows carry each lane's projected weight
+ * and why it got nothing, if it didn't.
+ */
+export function sizeOrders(assets, budget, { mode = "target", brokerage = 0, minParcel = 0, minEveryOrder = false } = {}) {
+  const lanes = assets.filter(a => !a.retired && a.price > 0 && (a.targetWeight || 0) > 0);
+  const holdings = assets.reduce((s, a) => s + valueOf(a), 0);
+  const total = holdings + budget;
+  const weights = normalisedWeights(lanes);
+  const minUnits = lanes.map(a => (minEveryOrder || !(a.units > 0) ? Math.max(1, Math.ceil(minParcel / a.price - 1e-9)) : 1));
+
+  const spend = units => units.reduce((s, u, i) => s + (u > 0 ? u * lanes[i].price + brokerage : 0), 0);
+  const score = units => {
+    const drift = lanes.reduce((s, a, i) => s + Math.abs(valueOf(a) + units[i] * a.price - weights[i] * total), 0);
+    return drift + (budget - spend(units));
+  };
+
+  // Greedy top-up: the affordable step that lowers the score most, until none does
+  function fill(start) {
+    const units = [...start];
+    let current = score(units);
+    for (;;) {
+      const left = budget - spend(units);
+      let best = null;
+      lanes.forEach((a, i) => {
+        const gap = Math.floor((weights[i] * total - valueOf(a) - units[i] * a.price) / a.price);
+        const steps = units[i] > 0 ? [1, gap] : [Math.max(minUnits[i], gap)];
+        for (const step of steps) {
+          if (!(step >= 1) || (units[i] === 0 && step < minUnits[i])) continue;
+          if (step * a.price + (units[i] === 0 ? brokerage : 0) > left + 1e-9) continue;
+          const next = units.map((u, j) => (j === i ? u + step : u));
+          const s = score(next);
+          if (s < current - 1e-9 && (!best || s < best.s)) best = { next, s };
+        }
+      });
+      if (!best) return { units, s: current };
+      units.splice(0, units.length, ...best.next);
+      current = best.s;
+    }
+  }
+
+  if (budget <= 0 || lanes.length === 0) return { orders: [], spent: 0, brokerage: 0, remainder: Math.max(0, budget), rows: [] };
+
+  // Rounded-down split, dropping orders below the minimum, trimmed until it's affordable
+  const ideal = planSplits(lanes, Math.max(0, budget - brokerage * lanes.length), mode);
+  const base = ideal.map((r, i) => {
+    const u = Math.floor(r.amount / lanes[i].price + 1e-9);
+    return u >= minUnits[i] ? u : 0;
+  });
+  while (spend(base) > budget + 1e-9) {
+    const i = base.reduce((k, u, j) => (u > 0 && (k < 0 || u * lanes[j].price < base[k] * lanes[k].price) ? j : k), -1);
+    base[i] = 0;
+  }
+  const starts = [base, ...base.map((u, i) => (u > 0 ? base.map((v, j) => (j === i ? 0 : v)) : null)).filter(Boolean)];
+  const { units } = starts.map(fill).reduce((a, b) => (b.s < a.s - 1e-9 ? b : a));
+
+  const orders = lanes
+    .map((a, i) => ({ ticker: a.ticker, units: units[i], price: a.price, cost: units[i] * a.price, brokerage }))
+    .filter(o => o.units > 0);
+  const spent = orders.reduce((s, o) => s + o.cost, 0);
+  const fees = brokerage * orders.length;
+  const remainder = budget - spent - fees;
+  const after = holdings + spent;
+  const reason = (a, i) => {
+    if (units[i] > 0) return null;
+    if (valueOf(a) >= weights[i] * total) return "already at or above target";
+    if (minUnits[i] * a.price + brokerage > remainder + 1e-9) {
+      return minUnits[i] > 1 ? `no room for a ${minUnits[i]}-unit minimum parcel` : "no room for another order";
+    }
+    return "too small to be worth an order";
+  };
+  const rows = lanes.map((a, i) => ({
+    ticker: a.ticker,
+    units: units[i],
+    projectedWeight: after > 0 ? (valueOf(a) + units[i] * a.price) / after : 0,
+    reason: reason(a, i),
+  }));
+  return { orders, spent, brokerage: fees, remainder, rows };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date a parcel bought on `date` becomes eligible for the CGT discount
+// (held at least 12 months, the same test the replay uses)
+function discountDate(date) {
+  const d = new Date(date);
+  d.setTime(d.getTime() + 365.25 * DAY_MS);
+  return d;
+}
+
+// Losses against non-discountable gains first, then discountable, then the
+// discount on what's left (the FY summary's order). A net loss comes back
+// negative: tax it would save against other gains.
+function taxableGain({ discountableGain, otherGain, capitalLoss }, discountRate) {
+  const toOther = Math.min(capitalLoss, otherGain);
+  const toDiscountable = Math.min(capitalLoss - toOther, discountableGain);
+  const unused = capitalLoss - toOther - toDiscountable;
+  return (otherGain - toOther) + (discountableGain - toDiscountable) * (1 - discountRate) - unused;
+}
+
+/**
+ * Estimated CGT on selling `amount` of a lane today. Parcels are picked
+ * lowest-tax first (losses, then discount-eligible gains, then the rest) and
+ * each is flagged when it's a gain that turns 12 months old within
+ * `nearDays`, since waiting would cut its taxable gain by the discount.
+ * Gains and losses already realised this FY aren't counted.
+ */
+export function sellTaxEstimate(asset, amount, { discountRate = 0.5, taxRate = 0, saleDate = new Date(), nearDays = 60 } = {}) {
+  if (!asset?.price || amount <= 0) return null;
+  const units = Math.min(amount / asset.price, asset.units || 0);
+  const sel = selectLots(asset.lots || [], units, { method: "MIN_TAX", price: asset.price, saleDate, discountRate });
+  const f = disposalFigures(sel.consumed, { units, price: asset.price, saleDate, discountRate });
+  const parcels = sel.consumed.map(l => {
+    const gain = l.qty * (asset.price - (l.unitCost ?? l.price));
+    const eligible = yearsBetween(new Date(l.date), saleDate) >= 1;
+    const daysToDiscount = eligible ? 0 : Math.ceil((discountDate(l.date) - saleDate) / DAY_MS);
+    return {
+      txnId: l.txnId, date: l.date, qty: l.qty, gain, eligible, daysToDiscount,
+      nearDiscount: gain > 0 && !eligible && daysToDiscount <= nearDays,
+      waitSaving: gain > 0 && !eligible ? gain * discountRate * taxRate : 0,
+    };
+  });
+  const taxable = taxableGain(f, discountRate);
+  return {
+    units, proceeds: f.proceeds, gain: f.gain,
+    discountableGain: f.discountableGain, otherGain: f.otherGain, capitalLoss: f.capitalLoss,
+    taxable, tax: taxable * taxRate, parcels, near: parcels.filter(p => p.nearDiscount),
+  };
+}
+
+// Sell every lane above `ceiling(lane)` of holdings back down to it, then
+// spend the proceeds underweight-first. Tax and brokerage are left out of
+// the buys so the scenarios stay comparable.
+function sellDownTo(assets, ceiling, opts) {
+  const holdings = assets.reduce((s, a) => s + valueOf(a), 0);
+  const sells = assets
+    .map(a => ({ asset: a, amount: valueOf(a) - ceiling(a) * holdings }))
+    .filter(s => s.amount > 0.005)
+    .map(s => ({ ticker: s.asset.ticker, amount: s.amount, estimate: sellTaxEstimate(s.asset, s.amount, opts) }));
+  const proceeds = sells.reduce((s, x) => s + x.amount, 0);
+  const afterSells = assets.map(a => {
+    const sold = sells.find(s => s.ticker === a.ticker);
+    return sold ? { ...a, units: a.units - sold.amount / a.price } : a;
+  });
+  const buys = planSplits(afterSells, proceeds, "underweight").filter(r => r.amount > 0.005);
+  const after = afterSells.map(a => valueOf(a) + (buys.find(b => b.ticker === a.ticker)?.amount || 0));
+  return { sells, buys, proceeds, after };
+}
+
+function maxDrift(assets, values) {
+  const total = values.reduce((s, v) => s + v, 0);
+  return total > 0 ? Math.max(0, ...assets.map((a, i) => Math.abs(values[i] / total - (a.targetWeight || 0)))) : 0;
+}
+
+/**
+ * Three ways back toward target, side by side:
+ * - full: sell overweight lanes to target and buy the rest with the proceeds
+ * - partial: sell only down to the edge of each lane's band (`band(lane)`,
+ *   a weight fraction), so the mix ends inside the threshold
+ * - wait: sell nothing; the new money it would take to reach target (or to
+ *   get back inside the bands) by buying underweight lanes alone
+ * Each reports the sells with their tax estimates, total tax, the largest
+ * drift left afterwards, and the new money needed.
+ */
+export function rebalanceScenarios(assets, { band = () => 0, ...opts } = {}) {
+  const { discountRate = 0.5, taxRate = 0 } = opts;
+  const held = assets.filter(a => a.price > 0 && (valueOf(a) > 0 || (a.targetWeight || 0) > 0));
+  const holdings = held.reduce((s, a) => s + valueOf(a), 0);
+  const target = a => a.targetWeight || 0;
+  // Losses from one sale offset gains from another, so net the whole set
+  const netTax = sells => {
+    const sum = key => sells.reduce((s, x) => s + (x.estimate?.[key] || 0), 0);
+    return taxableGain({ discountableGain: sum("discountableGain"), otherGain: sum("otherGain"), capitalLoss: sum("capitalLoss") }, discountRate) * taxRate;
+  };
+  const scenario = (key, label, plan) => ({
+    key, label, sells: plan.sells, buys: plan.buys,
+    sold: plan.proceeds,
+    tax: netTax(plan.sells),
+    near: plan.sells.flatMap(x => (x.estimate?.near || []).map(p => ({ ticker: x.ticker, ...p }))),
+    drift: maxDrift(held, plan.after),
+    newMoney: 0,
+  });
+  // Without selling, the total must grow until no lane is over its ceiling
+  const needed = ceiling => Math.max(0, ...held.map(a => (ceiling(a) > 0 ? valueOf(a) / ceiling(a) : 0)).map(t => t - holdings));
+  const waitFor = ceiling => {
+    const newMoney = needed(ceiling);
+    const buys = planSplits(held, newMoney, "underweight").filter(r => r.amount > 0.005);
+    const after = held.map(a => valueOf(a) + (buys.find(b => b.ticker === a.ticker)?.amount || 0));
+    return { newMoney, buys, drift: maxDrift(held, after) };
+  };
+  const wait = waitFor(a => target(a) + band(a));
+  return [
+    scenario("full", "Full rebalance", sellDownTo(held, target, opts)),
+    scenario("partial", "Back inside the bands", sellDownTo(held, a => target(a) + band(a), opts)),
+    {
+      key: "wait", label: "Wait for contributions", sells: [], buys: wait.buys, sold: 0, tax: 0, near: [],
+      drift: wait.drift, newMoney: wait.newMoney, newMoneyToTarget: needed(target),
+    },
+  ];
+}
@@ -0,0 +1,113 @@
+// When drift is worth acting on, per portfolio: drift bands (absolute
+// points and/or relative to the lane's target, with per-lane overrides), an
+// optional review calendar, and a history of each time a trigger fired.
+//
+// Dates here are local calendar dates, YYYY-MM-DD.
+
+export const CALENDARS = [
+  { key: "none", label: "No calendar" },
+  { key: "quarterly", label: "Quarterly" },
+  { key: "annual", label: "Annual" },
+];
+
+export const TRIGGERS = { bands: "Drift outside bands", calendar: "Calendar review" };
+
+// 5/25: act when a lane drifts 5 points, or a quarter of its own target,
+// whichever comes first. null switches a band off.
+export function defaultPolicy() {
+  return { absolutePct: 5, relativePct: 25, bands: {}, calendar: "none", reviewMonth: 7, lastReview: null, taxRatePct: null, history: [] };
+}
+
+/**
+ * A lane's band as a weight fraction: the tighter of its absolute and
+ * relative limits, the lane's own overrides taking precedence. Infinity when
+ * neither is set, i.e. the lane never triggers.
+ */
+export function laneBand(policy, lane) {
+  const own = policy.bands[lane.ticker] || {};
+  const absolutePct = own.absolutePct ?? policy.absolutePct;
+  const relativePct = own.relativePct ?? policy.relativePct;
+  return Math.min(
+    absolutePct != null ? absolutePct / 100 : Infinity,
+    relativePct != null ? (relativePct / 100) * (lane.targetWeight || 0) : Infinity,
+  );
+}
+
+/**
+ * Lanes whose share of holdings sits outside their band, furthest out first.
+ * Retired lanes count while they still hold units.
+ */
+export function bandBreaches(assets, policy) {
+  const holdings = assets.reduce((s, a) => s + (a.units || 0) * (a.price || 0), 0);
+  if (holdings <= 0) return [];
+  return assets
+    .filter(a => !a.retired || a.units > 0)
+    .map(a => {
+      const weight = ((a.units || 0) * (a.price || 0)) / holdings;
+      return { ticker: a.ticker, weight, target: a.targetWeight || 0, drift: weight - (a.targetWeight || 0), band: laneBand(policy, a) };
+    })
+    .filter(b => Math.abs(b.drift) > b.band + 1e-9)
+    .sort((x, y) => Math.abs(y.drift) - Math.abs(x.drift));
+}
+
+/**
+ * First review date after `after`: the 1st of `reviewMonth` each year, or of
+ * every third month counting from it. null without a calendar.
+ */
+export function nextReview(policy, after) {
+  if (policy.calendar === "none") return null;
+  const step = policy.calendar === "quarterly" ? 3 : 12;
+  let [year, month] = after.split("-").map(Number);
+  for (let i = 0; i <= 12; i++) {
+    const date = `${year}-${String(month).padStart(2, "0")}-01`;
+    if (date > after && (((month - policy.reviewMonth) % step) + step) % step === 0) return date;
+    if (++month > 12) { month = 1; year++; }
+  }
+  return null;
+}
+
+export function reviewDue(policy, today) {
+  const next = policy.lastReview ? nextReview(policy, policy.lastReview) : null;
+  return next != null && next <= today;
+}
+
+// Trades booked on or after `date`: what was done once a trigger fired
+function tradesSince(transactions, date) {
+  return transactions.filter(t => (t.kind === "BUY" || t.kind === "SELL") && t.date.slice(0, 10) >= date).length;
+}
+
+function outcome(action, trades) {
+  return trades > 0 ? `${action}, ${trades} trade${trades === 1 ? "" : "s"} since` : `${action}, no trades`;
+}
+
+/**
+ * Bring the history up to date with the portfolio as it stands. A band
+ * trigger opens when a lane leaves its band and closes itself once every lane
+ * is back inside; a calendar trigger opens when a review date passes and
+ * closes when the review is marked done (markReviewed). Returns `policy`
+ * itself when nothing changed.
+ */
+export function updateHistory(policy, { breaches, transactions, today }) {
+  let history = policy.history;
+  const open = trigger => history.find(h => h.trigger === trigger && !h.closedOn);
+  const fire = trigger => {
+    const lanes = breaches.map(b => ({ ticker: b.ticker, drift: b.drift, band: b.band }));
+    history = [{ id: crypto.randomUUID(), trigger, firedOn: today, lanes, note: "", closedOn: null, outcome: null }, ...history];
+  };
+  const bands = open("bands");
+  if (breaches.length > 0 && !bands) fire("bands");
+  else if (breaches.length === 0 && bands) {
+    const closed = { ...bands, closedOn: today, outcome: outcome("Back inside bands", tradesSince(transactions, bands.firedOn)) };
+    history = history.map(h => (h === bands ? closed : h));
+  }
+  if (reviewDue(policy, today) && !open("calendar")) fire("calendar");
+  return history === policy.history ? policy : { ...policy, history };
+}
+
+// Close the open calendar trigger and start counting to the next review
+export function markReviewed(policy, { transactions, today }) {
+  const history = policy.history.map(h => (h.trigger === "calendar" && !h.closedOn
+    ? { ...h, closedOn: today, outcome: outcome("Reviewed", tradesSince(transactions, h.firedOn)) }
+    : h));
+  return { ...policy, lastReview: today, history };
+}
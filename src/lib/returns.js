@@ -0,0 +1,179 @@
+// Money-weighted (XIRR) and time-weighted returns from the dated ledger.
+//
+// Flows are from the investor's side: buys are money in (negative), sells
+// and cash distributions money out (positive). DRP and AMIT rows move no
+// cash and only show up through units and value.
+import { fyOf } from "@/lib/cgt";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365.25;
+
+export const RETURN_PERIODS = [
+  { key: "1Y", label: "1Y" },
+  { key: "3Y", label: "3Y" },
+  { key: "ITD", label: "Since inception" },
+  { key: "FYTD", label: "FY to date" },
+];
+
+// Period start for `key`, or null for since-inception
+export function periodStart(key, now = new Date()) {
+  if (key === "1Y" || key === "3Y") {
+    const d = new Date(now);
+    d.setUTCFullYear(d.getUTCFullYear() - (key === "1Y" ? 1 : 3));
+    return d;
+  }
+  if (key === "FYTD") return new Date(`${fyOf(now)}-07-01T00:00:00.000Z`);
+  return null;
+}
+
+/**
+ * Annualised internal rate of return for irregular flows
+ * ([{ date: Date, amount }]). Newton's method, falling back to bisection.
+ * Returns null when there's no sign change to solve for.
+ */
+export function xirr(flows) {
+  const fs = flows.filter(f => f.amount !== 0);
+  if (!fs.some(f => f.amount < 0) || !fs.some(f => f.amount > 0)) return null;
+  const t0 = Math.min(...fs.map(f => f.date.getTime()));
+  const yrs = fs.map(f => (f.date.getTime() - t0) / DAY_MS / YEAR_DAYS);
+  const npv = r => fs.reduce((s, f, i) => s + f.amount / Math.pow(1 + r, yrs[i]), 0);
+  const dnpv = r => fs.reduce((s, f, i) => s - yrs[i] * f.amount / Math.pow(1 + r, yrs[i] + 1), 0);
+
+  let r = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const d = dnpv(r);
+    if (!Number.isFinite(d) || d === 0) break;
+    const next = r - npv(r) / d;
+    if (!Number.isFinite(next) || next <= -1) break;
+    if (Math.abs(next - r) < 1e-9) return next;
+    r = next;
+  }
+
+  let lo = -0.9999, hi = 10;
+  if (npv(lo) * npv(hi) > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    if (npv(lo) * npv(mid) <= 0) hi = mid; else lo = mid;
+    if (hi - lo < 1e-9) break;
+  }
+  return (lo + hi) / 2;
+}
+
+// Investor-side cash flow of one ledger row (0 for rows that move no cash),
+// in AUD: replayed rows in foreign lanes carry the rate they used
+export function flowOf(t) {
+  const fx = Number(t.fxUsed) || 1;
+  const units = Number(t.units) || 0;
+  const price = (Number(t.price) || 0) * fx;
+  const brokerage = (Number(t.brokerage) || 0) * fx;
+  if (t.kind === "BUY") return -(units * price + brokerage);
+  if (t.kind === "SELL") return units * price - brokerage;
+  if (t.kind === "DIST") return Number(t.amount) || 0;
+  return 0;
+}
+
+// Units a ledger row adds to (or takes from) its lane
+export function unitDelta(t) {
+  const units = Number(t.units) || 0;
+  if (t.kind === "BUY" || t.kind === "DRP") return units;
+  if (t.kind === "SELL") return -units;
+  return 0;
+}
+
+/**
+ * Price lookup by date built from every priced ledger row plus each lane's
+ * current price (taken as "now"). Extra dated points ({ ticker, date, price })
+ * can be passed in; the latest point on or before the date wins. Prices are
+ * AUD, so extra points in a foreign lane must come converted.
+ */
+export function makePriceLookup(transactions, assets, extraPoints = []) {
+  const series = new Map();
+  const add = (ticker, date, price) => {
+    if (!(price > 0)) return;
+    if (!series.has(ticker)) series.set(ticker, []);
+    series.get(ticker).push({ t: new Date(date).getTime(), price });
+  };
+  for (const t of transactions) if (t.kind === "BUY" || t.kind === "SELL" || t.kind === "DRP") add(t.ticker, t.date, Number(t.price) * (Number(t.fxUsed) || 1));
+  for (const p of extraPoints) add(p.ticker, p.date, Number(p.price));
+  const now = Date.now();
+  for (const a of assets) add(a.ticker, now, a.price);
+  for (const pts of series.values()) pts.sort((x, y) => x.t - y.t);
+
+  return (ticker, date) => {
+    const pts = series.get(ticker);
+    if (!pts) return 0;
+    const t = new Date(date).getTime();
+    let price = 0;
+    for (const p of pts) {
+      if (p.t > t) break;
+      price = p.price;
+    }
+    return price || pts[0].price;
+  };
+}
+
+// Market value at `date` prices of the units built up by `rows`
+function holdingsValue(rows, tickers, priceAt, date) {
+  const units = new Map();
+  for (const t of rows) units.set(t.ticker, (units.get(t.ticker) || 0) + unitDelta(t));
+  return tickers.reduce((s, tk) => s + Math.max(0, units.get(tk) || 0) * priceAt(tk, date), 0);
+}
+
+/**
+ * XIRR and TWR for a set of lanes between `start` (null = inception) and
+ * `end`. TWR is chained across sub-periods split at every cash flow; it is
+ * annualised once the period runs past a year.
+ */
+export function periodReturns(transactions, tickers, priceAt, { start = null, end = new Date() } = {}) {
+  const set = new Set(tickers);
+  const rows = transactions
+    .filter(t => set.has(t.ticker) && new Date(t.date) <= end)
+    .sort((x, y) => new Date(x.date) - new Date(y.date));
+  if (!rows.length) return null;
+
+  const inception = new Date(rows[0].date);
+  const opening = !!start && start > inception;
+  const from = opening ? start : inception;
+  const startValue = opening ? holdingsValue(rows.filter(t => new Date(t.date) <= from), tickers, priceAt, from) : 0;
+  const endValue = holdingsValue(rows, tickers, priceAt, end);
+  const periodRows = opening ? rows.filter(t => new Date(t.date) > from) : rows;
+
+  // Money-weighted: opening value goes in, closing value comes out
+  const flows = [];
+  if (startValue > 0) flows.push({ date: from, amount: -startValue });
+  for (const t of periodRows) {
+    const f = flowOf(t);
+    if (f) flows.push({ date: new Date(t.date), amount: f });
+  }
+  const netContributions = -flows.slice(startValue > 0 ? 1 : 0).reduce((s, f) => s + f.amount, 0);
+  if (endValue > 0) flows.push({ date: end, amount: endValue });
+
+  // Time-weighted: revalue just before every flow and chain the growth
+  // between them. A distribution was part of the value it was paid out of.
+  let growth = 1;
+  let base = startValue;
+  for (const t of periodRows) {
+    const f = flowOf(t);
+    if (!f) continue;
+    const d = new Date(t.date);
+    const i = rows.indexOf(t);
+    const before = holdingsValue(rows.slice(0, i), tickers, priceAt, d) + (t.kind === "DIST" ? f : 0);
+    if (base > 0) growth *= before / base;
+    // a full exit leaves nothing to grow, whatever brokerage did to the flow
+    base = holdingsValue(rows.slice(0, i + 1), tickers, priceAt, d) > 0 ? before - f : 0;
+  }
+  if (base > 0) growth *= endValue / base;
+
+  const years = (end - from) / DAY_MS / YEAR_DAYS;
+  const twr = growth - 1;
+  return {
+    from,
+    startValue,
+    endValue,
+    netContributions,
+    xirr: xirr(flows),
+    twr,
+    twrAnnualised: years > 1 ? Math.pow(1 + twr, 1 / years) - 1 : null,
+    years,
+  };
+}
@@ -0,0 +1,114 @@
+// Recurring contribution plans (dollar-cost averaging). A plan says how much
+// goes in, how often, between which dates and how it's split; its `events`
+// record what happened to each due date, so skipped and late contributions
+// can be counted against the plan.
+//
+// Dates here are local calendar dates, YYYY-MM-DD.
+
+export const FREQUENCIES = [
+  { key: "weekly", label: "Weekly", days: 7, perYear: 52 },
+  { key: "fortnightly", label: "Fortnightly", days: 14, perYear: 26 },
+  { key: "monthly", label: "Monthly", months: 1, perYear: 12 },
+  { key: "quarterly", label: "Quarterly", months: 3, perYear: 4 },
+];
+
+// Done more than this many days after the due date counts as late
+export const GRACE_DAYS = 3;
+
+export function newPlan({ name, amount, frequency = "monthly", start, end = null, rule = "target" }) {
+  return { id: crypto.randomUUID(), name, amount, frequency, start, end, rule, events: [] };
+}
+
+const pad = n => String(n).padStart(2, "0");
+const day = d => `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+const utc = s => new Date(`${s}T00:00:00Z`);
+
+export function daysBetween(from, to) {
+  return Math.round((utc(to) - utc(from)) / 86400000);
+}
+
+// The n-th due date. Monthly plans keep the start's day of month, falling
+// back to the month's last day (a plan started on the 31st pays on 30 April).
+function nthDue(plan, n) {
+  const f = FREQUENCIES.find(x => x.key === plan.frequency) || FREQUENCIES[2];
+  const start = utc(plan.start);
+  if (f.days) return day(new Date(start.getTime() + n * f.days * 86400000));
+  const months = start.getUTCMonth() + n * f.months;
+  const year = start.getUTCFullYear() + Math.floor(months / 12);
+  const month = ((months % 12) + 12) % 12;
+  const last = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return `${year}-${pad(month + 1)}-${pad(Math.min(start.getUTCDate(), last))}`;
+}
+
+// Due dates from the start up to `until` (and the plan's end), in order
+export function dueDates(plan, until) {
+  const out = [];
+  const stop = plan.end && plan.end < until ? plan.end : until;
+  for (let n = 0; ; n++) {
+    const due = nthDue(plan, n);
+    if (due > stop) return out;
+    out.push(due);
+  }
+}
+
+export function nextDue(plan, after) {
+  for (let n = 0; ; n++) {
+    const due = nthDue(plan, n);
+    if (plan.end && due > plan.end) return null;
+    if (due > after) return due;
+  }
+}
+
+/**
+ * Each due date up to `today` with what became of it: "done" (with `late`
+ * when booked after the grace days), "skipped", or, when nothing was
+ * recorded, "due" (today) or "overdue". Also counts of each, and the next
+ * date still to come that hasn't already been dealt with.
+ */
+export function planStatus(plan, today) {
+  const events = new Map(plan.events.map(e => [e.due, e]));
+  const occurrences = dueDates(plan, today).map(due => {
+    const e = events.get(due);
+    if (!e) return { due, status: due < today ? "overdue" : "due", late: false };
+    return { due, status: e.status, on: e.on, note: e.note, late: e.status === "done" && daysBetween(due, e.on) > GRACE_DAYS };
+  });
+  const count = pred => occurrences.filter(pred).length;
+  let next = nextDue(plan, today);
+  while (next && events.has(next)) next = nextDue(plan, next);
+  return {
+    occurrences,
+    done: count(o => o.status === "done"),
+    late: count(o => o.late),
+    skipped: count(o => o.status === "skipped"),
+    overdue: count(o => o.status === "overdue"),
+    next,
+  };
+}
+
+/**
+ * Contributions needing attention across plans, oldest first: every date due
+ * or overdue plus anything falling due within `days`.
+ */
+export function dueContributions(plans, today, days = 14) {
+  const horizon = day(new Date(utc(today).getTime() + days * 86400000));
+  return plans
+    .flatMap(plan => {
+      const status = planStatus(plan, today);
+      const open = status.occurrences.filter(o => o.status === "due" || o.status === "overdue").map(o => ({ plan, due: o.due, status: o.status }));
+      const soon = status.next && status.next <= horizon ? [{ plan, due: status.next, status: "upcoming" }] : [];
+      return [...open, ...soon];
+    })
+    .sort((x, y) => x.due.localeCompare(y.due));
+}
+
+// Record what happened to one due date; a later record replaces an earlier one
+export function recordContribution(plan, due, { status, on, note = "" }) {
+  return { ...plan, events: [...plan.events.filter(e => e.due !== due), { due, status, on, note }].sort((x, y) => x.due.localeCompare(y.due)) };
+}
+
+// What the plans still running on `today` put in over a year
+export function yearlyContribution(plans, today) {
+  return plans
+    .filter(p => !p.end || p.end >= today)
+    .reduce((s, p) => s + p.amount * (FREQUENCIES.find(f => f.key === p.frequency) || FREQUENCIES[2]).perYear, 0);
+}
@@ -0,0 +1,312 @@
+// Saved/exported data shape, its version history and strict validation.
+//
+//   v1  { assets }                     positions only: units and lots on each asset
+//   v2  { assets, transactions }       rows typed by a lowercase `type`, no ids
+//   v3  { assets, transactions, priceHistory? }   rows carry `kind`; ids optional
+//   v4  { schemaVersion: 4, assets, transactions, priceHistory }
+//   v5  { schemaVersion: 5, portfolios: [{ id, name, taxProfile, assets, transactions }], priceHistory }
+//   v6  as v5, each portfolio with a `rebalance` policy (bands, calendar, history)
+//   v7  as v6, each portfolio with contribution `plans` (recurring amounts and what became of each)
+//   v8  as v7 plus `fxRates` by currency and date; each lane has a trading `currency`
+//
+// Only v4 and later carry a version field. Older data is identified by the
+// storage key it was found under, or failing that by its shape.
+import { CURRENCIES, makeFxLookup } from "@/lib/fx";
+import { CASH_KINDS, laneConfig, LOT_METHODS, replayLedger } from "@/lib/ledger";
+import { TAX_PROFILES, taxProfile } from "@/lib/portfolios";
+import { CALENDARS, defaultPolicy, TRIGGERS } from "@/lib/rebalancePolicy";
+import { FREQUENCIES } from "@/lib/schedules";
+import { SPLIT_MODES } from "@/lib/rebalance";
+
+export const SCHEMA_VERSION = 8;
+
+// localStorage keys used by earlier releases, newest first
+export const LEGACY_KEYS = [
+  { key: "street_smart_wealth_tracker_v2", version: 2 },
+  { key: "street_smart_wealth_tracker_v1", version: 1 },
+];
+
+const KINDS = ["BUY", "SELL", "DIST", "DRP", "AMIT", ...CASH_KINDS];
+const EPS = 1e-6;
+
+// Which version an unversioned payload looks like
+export function detectVersion(data) {
+  if (Number.isInteger(data?.schemaVersion)) return data.schemaVersion;
+  if (!Array.isArray(data?.transactions)) return 1;
+  return data.transactions.some(t => t && t.type && !t.kind) ? 2 : 3;
+}
+
+const MIGRATIONS = {
+  // Positions only: each open lot becomes an opening BUY so the ledger can
+  // rebuild it; units not covered by lots are booked at average cost.
+  1: data => {
+    const transactions = [];
+    for (const a of Array.isArray(data.assets) ? data.assets : []) {
+      if (!a || typeof a !== "object") continue;
+      const lots = Array.isArray(a.lots) ? a.lots : [];
+      for (const l of lots) {
+        transactions.push({ kind: "BUY", ticker: a.ticker, units: Number(l?.qty) || 0, price: Number(l?.price) || 0, date: l?.date || a.firstContribution });
+      }
+      const loose = (Number(a.units) || 0) - lots.reduce((s, l) => s + (Number(l?.qty) || 0), 0);
+      if (loose > EPS) {
+        const price = a.invested > 0 && a.units > 0 ? a.invested / a.units : Number(a.price) || 0;
+        transactions.push({ kind: "BUY", ticker: a.ticker, units: loose, price, date: a.firstContribution || new Date().toISOString() });
+      }
+    }
+    return { assets: data.assets, transactions };
+  },
+  // `type: "buy"` -> `kind: "BUY"`
+  2: data => ({
+    ...data,
+    transactions: Array.isArray(data.transactions)
+      ? data.transactions.map(t => {
+        if (!t || typeof t !== "object") return t;
+        const { type, ...rest } = t;
+        return { ...rest, kind: rest.kind || String(type || "").toUpperCase() };
+      })
+      : data.transactions,
+  }),
+  // Versioned envelope; every row gets an id (the replay keys on them)
+  3: data => ({
+    schemaVersion: 4,
+    assets: data.assets,
+    transactions: Array.isArray(data.transactions)
+      ? data.transactions.map(t => (t && typeof t === "object" && !t.id ? { id: crypto.randomUUID(), ...t } : t))
+      : data.transactions ?? [],
+    priceHistory: data.priceHistory && typeof data.priceHistory === "object" ? data.priceHistory : {},
+  }),
+  // Everything so far was one household-wide portfolio
+  4: data => ({
+    schemaVersion: 5,
+    portfolios: [{ id: crypto.randomUUID(), name: "Personal", taxProfile: "individual", assets: data.assets, transactions: data.transactions }],
+    priceHistory: data.priceHistory,
+  }),
+  // Rebalance settings used to live in the session only; start from the defaults
+  5: data => ({
+    ...data,
+    schemaVersion: 6,
+    portfolios: Array.isArray(data.portfolios)
+      ? data.portfolios.map(p => (p && typeof p === "object" ? { ...p, rebalance: defaultPolicy() } : p))
+      : data.portfolios,
+  }),
+  // No contribution plans before v7
+  6: data => ({
+    ...data,
+    schemaVersion: 7,
+    portfolios: Array.isArray(data.portfolios)
+      ? data.portfolios.map(p => (p && typeof p === "object" ? { ...p, plans: [] } : p))
+      : data.portfolios,
+  }),
+  // Every price so far was in Australian dollars
+  7: data => ({
+    ...data,
+    schemaVersion: 8,
+    portfolios: Array.isArray(data.portfolios)
+      ? data.portfolios.map(p => (p && typeof p === "object" && Array.isArray(p.assets)
+        ? { ...p, assets: p.assets.map(a => (a && typeof a === "object" ? { ...a, currency: "AUD" } : a)) }
+        : p))
+      : data.portfolios,
+    fxRates: {},
+  }),
+};
+
+/**
+ * Upgrade any known shape to the current schema. `from` overrides detection
+ * (e.g. when the storage key says which release wrote it). Throws for data
+ * newer than this build understands.
+ */
+export function migrate(data, from = detectVersion(data)) {
+  if (from > SCHEMA_VERSION) throw new Error(`Saved with a newer version of the app (schema v${from}); update to open it.`);
+  if (!(from >= 1)) throw new Error(`Unrecognised schema version ${JSON.stringify(from)}.`);
+  let out = data;
+  for (let v = from; v < SCHEMA_VERSION; v++) out = MIGRATIONS[v](out);
+  return out;
+}
+
+// Current-schema payload for storage and backups
+export function snapshot({ portfolios, priceHistory, fxRates }) {
+  return { schemaVersion: SCHEMA_VERSION, portfolios, priceHistory, fxRates };
+}
+
+const isNum = v => typeof v === "number" && Number.isFinite(v);
+const isDate = v => typeof v === "string" && !Number.isNaN(new Date(v).getTime());
+const isDay = v => typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v);
+const isPct = v => v === null || (isNum(v) && v >= 0);
+
+function policyErrors(r, label) {
+  const where = `${label}, rebalance`;
+  if (!r || typeof r !== "object" || Array.isArray(r)) return [`${where}: must be an object.`];
+  const errors = [];
+  if (!isPct(r.absolutePct)) errors.push(`${where}: absolutePct must be a number ≥ 0 or null.`);
+  if (!isPct(r.relativePct)) errors.push(`${where}: relativePct must be a number ≥ 0 or null.`);
+  if (!isPct(r.taxRatePct)) errors.push(`${where}: taxRatePct must be a number ≥ 0 or null.`);
+  if (!CALENDARS.some(c => c.key === r.calendar)) errors.push(`${where}: unknown calendar ${JSON.stringify(r.calendar)}.`);
+  if (!Number.isInteger(r.reviewMonth) || r.reviewMonth < 1 || r.reviewMonth > 12) errors.push(`${where}: reviewMonth must be 1 to 12.`);
+  if (r.lastReview !== null && !isDay(r.lastReview)) errors.push(`${where}: lastReview must be YYYY-MM-DD or null.`);
+  if (!r.bands || typeof r.bands !== "object" || Array.isArray(r.bands)) errors.push(`${where}: bands must be an object keyed by ticker.`);
+  else {
+    for (const [ticker, b] of Object.entries(r.bands)) {
+      if (!isPct(b?.absolutePct ?? null) || !isPct(b?.relativePct ?? null)) errors.push(`${where}, band ${ticker}: limits must be numbers ≥ 0 or null.`);
+    }
+  }
+  if (!Array.isArray(r.history)) errors.push(`${where}: history must be a list.`);
+  else {
+    r.history.forEach((h, i) => {
+      if (!(h?.trigger in TRIGGERS)) errors.push(`${where}, history ${i + 1}: unknown trigger ${JSON.stringify(h?.trigger)}.`);
+      if (!isDay(h?.firedOn)) errors.push(`${where}, history ${i + 1}: firedOn must be YYYY-MM-DD.`);
+      if (h?.closedOn != null && !isDay(h.closedOn)) errors.push(`${where}, history ${i + 1}: closedOn must be YYYY-MM-DD.`);
+    });
+  }
+  return errors;
+}
+
+function planErrors(plans, label) {
+  if (!Array.isArray(plans)) return [`${label}: plans must be a list.`];
+  const errors = [];
+  plans.forEach((plan, i) => {
+    const where = `${label}, plan ${i + 1}${typeof plan?.name === "string" && plan.name ? ` (${plan.name})` : ""}`;
+    if (!plan || typeof plan !== "object") return errors.push(`${where}: not an object.`);
+    if (typeof plan.id !== "string" || !plan.id) errors.push(`${where}: id is missing.`);
+    if (!isNum(plan.amount) || plan.amount <= 0) errors.push(`${where}: amount must be a number > 0.`);
+    if (!FREQUENCIES.some(f => f.key === plan.frequency)) errors.push(`${where}: unknown frequency ${JSON.stringify(plan.frequency)}.`);
+    if (!isDay(plan.start)) errors.push(`${where}: start must be YYYY-MM-DD.`);
+    if (plan.end !== null && !isDay(plan.end)) errors.push(`${where}: end must be YYYY-MM-DD or null.`);
+    if (!SPLIT_MODES.some(m => m.key === plan.rule)) errors.push(`${where}: unknown rule ${JSON.stringify(plan.rule)}.`);
+    if (!Array.isArray(plan.events)) errors.push(`${where}: events must be a list.`);
+    else {
+      plan.events.forEach((e, j) => {
+        if (!isDay(e?.due) || !isDay(e?.on)) errors.push(`${where}, event ${j + 1}: due and on must be YYYY-MM-DD.`);
+        if (e?.status !== "done" && e?.status !== "skipped") errors.push(`${where}, event ${j + 1}: status must be done or skipped.`);
+      });
+    }
+  });
+  return errors;
+}
+
+// Field checks for one portfolio's lanes and log; `ids` spans all portfolios
+function portfolioErrors(p, label, ids) {
+  const errors = [];
+  if (typeof p.id !== "string" || !p.id) errors.push(`${label}: id is missing.`);
+  if (typeof p.name !== "string" || !p.name.trim()) errors.push(`${label}: name is missing.`);
+  if (!TAX_PROFILES.some(t => t.key === p.taxProfile)) errors.push(`${label}: unknown taxProfile ${JSON.stringify(p.taxProfile)}.`);
+  errors.push(...policyErrors(p.rebalance, label));
+  errors.push(...planErrors(p.plans, label));
+  if (!Array.isArray(p.assets)) errors.push(`${label}: assets must be a list.`);
+  if (!Array.isArray(p.transactions)) errors.push(`${label}: transactions must be a list.`);
+  if (errors.some(e => e.endsWith("list."))) return errors;
+
+  const tickers = new Set();
+  p.assets.forEach((a, i) => {
+    const where = `${label}, asset ${i + 1}${a?.ticker ? ` (${a.ticker})` : ""}`;
+    if (!a || typeof a !== "object") return errors.push(`${where}: not an object.`);
+    if (typeof a.ticker !== "string" || !a.ticker.trim()) errors.push(`${where}: ticker is missing.`);
+    else if (tickers.has(a.ticker)) errors.push(`${where}: duplicate ticker.`);
+    tickers.add(a.ticker);
+    if (!isNum(a.targetWeight) || a.targetWeight < 0 || a.targetWeight > 1) errors.push(`${where}: targetWeight must be a number from 0 to 1.`);
+    if (a.price != null && (!isNum(a.price) || a.price < 0)) errors.push(`${where}: price must be a number ≥ 0.`);
+    if (a.name != null && typeof a.name !== "string") errors.push(`${where}: name must be text.`);
+    if (!CURRENCIES.includes(a.currency)) errors.push(`${where}: unknown currency ${JSON.stringify(a.currency)}.`);
+    if (a.units != null && (!isNum(a.units) || a.units < 0)) errors.push(`${where}: units must be a number ≥ 0.`);
+    if (a.lots != null) {
+      if (!Array.isArray(a.lots)) errors.push(`${where}: lots must be a list.`);
+      else {
+        a.lots.forEach((l, j) => {
+          if (!isNum(l?.qty) || l.qty <= 0) errors.push(`${where}, lot ${j + 1}: qty must be a number > 0.`);
+          if (!isNum(l?.price) || l.price < 0) errors.push(`${where}, lot ${j + 1}: price must be a number ≥ 0.`);
+          if (!isDate(l?.date)) errors.push(`${where}, lot ${j + 1}: date is missing or invalid.`);
+        });
+        const lotUnits = a.lots.reduce((s, l) => s + (Number(l?.qty) || 0), 0);
+        if (isNum(a.units) && Math.abs(lotUnits - a.units) > EPS) errors.push(`${where}: lots hold ${+lotUnits.toFixed(6)} units but units is ${a.units}.`);
+      }
+    }
+  });
+
+  p.transactions.forEach((t, i) => {
+    const where = `${label}, transaction ${i + 1}${t?.kind ? ` (${[t.kind, t.ticker].filter(Boolean).join(" ")})` : ""}`;
+    if (!t || typeof t !== "object") return errors.push(`${where}: not an object.`);
+    if (typeof t.id !== "string" || !t.id) errors.push(`${where}: id is missing.`);
+    else if (ids.has(t.id)) errors.push(`${where}: duplicate id ${t.id}.`);
+    ids.add(t.id);
+    if (!KINDS.includes(t.kind)) errors.push(`${where}: unknown kind ${JSON.stringify(t.kind)}.`);
+    if (CASH_KINDS.includes(t.kind)) {
+      if (!isNum(t.amount) || t.amount <= 0) errors.push(`${where}: amount must be a number > 0.`);
+    } else if (!tickers.has(t.ticker)) errors.push(`${where}: ticker ${JSON.stringify(t.ticker)} isn't one of the assets.`);
+    if (!isDate(t.date)) errors.push(`${where}: date is missing or invalid.`);
+    if (t.settleDate != null && !isDate(t.settleDate)) errors.push(`${where}: settleDate is invalid.`);
+    if (["BUY", "SELL", "DRP"].includes(t.kind)) {
+      if (!isNum(t.units) || t.units <= 0) errors.push(`${where}: units must be a number > 0.`);
+      if (!isNum(t.price) || t.price <= 0) errors.push(`${where}: price must be a number > 0.`);
+    }
+    if (t.brokerage != null && (!isNum(t.brokerage) || t.brokerage < 0)) errors.push(`${where}: brokerage must be a number ≥ 0.`);
+    if (t.fxRate != null && (!isNum(t.fxRate) || t.fxRate <= 0)) errors.push(`${where}: fxRate must be a number > 0.`);
+    if (t.kind === "DIST" && (!isNum(t.amount) || t.amount < 0)) errors.push(`${where}: amount must be a number ≥ 0.`);
+    if (t.kind === "AMIT" && !isNum(t.amount)) errors.push(`${where}: amount must be a number.`);
+    if (t.frankingCredits != null && (!isNum(t.frankingCredits) || t.frankingCredits < 0)) errors.push(`${where}: frankingCredits must be a number ≥ 0.`);
+    if (t.kind === "SELL" && t.lotMethod != null && !LOT_METHODS.some(m => m.key === t.lotMethod)) errors.push(`${where}: unknown lotMethod ${JSON.stringify(t.lotMethod)}.`);
+  });
+  return errors;
+}
+
+// A sound portfolio's log has to replay, and onto its stored holdings
+function replayErrors(p, label, fxAt) {
+  const errors = [];
+  const replay = replayLedger(p.assets.map(laneConfig), p.transactions, { discountRate: taxProfile(p.taxProfile).discountRate, fxAt });
+  for (const issue of replay.issues) errors.push(`${label}: ${issue.message}`);
+  replay.assets.forEach((a, i) => {
+    const stored = p.assets[i].units;
+    if (isNum(stored) && Math.abs(stored - a.units) > EPS) errors.push(`${label}: ${a.ticker} stored units ${stored} don't match the ${+a.units.toFixed(6)} its transactions add up to.`);
+  });
+  return errors;
+}
+
+/**
+ * Every problem with a current-schema payload, as readable strings (empty
+ * when it's sound). Checks types and ranges field by field, that stored lots
+ * add up to stored units, and that each portfolio's log replays cleanly and
+ * lands on the same holdings.
+ */
+export function validateBackup(data) {
+  const errors = [];
+  if (!data || typeof data !== "object" || Array.isArray(data)) return ["Not a backup: expected a JSON object."];
+  if (data.schemaVersion !== SCHEMA_VERSION) errors.push(`schemaVersion is ${JSON.stringify(data.schemaVersion)}, expected ${SCHEMA_VERSION}.`);
+  if (!Array.isArray(data.portfolios) || data.portfolios.length === 0) return [...errors, "portfolios must be a list with at least one portfolio."];
+
+  const ids = new Set();
+  const portfolioIds = new Set();
+  const label = (p, i) => `Portfolio ${i + 1}${typeof p?.name === "string" && p.name ? ` (${p.name})` : ""}`;
+  data.portfolios.forEach((p, i) => {
+    if (!p || typeof p !== "object") return errors.push(`${label(p, i)}: not an object.`);
+    if (portfolioIds.has(p.id)) errors.push(`${label(p, i)}: duplicate id ${p.id}.`);
+    portfolioIds.add(p.id);
+    errors.push(...portfolioErrors(p, label(p, i), ids));
+  });
+
+  if (data.priceHistory != null) {
+    if (typeof data.priceHistory !== "object" || Array.isArray(data.priceHistory)) errors.push("priceHistory must be an object keyed by ticker.");
+    else {
+      for (const [ticker, list] of Object.entries(data.priceHistory)) {
+        if (!Array.isArray(list)) { errors.push(`priceHistory ${ticker}: must be a list.`); continue; }
+        list.forEach((p, j) => {
+          if (!isDay(p?.date)) errors.push(`priceHistory ${ticker}, point ${j + 1}: date must be YYYY-MM-DD.`);
+          if (!isNum(p?.close) || p.close <= 0) errors.push(`priceHistory ${ticker}, point ${j + 1}: close must be a number > 0.`);
+        });
+      }
+    }
+  }
+  if (!data.fxRates || typeof data.fxRates !== "object" || Array.isArray(data.fxRates)) errors.push("fxRates must be an object keyed by currency.");
+  else {
+    for (const [currency, list] of Object.entries(data.fxRates)) {
+      if (!CURRENCIES.includes(currency) || currency === "AUD") errors.push(`fxRates: unknown foreign currency ${JSON.stringify(currency)}.`);
+      if (!Array.isArray(list)) { errors.push(`fxRates ${currency}: must be a list.`); continue; }
+      list.forEach((r, j) => {
+        if (!isDay(r?.date)) errors.push(`fxRates ${currency}, rate ${j + 1}: date must be YYYY-MM-DD.`);
+        if (!isNum(r?.rate) || r.rate <= 0) errors.push(`fxRates ${currency}, rate ${j + 1}: rate must be a number > 0.`);
+      });
+    }
+  }
+  if (errors.length) return errors;
+
+  const fxAt = makeFxLookup(data.fxRates);
+  data.portfolios.forEach((p, i) => errors.push(...replayErrors(p, label(p, i), fxAt)));
+  return errors;
+}
@@ -0,0 +1,272 @@
+// Persistence. State is saved as a change set against what was last written,
+// so editing one trade writes one row instead of the whole history.
+//
+// A backend stores three things: `meta` ({ schemaVersion, portfolios, fxRates }
+// with each portfolio's id, name, tax profile and lane config), transaction
+// records ({ id, seq, portfolio, row }, where seq keeps each log's
+// newest-first order) and a price list per ticker. It implements:
+//
+//   read()        -> Promise<{ meta, transactions: [{ id, seq, portfolio, row }], prices: { [ticker]: list } } | null>
+//   write(change) -> Promise   change: { meta?, putTxn, deleteTxn, putPrices, deletePrices }
+//   clear()       -> Promise
+//
+// IndexedDB is the default; the desktop build swaps in its own through
+// setStorageBackend().
+import { LEGACY_KEYS, migrate, SCHEMA_VERSION, snapshot } from "@/lib/schema";
+
+// Where releases before IndexedDB kept everything, as one JSON blob
+export const LOCAL_STORAGE_KEY = "street_smart_wealth_tracker_v3";
+
+const DB_NAME = "street_smart_wealth";
+const DB_VERSION = 1;
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openDb() {
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = () => {
+    const db = req.result;
+    db.createObjectStore("meta");
+    db.createObjectStore("transactions", { keyPath: "id" });
+    db.createObjectStore("prices", { keyPath: "ticker" });
+  };
+  return request(req);
+}
+
+// `db` is an already-open connection, if the caller has one
+export function indexedDbBackend(db = null) {
+  let conn = db ? Promise.resolve(db) : null;
+  const ready = () => (conn ||= openDb());
+
+  async function run(mode, fn) {
+    const tx = (await ready()).transaction(["meta", "transactions", "prices"], mode);
+    const out = fn(tx);
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("Storage write aborted."));
+    });
+    return out;
+  }
+
+  return {
+    async read() {
+      // the requests have all settled once the transaction completes
+      const req = await run("readonly", tx => ({
+        meta: tx.objectStore("meta").get("state"),
+        transactions: tx.objectStore("transactions").getAll(),
+        prices: tx.objectStore("prices").getAll(),
+      }));
+      if (!req.meta.result) return null;
+      return {
+        meta: req.meta.result,
+        transactions: req.transactions.result,
+        prices: Object.fromEntries(req.prices.result.map(p => [p.ticker, p.list])),
+      };
+    },
+    write(change) {
+      return run("readwrite", tx => {
+        const txns = tx.objectStore("transactions");
+        const prices = tx.objectStore("prices");
+        if (change.meta) tx.objectStore("meta").put(change.meta, "state");
+        for (const rec of change.putTxn) txns.put(rec);
+        for (const id of change.deleteTxn) txns.delete(id);
+        for (const [ticker, list] of change.putPrices) prices.put({ ticker, list });
+        for (const ticker of change.deletePrices) prices.delete(ticker);
+      });
+    },
+    clear() {
+      return run("readwrite", tx => ["meta", "transactions", "prices"].forEach(s => tx.objectStore(s).clear()));
+    },
+  };
+}
+
+// Meta entry for a portfolio: everything but its log
+const portfolioMeta = ({ id, name, taxProfile, rebalance, plans, assets }) => ({ id, name, taxProfile, rebalance, plans, assets });
+
+// Transaction records for a whole snapshot, numbered so each log reads back in order
+function toRecords(portfolios) {
+  const all = portfolios.flatMap(p => p.transactions.map(row => ({ portfolio: p.id, row })));
+  return all.map(({ portfolio, row }, i) => ({ id: row.id, seq: all.length - i, portfolio, row }));
+}
+
+// Portfolios from meta entries plus their transaction records
+function fromRecords(entries, records) {
+  const logs = new Map(entries.map(p => [p.id, []]));
+  for (const r of [...records].sort((x, y) => y.seq - x.seq)) logs.get(r.portfolio)?.push(r.row);
+  return entries.map(p => ({ ...p, transactions: logs.get(p.id) }));
+}
+
+// Fallback where IndexedDB can't open (some private-browsing modes): the
+// old single-key layout, rewritten whole on each change
+export function localStorageBackend(key = LOCAL_STORAGE_KEY) {
+  let mirror = null;
+  const current = () => (mirror ||= readLegacy() || { schemaVersion: SCHEMA_VERSION, portfolios: [], priceHistory: {}, fxRates: {} });
+  return {
+    async read() {
+      const s = readLegacy();
+      if (!s) return null;
+      mirror = s;
+      return {
+        meta: { schemaVersion: s.schemaVersion, portfolios: s.portfolios.map(portfolioMeta), fxRates: s.fxRates },
+        transactions: toRecords(s.portfolios),
+        prices: s.priceHistory,
+      };
+    },
+    async write(change) {
+      const s = current();
+      const rows = new Map(toRecords(s.portfolios).map(r => [r.id, r]));
+      for (const rec of change.putTxn) rows.set(rec.id, rec);
+      for (const id of change.deleteTxn) rows.delete(id);
+      const priceHistory = { ...s.priceHistory };
+      for (const [ticker, list] of change.putPrices) priceHistory[ticker] = list;
+      for (const ticker of change.deletePrices) delete priceHistory[ticker];
+      mirror = {
+        schemaVersion: SCHEMA_VERSION,
+        portfolios: fromRecords(change.meta ? change.meta.portfolios : s.portfolios.map(portfolioMeta), [...rows.values()]),
+        priceHistory,
+        fxRates: change.meta ? change.meta.fxRates : s.fxRates,
+      };
+      localStorage.setItem(key, JSON.stringify(mirror));
+    },
+    async clear() {
+      mirror = null;
+      localStorage.removeItem(key);
+    },
+  };
+}
+
+// IndexedDB when it opens, otherwise localStorage
+function defaultBackend() {
+  if (typeof indexedDB === "undefined") return localStorageBackend();
+  const pick = openDb().then(db => indexedDbBackend(db), () => localStorageBackend());
+  return {
+    read: () => pick.then(b => b.read()),
+    write: change => pick.then(b => b.write(change)),
+    clear: () => pick.then(b => b.clear()),
+  };
+}
+
+let backend = null;
+
+export function setStorageBackend(b) {
+  backend = b;
+}
+
+export function storageBackend() {
+  return (backend ||= defaultBackend());
+}
+
+// Data left in localStorage by earlier releases, upgraded to the current schema
+function readLegacy() {
+  for (const { key, version } of [{ key: LOCAL_STORAGE_KEY }, ...LEGACY_KEYS]) {
+    const raw = localStorage.getItem(key);
+    if (!raw) continue;
+    try { return migrate(JSON.parse(raw), version); } catch { return null; }
+  }
+  return null;
+}
+
+/**
+ * Load/save front for a backend. `load()` returns the current-schema state
+ * (or null for a first run), moving localStorage data across on first use.
+ * `save(state)` queues the difference from the last save; writes run one at a
+ * time in order. Unchanged rows are spotted by identity, so callers must
+ * replace rather than mutate what they change.
+ */
+export function createPersister(b = storageBackend()) {
+  let last = null;
+  let maxSeq = 0;
+  const seqs = new Map();
+  let queue = Promise.resolve();
+
+  // Portfolio list changed: added, removed, reordered, renamed, re-laned, or
+  // its rebalance policy or contribution plans moved on; or the FX rates did
+  function metaChanged(prev, next) {
+    if (!prev || prev.portfolios.length !== next.portfolios.length || prev.fxRates !== next.fxRates) return true;
+    return next.portfolios.some((p, i) => {
+      const q = prev.portfolios[i];
+      return q.id !== p.id || q.name !== p.name || q.taxProfile !== p.taxProfile || q.rebalance !== p.rebalance || q.plans !== p.plans || q.assets !== p.assets;
+    });
+  }
+
+  function diff(prev, next) {
+    const change = { putTxn: [], deleteTxn: [], putPrices: [], deletePrices: [] };
+    if (metaChanged(prev, next)) change.meta = { schemaVersion: SCHEMA_VERSION, portfolios: next.portfolios.map(portfolioMeta), fxRates: next.fxRates };
+
+    const before = new Map((prev?.portfolios || []).flatMap(p => p.transactions.map(t => [t.id, t])));
+    for (const p of next.portfolios) {
+      // walk oldest-recorded first so rows new to the log number upwards
+      for (let i = p.transactions.length - 1; i >= 0; i--) {
+        const t = p.transactions[i];
+        if (!seqs.has(t.id)) seqs.set(t.id, ++maxSeq);
+        if (before.get(t.id) !== t) change.putTxn.push({ id: t.id, seq: seqs.get(t.id), portfolio: p.id, row: t });
+        before.delete(t.id);
+      }
+    }
+    for (const id of before.keys()) {
+      change.deleteTxn.push(id);
+      seqs.delete(id);
+    }
+
+    const prevPrices = prev?.priceHistory || {};
+    for (const [ticker, list] of Object.entries(next.priceHistory)) {
+      if (prevPrices[ticker] !== list) change.putPrices.push([ticker, list]);
+    }
+    for (const ticker of Object.keys(prevPrices)) if (!(ticker in next.priceHistory)) change.deletePrices.push(ticker);
+    return change;
+  }
+
+  // a failed write is reported to its caller but doesn't block later ones
+  function enqueue(fn) {
+    const p = queue.then(fn);
+    queue = p.catch(() => {});
+    return p;
+  }
+
+  return {
+    async load() {
+      let stored = await b.read();
+      if (!stored) {
+        const legacy = readLegacy();
+        if (!legacy) return null;
+        // one-time move; the old keys go only once the copy has landed
+        await b.write(diff(null, legacy));
+        for (const { key } of [{ key: LOCAL_STORAGE_KEY }, ...LEGACY_KEYS]) localStorage.removeItem(key);
+        stored = await b.read();
+        if (!stored) return null;
+      }
+      for (const r of stored.transactions) {
+        seqs.set(r.id, r.seq);
+        maxSeq = Math.max(maxSeq, r.seq);
+      }
+      const { schemaVersion, ...meta } = stored.meta;
+      const priceHistory = stored.prices || {};
+      if (schemaVersion >= 5) {
+        last = snapshot({ portfolios: fromRecords(meta.portfolios, stored.transactions), priceHistory, fxRates: meta.fxRates });
+        return migrate(last, schemaVersion);
+      }
+      // Saved before portfolios: the next save rewrites every record in the new layout
+      const rows = [...stored.transactions].sort((x, y) => y.seq - x.seq).map(r => r.row);
+      last = null;
+      return migrate({ schemaVersion, assets: meta.assets, transactions: rows, priceHistory }, schemaVersion);
+    },
+    save(state) {
+      const change = diff(last, state);
+      last = state;
+      if (!change.meta && !change.putTxn.length && !change.deleteTxn.length && !change.putPrices.length && !change.deletePrices.length) return queue;
+      return enqueue(() => b.write(change));
+    },
+    clear() {
+      last = null;
+      seqs.clear();
+      maxSeq = 0;
+      return enqueue(() => b.clear());
+    },
+  };
+}
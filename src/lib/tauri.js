@@ -0,0 +1,24 @@
+// Desktop (Tauri) adapter: the Rust commands in src-tauri/src/lib.rs behind
+// the same interfaces the browser build uses.
+import { invoke, isTauri } from "@tauri-apps/api/core";
+
+export { isTauri };
+
+// Storage backend (see src/lib/storage.js) over a JSON file in the app data dir
+export function tauriBackend() {
+  return {
+    read: () => invoke("load_state"),
+    write: change => invoke("write_state", { change }),
+    clear: () => invoke("clear_state"),
+  };
+}
+
+// Native save dialog; resolves to the saved path, or null if cancelled
+export function nativeSave(name, contents, { label, extensions }) {
+  return invoke("save_file", { name, contents, filterName: label, extensions });
+}
+
+// Native open dialog; resolves to { name, contents }, or null if cancelled
+export function nativeOpen({ label, extensions }) {
+  return invoke("open_file", { filterName: label, extensions });
+}
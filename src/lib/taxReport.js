@@ -0,0 +1,216 @@
+// Accountant-ready CGT report for one financial year: every disposal broken
+// down by parcel, the year's netting, and the totals that go on the tax
+// return. Renders to CSV and to a self-contained HTML page for printing.
+import { cgtSummaryFY, fyOf } from "@/lib/cgt";
+import { yearsBetween } from "@/lib/ledger";
+
+// Individual tax return, item 18 (capital gains). Other entities' returns
+// carry the same figures under their own item numbers.
+export const RETURN_LABELS = [
+  { code: "18G", text: "Did you have a capital gains tax event during the year?", value: s => (s.events > 0 ? "Yes" : "No") },
+  { code: "18H", text: "Total current year capital gains", value: s => s.grossGain },
+  { code: "18A", text: "Net capital gain", value: s => s.netCapitalGain },
+  { code: "18V", text: "Net capital losses carried forward to later income years", value: s => s.carryForward },
+];
+
+export const fyLabel = fyStartYear => `FY ${fyStartYear}-${String(fyStartYear + 1).slice(2)}`;
+
+const DAY = 86400000;
+
+// How the parcel's gain is worked out: the discount method for gains on
+// parcels held 12 months or more (when the entity gets a discount), "Other"
+// for the rest, and losses kept apart for netting
+function methodOf(gain, heldYears, discountRate) {
+  if (gain < 0) return "Loss";
+  return heldYears >= 1 && discountRate > 0 ? "Discount" : "Other";
+}
+
+/**
+ * One row per parcel disposed of in the FY, oldest sale first. Sell-side
+ * brokerage is shared across a sale's parcels by units, as in the ledger, so
+ * the rows add up to each sale's figures. AMIT decreases past a parcel's
+ * cost base (CGT event E10) come through as rows with no acquisition.
+ * Amounts are AUD; parcels in a foreign lane also carry `fxGain`, the part
+ * of the gain down to the exchange rate moving between purchase and sale.
+ */
+export function disposalRows(transactions, fyStartYear, { discountRate = 0.5 } = {}) {
+  const rows = [];
+  const events = transactions
+    .filter(t => t.date && fyOf(t.date) === fyStartYear && (t.kind === "SELL" ? t.parcels : t.kind === "AMIT"))
+    .sort((x, y) => new Date(x.date) - new Date(y.date));
+  for (const t of events) {
+    const disposed = String(t.date).slice(0, 10);
+    if (t.kind === "AMIT") {
+      const parts = [["Discount", t.discountableGain || 0], ["Other", t.otherGain || 0]];
+      for (const [method, gain] of parts.filter(([, g]) => g > 0)) {
+        rows.push({ ticker: t.ticker, event: "E10 (AMIT)", acquired: null, disposed, units: null, costBase: 0, proceeds: gain, days: null, method: discountRate > 0 ? method : "Other", gain, fxGain: null });
+      }
+      continue;
+    }
+    const fx = Number(t.fxUsed) || 1;
+    for (const p of t.parcels) {
+      const share = t.units > 0 ? (Number(t.brokerage) || 0) * fx * (p.qty / t.units) : 0;
+      const costBase = p.qty * p.unitCost;
+      const proceeds = p.qty * t.price * fx - share;
+      const gain = proceeds - costBase;
+      rows.push({
+        ticker: t.ticker,
+        event: "A1 (sale)",
+        acquired: String(p.date).slice(0, 10),
+        disposed,
+        units: p.qty,
+        costBase,
+        proceeds,
+        days: Math.floor((new Date(t.date) - new Date(p.date)) / DAY),
+        method: methodOf(gain, yearsBetween(new Date(p.date), new Date(t.date)), discountRate),
+        gain,
+        fxGain: p.fx == null ? null : p.qty * t.price * (fx - p.fx),
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Everything the report shows for one portfolio and FY: the parcel rows and
+ * their totals, the netting summary (see cgtSummaryFY) and the return labels.
+ * The labels are titled as item 18 only for an `individual`'s portfolio.
+ */
+export function taxReport(transactions, fyStartYear, { discountRate = 0.5, portfolio = "", entity = "", individual = true, prepared = "" } = {}) {
+  const rows = disposalRows(transactions, fyStartYear, { discountRate });
+  const sum = key => rows.reduce((s, r) => s + (r[key] || 0), 0);
+  const summary = cgtSummaryFY(transactions, fyStartYear, { discountRate });
+  const foreign = rows.some(r => r.fxGain != null);
+  return {
+    fy: fyLabel(fyStartYear),
+    portfolio,
+    entity,
+    prepared,
+    rows,
+    foreign,
+    totals: { costBase: sum("costBase"), proceeds: sum("proceeds"), gain: sum("gain"), fxGain: sum("fxGain") },
+    summary,
+    labelsTitle: individual ? "Tax return labels (individual, item 18)" : "Capital gains figures for the return",
+    labels: RETURN_LABELS.map(l => ({ code: l.code, text: l.text, value: l.value(summary) })),
+  };
+}
+
+// Netting steps from gross gains to the net capital gain, for both formats
+function reconciliation(s) {
+  return [
+    ["Gross capital gains", s.grossGain],
+    ["  held 12 months or more (discount-eligible)", s.discountableGain],
+    ["  held under 12 months", s.otherGain],
+    ["Less current-year capital losses applied", -s.currentLossesApplied],
+    ["Less prior-year net capital losses applied", -s.priorLossesApplied],
+    [`Less CGT discount (${+(s.discountRate * 100).toFixed(1)}%)`, -s.discount],
+    ["Net capital gain", s.netCapitalGain],
+    ["Capital losses made this year", s.currentLosses],
+    ["Net capital losses carried forward", s.carryForward],
+  ];
+}
+
+const money = n => n.toFixed(2);
+
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function reportCSV(report) {
+  const line = cells => cells.map(csvCell).join(",");
+  const { summary: s } = report;
+  return [
+    line([`#CGT REPORT ${report.fy}`, report.portfolio, report.entity, report.prepared && `Prepared ${report.prepared}`]),
+    "",
+    "#DISPOSALS",
+    line(["Ticker", "Event", "AcquisitionDate", "DisposalDate", "Units", "CostBase", "Proceeds", "HoldingDays", "Method", "GainLoss", "FxGainLoss"]),
+    ...report.rows.map(r => line([
+      r.ticker, r.event, r.acquired || "", r.disposed, r.units == null ? "" : +r.units.toFixed(6),
+      money(r.costBase), money(r.proceeds), r.days ?? "", r.method, money(r.gain), r.fxGain == null ? "" : money(r.fxGain),
+    ])),
+    line(["Total", "", "", "", "", money(report.totals.costBase), money(report.totals.proceeds), "", "", money(report.totals.gain), report.foreign ? money(report.totals.fxGain) : ""]),
+    "",
+    "#RECONCILIATION",
+    line(["Step", "Amount"]),
+    ...reconciliation(s).map(([k, v]) => line([k.trim(), money(v)])),
+    "",
+    "#RETURN LABELS",
+    line(["Label", "Description", "Amount"]),
+    ...report.labels.map(l => line([l.code, l.text, typeof l.value === "number" ? money(l.value) : l.value])),
+  ].join("\n");
+}
+
+const escape = s => String(s).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+const aud = n => escape(n.toLocaleString("en-AU", { style: "currency", currency: "AUD" }));
+
+// A standalone page (inline styles, no scripts) that prints on A4 landscape
+export function reportHTML(report) {
+  const { summary: s } = report;
+  const title = `CGT report ${report.fy}${report.portfolio ? ` · ${report.portfolio}` : ""}`;
+  const rows = report.rows.map(r => `
+        <tr>
+          <td>${escape(r.ticker)}</td><td>${escape(r.event)}</td><td>${r.acquired || "—"}</td><td>${r.disposed}</td>
+          <td class="n">${r.units == null ? "—" : +r.units.toFixed(6)}</td><td class="n">${aud(r.costBase)}</td><td class="n">${aud(r.proceeds)}</td>
+          <td class="n">${r.days ?? "—"}</td><td>${r.method}</td><td class="n${r.gain < 0 ? " neg" : ""}">${aud(r.gain)}</td>${report.foreign ? `<td class="n">${r.fxGain == null ? "—" : aud(r.fxGain)}</td>` : ""}
+        </tr>`).join("");
+  const steps = reconciliation(s).map(([k, v]) => `
+        <tr${k === "Net capital gain" ? ' class="total"' : ""}><td${k.startsWith("  ") ? ' class="sub"' : ""}>${escape(k.trim())}</td><td class="n">${aud(v)}</td></tr>`).join("");
+  const labels = report.labels.map(l => `
+        <tr><td>${l.code}</td><td>${escape(l.text)}</td><td class="n">${typeof l.value === "number" ? aud(l.value) : l.value}</td></tr>`).join("");
+  return `<!doctype html>
+<html lang="en-AU">
+<head>
+<meta charset="utf-8">
+<title>${escape(title)}</title>
+<style>
+  @page { size: A4 landscape; margin: 14mm; }
+  body { font: 11px/1.4 system-ui, sans-serif; color: #0f172a; margin: 0; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  h2 { font-size: 13px; margin: 18px 0 6px; }
+  .meta { color: #475569; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border-bottom: 1px solid #e2e8f0; padding: 3px 6px; text-align: left; }
+  th { background: #f1f5f9; }
+  thead { display: table-header-group; }
+  tr { break-inside: avoid; }
+  .n { text-align: right; font-variant-numeric: tabular-nums; }
+  .neg { color: #be123c; }
+  .sub { padding-left: 18px; color: #475569; }
+  .total td { font-weight: 600; border-top: 1px solid #0f172a; }
+  .narrow { max-width: 560px; }
+  .note { color: #475569; margin-top: 14px; }
+</style>
+</head>
+<body>
+  <h1>${escape(title)}</h1>
+  <div class="meta">${escape([report.entity, report.prepared && `Prepared ${report.prepared}`].filter(Boolean).join(" · "))}</div>
+
+  <h2>Disposals by parcel</h2>
+  <table>
+    <thead>
+      <tr><th>Ticker</th><th>CGT event</th><th>Acquired</th><th>Disposed</th><th class="n">Units</th><th class="n">Cost base</th><th class="n">Capital proceeds</th><th class="n">Days held</th><th>Method</th><th class="n">Gain / loss</th>${report.foreign ? '<th class="n">of which FX</th>' : ""}</tr>
+    </thead>
+    <tbody>${rows || `
+        <tr><td colspan="${report.foreign ? 11 : 10}">No CGT events this year.</td></tr>`}
+        <tr class="total"><td colspan="5">Total</td><td class="n">${aud(report.totals.costBase)}</td><td class="n">${aud(report.totals.proceeds)}</td><td></td><td></td><td class="n">${aud(report.totals.gain)}</td>${report.foreign ? `<td class="n">${aud(report.totals.fxGain)}</td>` : ""}</tr>
+    </tbody>
+  </table>
+
+  <h2>Net capital gain</h2>
+  <table class="narrow">
+    <tbody>${steps}
+    </tbody>
+  </table>
+
+  <h2>${escape(report.labelsTitle)}</h2>
+  <table class="narrow">
+    <tbody>${labels}
+    </tbody>
+  </table>
+
+  <p class="note">Amounts are in Australian dollars${report.foreign ? ", foreign trades converted at the trade-date rate; the FX column is the part of each gain due to the exchange rate moving" : ""}. Cost bases include buy brokerage and AMIT adjustments; proceeds are net of sell brokerage. Losses are applied to non-discountable gains first and carried forward from the first recorded sale. Other entities report these figures under their own return labels. Prepared from the recorded transactions; verify with your tax adviser.</p>
+</body>
+</html>
+`;
+}
@@ -3,6 +3,11 @@ import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
 import "./index.css";
+import { setStorageBackend } from "@/lib/storage";
+import { isTauri, tauriBackend } from "@/lib/tauri";
+
+// The desktop build keeps its data in a file in the app data dir
+if (isTauri()) setStorageBackend(tauriBackend());
 
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>